@@ -1,107 +1,819 @@
 import { app, errorHandler } from 'mu';
-import { getDuplicateIdentificators, reconciliatePerson, getRrn } from './support';
+import { getIdentifierIssues, reconciliateKey, reconciliateResources, splitResource, revertMerge, resolveKeyConflict, checkIntegrity, getKeys } from './support';
+import { getModel, getModels, hasModel, normalizeKey } from './lib/resource-models';
+import { findCandidates, getCandidatePersons, isSplitPair } from './lib/candidates';
+import { createJob, runJob, cancelJob, isJobRunning, resumeJob, getJobs, getJob, getWatermark, getReportFile, toJsonApi } from './lib/jobs';
+import { toTurtle } from './lib/plan';
+import { RevertError, getReconciliations, getReconciliation, recoverReconciliations, toJsonApi as reconciliationToJsonApi } from './lib/reconciliations';
+import { getConflicts, getConflict, findCandidate, toJsonApi as conflictToJsonApi } from './lib/conflicts';
+import { getIssues, toJsonApi as issueToJsonApi, toIdentifierIssueJsonApi } from './lib/issues';
+import { getProposals, getProposal, decideProposal, toJsonApi as proposalToJsonApi } from './lib/proposals';
+import { createDuplicateReport, toJsonApi as duplicateToJsonApi, toCsv, toJsonLd } from './lib/duplicate-report';
+import { logger } from './lib/logger';
+import { LockError, acquireBulkLock, releaseBulkLock, getBulkLock } from './lib/locks';
+import { enqueue, startWorker, getQueueDepth } from './lib/delta-queue';
+import { renderMetrics, registerCollector, setGauge } from './lib/metrics';
+import { isOwnWrite } from './lib/recent-writes';
+import { isAllowedGraph } from './lib/graph-scope';
+import { SplitError } from './lib/splits';
+import { resolveUri, shortenChains, toJsonApi as resolutionToJsonApi } from './lib/same-as';
+import { toJsonApi as integrityIssueToJsonApi } from './lib/integrity';
 import bodyParser from 'body-parser';
 import flatten from 'lodash.flatten';
 import { CronJob } from 'cron';
-import request from 'request';
+
+const MAX_RESOLVE_BATCH_SIZE = 1000;
 
 const cronFrequency = process.env.RECONCILIATION_CRON_PATTERN || '0 0 1 * * *';
-new CronJob(cronFrequency, function() {
-  console.log(`Reconciliation triggered by cron job at ${new Date().toISOString()}`);
-  request.post('http://localhost/reconciliate/');
+new CronJob(cronFrequency, () => runScheduledReconciliation('incremental'), null, true);
+
+const fullCronFrequency = process.env.FULL_RECONCILIATION_CRON_PATTERN || '0 0 2 * * 0';
+new CronJob(fullCronFrequency, () => runScheduledReconciliation('full'), null, true);
+
+const chainShorteningFrequency = process.env.CHAIN_SHORTENING_CRON_PATTERN || '0 0 3 * * 0';
+new CronJob(chainShorteningFrequency, async function() {
+  logger.info('Shortening of owl:sameAs chains triggered by cron job');
+  try {
+    await shortenChains();
+  } catch (e) {
+    if (e instanceof LockError)
+      logger.warn('Shortening of owl:sameAs chains triggered by cron job skipped, since it is still running');
+    else
+      logger.error('Shortening of owl:sameAs chains triggered by cron job failed', { error: e });
+  }
 }, null, true);
 
+registerCollector(async () => setGauge('delta_queue_depth', await getQueueDepth()));
+registerCollector(async function() {
+  const { jobs } = await getJobs({ model: 'person', status: 'success', scheduled: true }, { size: 1 });
+  if (jobs.length && jobs[0].ended)
+    setGauge('last_cron_success_timestamp_seconds', Math.floor(jobs[0].ended.getTime() / 1000));
+});
+
+/**
+ * Start a scheduled reconciliation of the person model in the background.
+ *
+ * An incremental run only reconciliates the duplicate keys that changed since the watermark,
+ * the start of the last successful run. If there is no watermark yet, a full run is done instead.
+ *
+ * @param mode {string} 'incremental' or 'full'
+*/
+async function runScheduledReconciliation(mode) {
+  logger.info('Reconciliation triggered by cron job', { mode });
+  try {
+    const since = mode == 'incremental' ? await getWatermark('person') : null;
+    if (mode == 'incremental' && !since)
+      logger.info('No successful reconciliation found to continue from. Reconciliating all duplicates.');
+    await startBulkReconciliation({ model: 'person', since, scheduled: true }); // the job logs its own result
+  } catch (e) {
+    if (e instanceof LockError)
+      logger.warn('Reconciliation triggered by cron job skipped, since a bulk reconciliation is still running', { mode });
+    else
+      logger.error('Reconciliation triggered by cron job failed', { mode, error: e });
+  }
+}
+
+/**
+ * Start the reconciliation of all duplicate keys of a model as job in the background.
+ * The duplicate keys are discovered while the job runs. Only one bulk reconciliation
+ * can run at a time.
+ *
+ * @param options {Object} Options of the job to create, as passed to createJob
+ * @param resumedJob {Object} Job to resume instead of creating a new one. The job's own
+ *           model, mode and graphs are used.
+ * @return {Object} Object containing the job and a promise resolving when the job has ended.
+ *           The promise never rejects: an unexpected failure is logged and marks the job as failed.
+ * @throws {LockError} If another bulk reconciliation is running
+*/
+async function startBulkReconciliation(options, resumedJob) {
+  const lock = acquireBulkLock();
+  if (!lock) {
+    const running = getBulkLock();
+    const description = running.job ? `job ${running.job}` : `started at ${running.since.toISOString()}`;
+    throw new LockError(`A bulk reconciliation is already running (${description})`);
+  }
+
+  try {
+    const job = resumedJob ? await resumeJob(resumedJob) : await createJob(options);
+    lock.job = job.id;
+    const done = runJob(job)
+      .then(() => logger.info('Bulk reconciliation ended', { job: job.id, model: job.model, mode: job.mode, status: job.status, count: job.total }))
+      .catch(e => {
+        logger.error('Bulk reconciliation failed unexpectedly', { job: job.id, model: job.model, error: e });
+        job.status = 'failed';
+      })
+      .finally(() => releaseBulkLock(lock));
+    return { job, done };
+  } catch (e) {
+    releaseBulkLock(lock);
+    throw e;
+  }
+}
+
+/**
+ * Recover the reconciliations that have been interrupted by a previous shutdown of the service.
+ * Retried with an increasing delay, since the triplestore may not be available yet at startup.
+*/
+async function recoverInterruptedReconciliations(attempt = 1) {
+  try {
+    const count = await recoverReconciliations();
+    logger.info('Recovered interrupted reconciliations', { count });
+  } catch (e) {
+    if (attempt < 10) {
+      logger.warn('Failed to recover interrupted reconciliations. Retrying.', { attempt, error: e });
+      setTimeout(() => recoverInterruptedReconciliations(attempt + 1), attempt * 5000);
+    } else {
+      logger.error('Failed to recover interrupted reconciliations', { attempt, error: e });
+    }
+  }
+}
+getModels(); // fail at startup on an invalid resource model configuration
+recoverInterruptedReconciliations();
+startWorker();
+
 app.use(bodyParser.json({ type: function(req) { return /^application\/json/.test(req.get('content-type')); } }));
 
+app.get('/metrics', async function(req, res, next) {
+  try {
+    const metrics = await renderMetrics();
+    res.status(200).type('text/plain; version=0.0.4').send(metrics);
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
 app.get('/report', async function(req, res, next) {
+  const model = req.query.model || 'person';
+  if (!hasModel(model))
+    return res.status(400).send({ errors: [{ title: `Unknown resource model '${model}'` }] });
+
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+  const format = req.accepts(['application/json', 'text/csv', 'application/ld+json']);
+  const graphs = getGraphsParam(req);
+  const excluded = graphs.find(graph => !isAllowedGraph(graph));
+  if (excluded)
+    return res.status(400).send({ errors: [{ title: `Graph ${excluded} is excluded by the configured graph scope` }] });
+
+  try {
+    if (format == 'text/csv') {
+      const report = await createDuplicateReport(model, { graphs });
+      res.status(200).type('text/csv').attachment(`duplicates-${model}.csv`).send(toCsv(report));
+    } else if (format == 'application/ld+json') {
+      const report = await createDuplicateReport(model, { graphs });
+      res.status(200).type('application/ld+json').send(toJsonLd(report));
+    } else {
+      const report = await createDuplicateReport(model, { page: number, size, graphs });
+      res.status(200).send({
+        data: report.entries.map(duplicateToJsonApi),
+        meta: {
+          count: report.count,
+          'in-scope': report.inScopeCount,
+          totals: {
+            graphs: report.totals.graphs.map(total => {
+              return {
+                graph: total.graph,
+                resources: total.resources,
+                'duplicate-resources': total.duplicateResources,
+                duplicates: total.duplicates,
+                missing: total.missing
+              };
+            }),
+            missing: report.totals.missing
+          }
+        },
+        links: {
+          first: `/report?model=${model}&page[number]=0&page[size]=${size}`,
+          last: `/report?model=${model}&page[number]=${Math.max(Math.ceil(report.count / size) - 1, 0)}&page[size]=${size}`
+        }
+      });
+    }
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/identifier-issues', async function(req, res, next) {
+  const filter = req.query.filter || {};
+  const model = req.query.model || 'person';
+  if (!hasModel(model))
+    return res.status(400).send({ errors: [{ title: `Unknown resource model '${model}'` }] });
+
   try {
-    const rrns = await getDuplicateIdentificators();
-    res.status(200).send({ duplicates: rrns.length });
+    let issues = await getIdentifierIssues(model);
+    if (filter.type)
+      issues = issues.filter(issue => issue.type == filter.type);
+    if (filter.graph)
+      issues = issues.filter(issue => issue.graph == filter.graph);
+    res.status(200).send({
+      data: issues.map(toIdentifierIssueJsonApi),
+      meta: { count: issues.length }
+    });
   }
   catch(e) {
-    console.error(e);
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/data-quality-issues', async function(req, res, next) {
+  const filter = req.query.filter || {};
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { issues, count } = await getIssues({
+      type: filter.type,
+      graph: filter.graph,
+      person: filter.person
+    }, { page: number, size });
+    res.status(200).send({
+      data: issues.map(issueToJsonApi),
+      meta: { count }
+    });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
     next(new Error(e.message));
   }
 });
 
 app.post('/reconciliate', async function(req, res, next) {
   const isDryRun = req.query['dry-run'];
+  const model = req.query.model || 'person';
+  if (!hasModel(model))
+    return res.status(400).send({ errors: [{ title: `Unknown resource model '${model}'` }] });
+
+  const graphs = getGraphsParam(req);
+  const excluded = graphs.find(graph => !isAllowedGraph(graph));
+  if (excluded)
+    return res.status(400).send({ errors: [{ title: `Graph ${excluded} is excluded by the configured graph scope` }] });
+
+  const mode = req.query.mode || 'full';
+  if (!['full', 'incremental'].includes(mode))
+    return res.status(400).send({ errors: [{ title: `Unknown mode '${mode}'. Expected 'full' or 'incremental'.` }] });
 
   try {
-    const rrns = await getDuplicateIdentificators();
-    console.log(`Found ${rrns.length} duplicate RRNs`);
+    const since = mode == 'incremental' ? await getWatermark(model) : null;
+    const { job } = await startBulkReconciliation({ model, isDryRun, graphs, since }); // don't await the job, it executes in background
+    res.location(`/jobs/${job.id}`);
+    res.status(202).send({ data: toJsonApi(job) });
+  }
+  catch(e) {
+    if (e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
 
-    async function reconciliateBulk(rrns) {
-      const total = rrns.length;
-      let i = 1;
-      for (let rrn of rrns) {
-        console.log(`Reconciliating ${i}/${total}`);
-        await reconciliatePerson(rrn, { isDryRun });
-        i++;
+app.get('/jobs', async function(req, res, next) {
+  const filter = req.query.filter || {};
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { jobs, count } = await getJobs({
+      model: filter.model,
+      mode: filter.mode,
+      status: filter.status
+    }, { page: number, size });
+    res.status(200).send({
+      data: jobs.map(toJsonApi),
+      meta: { count },
+      links: {
+        first: `/jobs?page[number]=0&page[size]=${size}`,
+        last: `/jobs?page[number]=${Math.max(Math.ceil(count / size) - 1, 0)}&page[size]=${size}`
       }
+    });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/jobs/:id', async function(req, res, next) {
+  try {
+    const job = await getJob(req.params.id);
+    if (job)
+      res.status(200).send({ data: toJsonApi(job) });
+    else
+      res.status(404).send({ errors: [{ title: `Job ${req.params.id} not found` }] });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/jobs/:id/report', async function(req, res, next) {
+  try {
+    const job = await getJob(req.params.id);
+    const file = job && getReportFile(job);
+    if (file)
+      res.download(file, `reconciliation-report-${job.id}.json`);
+    else
+      res.status(404).send({ errors: [{ title: `No dry run report found for job ${req.params.id}` }] });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.delete('/jobs/:id', async function(req, res, next) {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job)
+      res.status(404).send({ errors: [{ title: `Job ${req.params.id} not found` }] });
+    else if (cancelJob(job.id))
+      res.status(202).end();
+    else
+      res.status(409).send({ errors: [{ title: `Job ${job.id} is not running and cannot be canceled` }] });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/jobs/:id/resume', async function(req, res, next) {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job)
+      return res.status(404).send({ errors: [{ title: `Job ${req.params.id} not found` }] });
+    if (isJobRunning(job.id))
+      return res.status(409).send({ errors: [{ title: `Job ${job.id} is still running` }] });
+    if (job.status == 'success')
+      return res.status(409).send({ errors: [{ title: `Job ${job.id} has already finished successfully` }] });
+
+    await startBulkReconciliation({}, job); // don't await the job, it executes in background
+    res.location(`/jobs/${job.id}`);
+    res.status(202).send({ data: toJsonApi(job) });
+  }
+  catch(e) {
+    if (e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/conflicts', async function(req, res, next) {
+  const filter = req.query.filter || {};
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { conflicts, count } = await getConflicts({
+      rrn: filter.rrn,
+      property: filter.property,
+      status: filter.status
+    }, { page: number, size });
+    res.status(200).send({
+      data: conflicts.map(conflictToJsonApi),
+      meta: { count }
+    });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/conflicts/:id', async function(req, res, next) {
+  try {
+    const conflict = await getConflict(req.params.id);
+    if (conflict)
+      res.status(200).send({ data: conflictToJsonApi(conflict) });
+    else
+      res.status(404).send({ errors: [{ title: `Conflict ${req.params.id} not found` }] });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/conflicts/:id/resolve', async function(req, res, next) {
+  const value = req.body && req.body.value;
+
+  try {
+    const conflict = await getConflict(req.params.id);
+    if (!conflict) {
+      res.status(404).send({ errors: [{ title: `Conflict ${req.params.id} not found` }] });
+    } else if (!findCandidate(conflict, value)) {
+      res.status(400).send({ errors: [{ title: `Value must be one of the candidate values of conflict ${conflict.id}` }] });
+    } else {
+      await resolveKeyConflict(conflict, value, { wait: true });
+      const resolved = await getConflict(conflict.id);
+      res.status(200).send({ data: conflictToJsonApi(resolved) });
     }
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/proposals', async function(req, res, next) {
+  const filter = req.query.filter || {};
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { proposals, count } = await getProposals({
+      rrn: filter.rrn,
+      model: filter.model,
+      status: filter.status
+    }, { page: number, size });
+    res.status(200).send({
+      data: proposals.map(proposalToJsonApi),
+      meta: { count }
+    });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/proposals/:id', async function(req, res, next) {
+  try {
+    const proposal = await getProposal(req.params.id);
+    if (proposal)
+      res.status(200).send({ data: proposalToJsonApi(proposal) });
+    else
+      res.status(404).send({ errors: [{ title: `Proposal ${req.params.id} not found` }] });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/proposals/:id/approve', async function(req, res, next) {
+  try {
+    const proposal = await getProposal(req.params.id);
+    if (!proposal)
+      return res.status(404).send({ errors: [{ title: `Proposal ${req.params.id} not found` }] });
+    if (proposal.status != 'pending')
+      return res.status(409).send({ errors: [{ title: `Proposal ${proposal.id} has already been ${proposal.status}` }] });
+
+    // the merge is executed on the current data of the key, which may have changed since the proposal
+    const options = { model: proposal.model, approved: true, wait: true };
+    const result = proposal.rrn
+      ? await reconciliateKey(proposal.rrn, options)
+      : await reconciliateResources([...new Set(proposal.slaves.map(s => s.uri))], options);
+    await decideProposal(proposal, 'approved', result.reconciliation);
+    res.status(200).send({ data: proposalToJsonApi(await getProposal(proposal.id)) });
+  }
+  catch(e) {
+    if (e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/proposals/:id/reject', async function(req, res, next) {
+  try {
+    const proposal = await getProposal(req.params.id);
+    if (!proposal)
+      return res.status(404).send({ errors: [{ title: `Proposal ${req.params.id} not found` }] });
+    if (proposal.status != 'pending')
+      return res.status(409).send({ errors: [{ title: `Proposal ${proposal.id} has already been ${proposal.status}` }] });
+
+    await decideProposal(proposal, 'rejected');
+    res.status(200).send({ data: proposalToJsonApi(await getProposal(proposal.id)) });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/reconciliations', async function(req, res, next) {
+  const filter = req.query.filter || {};
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { reconciliations, count } = await getReconciliations({
+      rrn: filter.rrn,
+      status: filter.status
+    }, { page: number, size });
+    res.status(200).send({
+      data: reconciliations.map(reconciliationToJsonApi),
+      meta: { count }
+    });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/reconciliations/:id', async function(req, res, next) {
+  try {
+    const reconciliation = await getReconciliation(req.params.id);
+    if (reconciliation)
+      res.status(200).send({ data: reconciliationToJsonApi(reconciliation) });
+    else
+      res.status(404).send({ errors: [{ title: `Reconciliation ${req.params.id} not found` }] });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/reconciliations/:id/revert', async function(req, res, next) {
+  try {
+    const reconciliation = await revertMerge(req.params.id);
+    if (reconciliation)
+      res.status(200).send({ data: reconciliationToJsonApi(reconciliation) });
+    else
+      res.status(404).send({ errors: [{ title: `Reconciliation ${req.params.id} not found` }] });
+  }
+  catch(e) {
+    if (e instanceof RevertError || e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/candidates', async function(req, res, next) {
+  const minScore = req.query['min-score'] !== undefined ? parseFloat(req.query['min-score']) : undefined;
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { candidates, count } = await findCandidates({ minScore, page: number, size });
+    const data = candidates.map(candidate => {
+      return {
+        type: 'candidates',
+        attributes: {
+          persons: candidate.persons.map(p => ({ uri: p.uri, graphs: p.graphs })),
+          score: candidate.score,
+          scores: candidate.scores
+        }
+      };
+    });
+    res.status(200).send({ data, meta: { count } });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
 
-    reconciliateBulk(rrns); // don't await, but execute in background
+app.post('/candidates/confirm', async function(req, res, next) {
+  const uris = (req.body && req.body.persons) || [];
+  const isDryRun = req.query['dry-run'];
+
+  if (uris.length != 2 || uris[0] == uris[1])
+    return res.status(400).send({ errors: [{ title: 'Exactly 2 different person URIs must be provided' }] });
+
+  try {
+    const persons = await getCandidatePersons(uris);
+    if (persons.length != 2)
+      return res.status(404).send({ errors: [{ title: 'Not all persons could be found' }] });
+    if (persons[0].rrn && persons[1].rrn && persons[0].rrn != persons[1].rrn)
+      return res.status(409).send({ errors: [{ title: 'Persons have a different valid RRN and cannot be reconciliated' }] });
+    if (await isSplitPair(uris))
+      return res.status(409).send({ errors: [{ title: 'Persons have been split from each other and cannot be reconciliated' }] });
 
-    res.status(202).end();
+    const result = await reconciliateResources(uris, { isDryRun });
+    if (isDryRun)
+      res.status(200).send(result.report);
+    else if (result.status == 'proposed')
+      res.status(202).send({ data: { type: 'proposals', id: result.proposal } });
+    else
+      res.status(200).send({ data: { type: 'reconciliations', id: result.reconciliation } });
   }
   catch(e) {
-    console.error(e);
+    if (e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
     next(new Error(e.message));
   }
 });
 
 app.post('/reconciliate/:rrn', async function(req, res, next) {
-  const rrn = req.params.rrn;
   const isDryRun = req.query['dry-run'];
+  const model = req.query.model || 'person';
+  if (!hasModel(model))
+    return res.status(400).send({ errors: [{ title: `Unknown resource model '${model}'` }] });
+
+  const validation = normalizeKey(getModel(model), req.params.rrn);
+  if (!validation.valid)
+    return res.status(400).send({ errors: [{ title: `Invalid key: ${validation.reason}` }] });
+
+  const graphs = getGraphsParam(req);
+  const excluded = graphs.find(graph => !isAllowedGraph(graph));
+  if (excluded)
+    return res.status(400).send({ errors: [{ title: `Graph ${excluded} is excluded by the configured graph scope` }] });
+
+  try {
+    const result = await reconciliateKey(validation.key, { isDryRun, model, graphs });
+    if (isDryRun) {
+      if (req.accepts(['application/json', 'text/turtle']) == 'text/turtle')
+        res.status(200).type('text/turtle').send(toTurtle([result.report]));
+      else
+        res.status(200).send(result.report);
+    } else {
+      res.status(204).end();
+    }
+  }
+  catch(e) {
+    if (e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/persons/:uri/split', async function(req, res, next) {
+  const body = req.body || {};
+  const slaves = [].concat(body.slaves || []);
+  const graphs = [].concat(body.graphs || []);
+  const isDryRun = req.query['dry-run'];
+
+  if (!slaves.length)
+    return res.status(400).send({ errors: [{ title: 'At least 1 former slave URI must be provided' }] });
+  const excluded = graphs.find(graph => !isAllowedGraph(graph));
+  if (excluded)
+    return res.status(400).send({ errors: [{ title: `Graph ${excluded} is excluded by the configured graph scope` }] });
+
+  try {
+    const result = await splitResource(req.params.uri, slaves, { graphs, references: body.references, isDryRun });
+    if (isDryRun)
+      res.status(200).send({ changes: result.changes });
+    else
+      res.status(200).send({ data: { type: 'splits', id: result.split } });
+  }
+  catch(e) {
+    if (e instanceof SplitError)
+      return res.status(400).send({ errors: [{ title: e.message }] });
+    if (e instanceof LockError)
+      return res.status(409).send({ errors: [{ title: e.message }] });
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.get('/resolve', async function(req, res, next) {
+  const uri = req.query.uri;
+  if (!uri)
+    return res.status(400).send({ errors: [{ title: 'Query param uri is required' }] });
+
   try {
-    await reconciliatePerson(rrn, { isDryRun });
-    res.status(204).end();
+    const resolution = await resolveUri(`${uri}`);
+    res.status(200).send({ data: resolutionToJsonApi(resolution) });
   }
   catch(e) {
-    console.error(e);
+    logger.error('Request failed', { route: req.route.path, error: e });
     next(new Error(e.message));
   }
 });
 
+app.post('/resolve', async function(req, res, next) {
+  const uris = (req.body && req.body.uris) || [];
+  if (!Array.isArray(uris) || !uris.length || uris.length > MAX_RESOLVE_BATCH_SIZE)
+    return res.status(400).send({ errors: [{ title: `Between 1 and ${MAX_RESOLVE_BATCH_SIZE} URIs must be provided` }] });
+
+  try {
+    const resolutions = [];
+    for (let uri of [...new Set(uris.map(u => `${u}`))])
+      resolutions.push(await resolveUri(uri));
+    res.status(200).send({ data: resolutions.map(resolutionToJsonApi) });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/resolve/shorten-chains', async function(req, res) {
+  // the chains are shortened in background, the outcome is logged
+  shortenChains().catch(e => {
+    if (e instanceof LockError)
+      logger.warn('Shortening of owl:sameAs chains skipped, since it is still running');
+    else
+      logger.error('Shortening of owl:sameAs chains failed', { error: e });
+  });
+  res.status(202).end();
+});
+
+app.get('/integrity', async function(req, res, next) {
+  const model = req.query.model || 'person';
+  if (!hasModel(model))
+    return res.status(400).send({ errors: [{ title: `Unknown resource model '${model}'` }] });
+
+  const page = req.query.page || {};
+  const number = parseInt(page.number) || 0;
+  const size = parseInt(page.size) || 20;
+
+  try {
+    const { issues, count } = await checkIntegrity({ model, graphs: getGraphsParam(req), page: number, size });
+    res.status(200).send({
+      data: issues.map(integrityIssueToJsonApi),
+      meta: { count }
+    });
+  }
+  catch(e) {
+    logger.error('Request failed', { route: req.route.path, error: e });
+    next(new Error(e.message));
+  }
+});
+
+app.post('/integrity/repair', async function(req, res) {
+  const model = req.query.model || 'person';
+  if (!hasModel(model))
+    return res.status(400).send({ errors: [{ title: `Unknown resource model '${model}'` }] });
+
+  // the issues are repaired in background, holding the locks of the keys being repaired; the outcome is logged
+  checkIntegrity({ model, graphs: getGraphsParam(req), repair: true }).catch(e => {
+    logger.error('Repair of integrity issues failed', { model, error: e });
+  });
+  res.status(202).end();
+});
+
 app.post('/delta', async function(req, res, next) {
   const identificators = getIdentificators(req.body);
   if (!identificators.length) {
-    console.log("Deltas do not contain an identificator. Nothing should happen.");
+    logger.debug('Deltas do not contain an identificator. Nothing should happen.');
     return res.status(204).send();
   }
 
-  for (let identificator of identificators) {
+  res.status(202).send();
+
+  // resolve the keys and queue them after responding, the queue worker reconciliates them
+  for (let { model, resource } of identificators) {
     try {
-      const rrn = await getRrn(identificator);
-      await reconciliatePerson(rrn);
+      const keys = await getKeys(model, resource);
+      for (let key of keys)
+        await enqueue(model, key);
     } catch (e) {
-      console.log(`Something went wrong while handling deltas for identificator ${identificator}`);
-      console.log(e);
-      return next(e);
+      logger.error('Failed to queue deltas', { model, resource, error: e });
     }
   }
-
-  return res.status(202).send();
 });
 
 /**
- * Returns the identificator URIs found in the deltas.
+ * Returns the graphs passed in the 'graphs' query param, either as comma-separated
+ * list or as repeated param.
+ *
+ * @param Object req Request
+*/
+function getGraphsParam(req) {
+  const param = req.query.graphs;
+  if (!param)
+    return [];
+  return flatten([].concat(param).map(p => `${p}`.split(','))).map(g => g.trim()).filter(g => g);
+}
+
+/**
+ * Returns the resources which got a new identificator in the deltas,
+ * together with the name of the resource model the identificator is the key of.
+ * Triples recently written by the service itself are ignored.
  *
  * @param Object delta Message as received from the delta notifier
 */
 function getIdentificators(delta) {
-  const inserts = flatten(delta.map(changeSet => changeSet.inserts));
-  return inserts.filter(isIdentificatorTriple).map(t => t.object.value);
+  const inserts = flatten(delta.map(changeSet => changeSet.inserts)).filter(t => !isOwnWrite(t));
+  const identificators = [];
+  for (let model of getModels()) {
+    const resources = inserts.filter(t => isIdentificatorTriple(model, t)).map(t => t.subject.value);
+    for (let resource of [...new Set(resources)])
+      identificators.push({ model: model.name, resource });
+  }
+  return identificators;
 }
 
 /**
- * Returns whether the passed triple is an addition of identificator to a person or not.
+ * Returns whether the passed triple is an addition of the first step
+ * of the key path of a resource model, e.g. an identificator to a person.
  *
+ * @param Object model Resource model
  * @param Object triple Triple as received from the delta notifier
 */
-function isIdentificatorTriple(triple) {
-  return triple.predicate.value == 'http://www.w3.org/ns/adms#identifier';
+function isIdentificatorTriple(model, triple) {
+  return triple.predicate.value == model.key.path[0];
 };
 
 app.use(errorHandler);
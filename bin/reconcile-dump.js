@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// The service is written as ES modules transpiled by the mu-javascript-template.
+// Outside of the template, they are transpiled on the fly.
+require('@babel/register')({
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+});
+
+require('../lib/cli').main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+const RECONCILIATION_GRAPH = process.env.RECONCILIATION_GRAPH || 'http://mu.semte.ch/graphs/reconciliation';
+
+const JOBS_GRAPH = process.env.JOBS_GRAPH || RECONCILIATION_GRAPH;
+
+const CONFLICTS_GRAPH = process.env.CONFLICTS_GRAPH || 'http://mu.semte.ch/graphs/reconciliation-conflicts';
+
+const MERGE_STRATEGIES_CONFIG = process.env.MERGE_STRATEGIES_CONFIG || '/config/merge-strategies.json';
+
+const RESOURCE_MODELS_CONFIG = process.env.RESOURCE_MODELS_CONFIG || '/config/resource-models.json';
+
+const RISK_RULES_CONFIG = process.env.RISK_RULES_CONFIG || '/config/risk-rules.json';
+
+const RECOVERY_STRATEGY = process.env.RECOVERY_STRATEGY || 'complete';
+
+const ALLOWED_GRAPHS = process.env.ALLOWED_GRAPHS || '';
+
+const DENIED_GRAPHS = process.env.DENIED_GRAPHS || '';
+
+const DELTA_DEBOUNCE = parseInt(process.env.DELTA_DEBOUNCE || 10000);
+
+const DELTA_MAX_ATTEMPTS = parseInt(process.env.DELTA_MAX_ATTEMPTS || 5);
+
+const DELTA_RETRY_DELAY = parseInt(process.env.DELTA_RETRY_DELAY || 30000);
+
+const DELTA_POLL_INTERVAL = parseInt(process.env.DELTA_POLL_INTERVAL || 5000);
+
+const OWN_WRITES_TTL = parseInt(process.env.OWN_WRITES_TTL || 300000);
+
+const DISCOVERY_PAGE_SIZE = parseInt(process.env.DISCOVERY_PAGE_SIZE || 1000);
+
+const BULK_CONCURRENCY = parseInt(process.env.BULK_CONCURRENCY || 4);
+
+const BULK_THROTTLE_DELAY = parseInt(process.env.BULK_THROTTLE_DELAY || 0);
+
+const SPARQL_MAX_CONCURRENCY = parseInt(process.env.SPARQL_MAX_CONCURRENCY || 8);
+
+const MASTER_URI_POLICY = process.env.MASTER_URI_POLICY || 'oldest';
+
+const MASTER_URI_PREFERRED_GRAPHS = process.env.MASTER_URI_PREFERRED_GRAPHS || '';
+
+const MINT_MASTER_URIS = process.env.MINT_MASTER_URIS == 'true';
+
+const MASTER_URI_BASE = process.env.MASTER_URI_BASE || 'http://data.lblod.info/id/reconciled/';
+
+const NOTIFICATION_WEBHOOK_URL = process.env.NOTIFICATION_WEBHOOK_URL || '';
+
+const NOTIFICATION_WEBHOOK_TIMEOUT = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT || 10000);
+
+const MASK_SENSITIVE_DATA = process.env.MASK_SENSITIVE_DATA != 'false';
+
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+
+const MASKING_SALT = process.env.MASKING_SALT || '';
+
+const MASKING_SALT_FILE = process.env.MASKING_SALT_FILE || '/data/masking-salt';
+
+const REPORTS_DIR = process.env.REPORTS_DIR || '/data/reports';
+
+export {
+  RECONCILIATION_GRAPH,
+  JOBS_GRAPH,
+  CONFLICTS_GRAPH,
+  MERGE_STRATEGIES_CONFIG,
+  RESOURCE_MODELS_CONFIG,
+  RISK_RULES_CONFIG,
+  RECOVERY_STRATEGY,
+  ALLOWED_GRAPHS,
+  DENIED_GRAPHS,
+  DELTA_DEBOUNCE,
+  DELTA_MAX_ATTEMPTS,
+  DELTA_RETRY_DELAY,
+  DELTA_POLL_INTERVAL,
+  OWN_WRITES_TTL,
+  DISCOVERY_PAGE_SIZE,
+  BULK_CONCURRENCY,
+  BULK_THROTTLE_DELAY,
+  SPARQL_MAX_CONCURRENCY,
+  MASTER_URI_POLICY,
+  MASTER_URI_PREFERRED_GRAPHS,
+  MINT_MASTER_URIS,
+  MASTER_URI_BASE,
+  NOTIFICATION_WEBHOOK_URL,
+  NOTIFICATION_WEBHOOK_TIMEOUT,
+  MASK_SENSITIVE_DATA,
+  MASKING_SALT,
+  MASKING_SALT_FILE,
+  LOG_LEVEL,
+  REPORTS_DIR
+}
@@ -0,0 +1,338 @@
+import flatten from 'lodash.flatten';
+import { query, sparqlEscapeUri } from './sparql';
+import { normalizeRrn, validateRrn } from './rrn';
+import { createScope, scopeFilter } from './graph-scope';
+import { getSplits } from './splits';
+import { DISCOVERY_PAGE_SIZE } from '../config';
+
+/**
+ * Weight of each field in the total score of a candidate pair.
+*/
+const WEIGHTS = {
+  familyName: 0.35,
+  firstName: 0.25,
+  birthdate: 0.3,
+  gender: 0.1
+};
+
+/**
+ * Blocking keys on which persons are compared, as SPARQL expressions on the birth date and family name.
+*/
+const BLOCKS = {
+  birthdate: 'SUBSTR(STR(?date), 1, 10)',
+  name: 'CONCAT(SUBSTR(STR(?date), 1, 4), " ", LCASE(STR(?familyName)))'
+};
+
+/**
+ * Find candidate duplicates among persons that are not matched on their RRN,
+ * for example because they don't have an identifier or have a mistyped one.
+ *
+ * Pairs of persons are scored on their normalized family name, used first name,
+ * birth date and gender. To keep the number of comparisons manageable, only persons
+ * sharing the same birth date, or the same family name and birth year, are compared.
+ * These blocks of persons are paged in the triplestore, so only the persons of one page
+ * of blocks and the candidate pairs found so far are kept in memory.
+ * Graphs that are not allowed by the configured graph scope are not read.
+ * Pairs of persons both having a valid RRN are left out: if the RRNs are equal, the persons
+ * are reconciliated based on their RRN. If they are different, the persons are not the same.
+ * Pairs of persons that have been split from each other are left out as well.
+ *
+ * @public
+ * @param options {Object} Options
+ * @param options.minScore {number} Minimal total score of a candidate pair (between 0 and 1)
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of candidate pairs per page
+ * @return {Object} Object containing the candidate pairs of the requested page, highest score first,
+ *           and the total count. Each pair contains the persons, the total score and the score per field.
+*/
+async function findCandidates(options = {}) {
+  const minScore = options.minScore === undefined ? 0.8 : options.minScore;
+  const page = options.page || 0;
+  const size = options.size || 20;
+
+  const pairs = {};
+  for (let expression of Object.keys(BLOCKS).map(name => BLOCKS[name])) {
+    let offset = 0;
+    let blocks;
+    do {
+      blocks = await getBlocks(expression, offset);
+      const uris = [...new Set(flatten(blocks.map(block => block.persons)))];
+      const persons = {};
+      for (let person of await getCandidatePersons(uris))
+        persons[person.uri] = person;
+
+      for (let block of blocks)
+        scoreBlock(block.persons.map(uri => persons[uri]).filter(p => p), minScore, pairs);
+      offset += DISCOVERY_PAGE_SIZE;
+    } while (blocks.length == DISCOVERY_PAGE_SIZE);
+  }
+
+  const keys = Object.keys(pairs).sort((a, b) => pairs[b].score - pairs[a].score || a.localeCompare(b));
+  const candidates = await excludeSplitPairs(keys.map(key => pairs[key]));
+  return {
+    candidates: candidates.slice(page * size, (page + 1) * size),
+    count: candidates.length
+  };
+}
+
+/**
+ * Get a page of blocks of persons sharing the same blocking key, ordered by blocking key.
+ * Blocks containing a single person are left out.
+ *
+ * @private
+ * @param expression {string} SPARQL expression of the blocking key
+ * @param offset {number} Number of blocks to skip
+ * @return {Array} Array of blocks, each containing the URIs of its persons
+*/
+async function getBlocks(expression, offset) {
+  const pattern = (variable) => `GRAPH ?g {
+      ?person a person:Person ;
+        persoon:heeftGeboorte/persoon:datum ?date .
+      OPTIONAL { ?person foaf:familyName ?familyName . }
+    }
+    ${scopeFilter(createScope(), '?g')}
+    BIND (${expression} as ${variable})`;
+
+  const result = await query(`
+PREFIX person: <http://www.w3.org/ns/person#>
+PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+
+SELECT DISTINCT ?block ?person WHERE {
+  {
+    SELECT ?block WHERE {
+      ${pattern('?block')}
+      FILTER (BOUND(?block))
+    } GROUP BY ?block HAVING (COUNT(DISTINCT ?person) > 1) ORDER BY ?block LIMIT ${DISCOVERY_PAGE_SIZE} OFFSET ${offset}
+  }
+  ${pattern('?personBlock')}
+  FILTER (?personBlock = ?block)
+}
+`);
+
+  const blocks = {};
+  for (let binding of result.results.bindings) {
+    const block = binding['block'].value;
+    if (!blocks[block])
+      blocks[block] = { block, persons: [] };
+    blocks[block].persons.push(binding['person'].value);
+  }
+  return Object.keys(blocks).map(block => blocks[block]);
+}
+
+/**
+ * Score the pairs of persons of a block and add the pairs reaching the minimal score
+ * to the given candidate pairs, unless both persons have a valid RRN.
+ *
+ * @private
+ * @param block {Array} Persons of the block
+ * @param minScore {number} Minimal total score of a candidate pair
+ * @param pairs {Object} Candidate pairs found so far, indexed by the URIs of their persons
+*/
+function scoreBlock(block, minScore, pairs) {
+  for (let i = 0; i < block.length; i++) {
+    for (let j = i + 1; j < block.length; j++) {
+      const [a, b] = [block[i], block[j]].sort((x, y) => x.uri.localeCompare(y.uri));
+      const pairKey = `${a.uri} ${b.uri}`;
+      if (pairs[pairKey] || (a.rrn && b.rrn))
+        continue;
+
+      const candidate = scorePair(a, b);
+      if (candidate.score >= minScore)
+        pairs[pairKey] = candidate;
+    }
+  }
+}
+
+/**
+ * Leave out the candidate pairs of which the persons have been split from each other.
+ *
+ * @private
+*/
+async function excludeSplitPairs(candidates) {
+  const uris = [...new Set(flatten(candidates.map(c => c.persons.map(p => p.uri))))];
+  const splits = await getSplits(uris);
+  return candidates.filter(candidate => !isSplit(candidate.persons.map(p => p.uri), splits));
+}
+
+/**
+ * Check whether the given persons have been split from each other.
+ *
+ * @public
+ * @param uris {Array} URIs of the persons
+ * @return {boolean} Whether all persons are part of the same recorded split
+*/
+async function isSplitPair(uris) {
+  return isSplit(uris, await getSplits(uris));
+}
+
+/**
+ * Check whether the given persons are all part of one of the given splits.
+ *
+ * @private
+*/
+function isSplit(uris, splits) {
+  return splits.some(split => {
+    const members = [split.master].concat(split.slaves);
+    return uris.every(uri => members.includes(uri));
+  });
+}
+
+/**
+ * Score a pair of persons.
+ *
+ * @private
+ * @return {Object} Candidate pair containing the persons, the total score and the score per field
+*/
+function scorePair(a, b) {
+  const scores = {
+    familyName: similarity(a.familyName, b.familyName),
+    firstName: similarity(a.firstName, b.firstName),
+    birthdate: dateSimilarity(a.birthdate, b.birthdate),
+    gender: a.gender && a.gender == b.gender ? 1 : 0
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((total, field) => total + WEIGHTS[field] * scores[field], 0);
+
+  return {
+    persons: [a, b],
+    score: Math.round(score * 1000) / 1000,
+    scores
+  };
+}
+
+/**
+ * Get the similarity between 2 normalized names, based on the Levenshtein distance.
+ *
+ * @private
+ * @return {number} Similarity between 0 (completely different or missing) and 1 (equal)
+*/
+function similarity(a, b) {
+  if (!a || !b)
+    return 0;
+  if (a == b)
+    return 1;
+  const distance = levenshtein(a, b);
+  return Math.round((1 - distance / Math.max(a.length, b.length)) * 1000) / 1000;
+}
+
+/**
+ * Get the similarity between 2 dates formatted as YYYY-MM-DD.
+ * Dates with swapped day and month, or a single typo, are considered similar.
+ *
+ * @private
+ * @return {number} Similarity between 0 (different or missing) and 1 (equal)
+*/
+function dateSimilarity(a, b) {
+  if (!a || !b)
+    return 0;
+  if (a == b)
+    return 1;
+
+  const [yearA, monthA, dayA] = a.split('-');
+  const [yearB, monthB, dayB] = b.split('-');
+  if (yearA == yearB && monthA == dayB && dayA == monthB)
+    return 0.75;
+  if (levenshtein(a, b) == 1)
+    return 0.5;
+  return 0;
+}
+
+/**
+ * Calculate the Levenshtein distance between 2 strings.
+ *
+ * @private
+*/
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] == b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Normalize a name for comparison: lowercase, without diacritics, spaces or punctuation.
+ *
+ * @private
+*/
+function normalizeName(name) {
+  if (!name)
+    return null;
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '') || null;
+}
+
+/**
+ * Get the persons across all graphs in scope with the properties used for scoring.
+ * If a person occurs in multiple graphs, the first value found for each property is used.
+ *
+ * @public
+ * @param uris {Array} Optional URIs of the persons to get. If none defined, all persons are returned.
+ * @return {Array} Array of persons with their URI, graphs, normalized names, birth date, gender and RRN
+*/
+async function getCandidatePersons(uris) {
+  if (uris && !uris.length)
+    return [];
+
+  const values = uris ? `VALUES ?person { ${uris.map(sparqlEscapeUri).join(' ')} }` : '';
+
+  const result = await query(`
+PREFIX person: <http://www.w3.org/ns/person#>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+
+SELECT DISTINCT ?g ?person ?familyName ?firstName ?date ?gender ?notation WHERE {
+  ${values}
+  GRAPH ?g {
+    ?person a person:Person .
+    OPTIONAL { ?person foaf:familyName ?familyName . }
+    OPTIONAL { ?person persoon:gebruikteVoornaam ?firstName . }
+    OPTIONAL { ?person persoon:heeftGeboorte/persoon:datum ?date . }
+    OPTIONAL { ?person persoon:geslacht ?gender . }
+    OPTIONAL { ?person adms:identifier/skos:notation ?notation . }
+  }
+  ${scopeFilter(createScope(), '?g')}
+}
+`);
+
+  const persons = {};
+  for (let binding of result.results.bindings) {
+    const uri = binding['person'].value;
+    if (!persons[uri])
+      persons[uri] = { uri, graphs: [] };
+    const person = persons[uri];
+
+    const graph = binding['g'].value;
+    if (!person.graphs.includes(graph))
+      person.graphs.push(graph);
+
+    if (!person.familyName && binding['familyName'])
+      person.familyName = normalizeName(binding['familyName'].value);
+    if (!person.firstName && binding['firstName'])
+      person.firstName = normalizeName(binding['firstName'].value);
+    if (!person.birthdate && binding['date'])
+      person.birthdate = binding['date'].value.substr(0, 10);
+    if (!person.gender && binding['gender'])
+      person.gender = binding['gender'].value;
+    if (!person.rrn && binding['notation']) {
+      const rrn = normalizeRrn(binding['notation'].value);
+      if (validateRrn(rrn).valid)
+        person.rrn = rrn;
+    }
+  }
+
+  return Object.keys(persons).map(uri => persons[uri]);
+}
+
+export {
+  findCandidates,
+  getCandidatePersons,
+  isSplitPair
+}
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import { getDuplicateIdentificators, reconciliateKey } from '../support';
+import { useBackend } from './sparql';
+import { createLocalStore, toBackend, writeLocalStore } from './local-store';
+import { logger } from './logger';
+import { maskKey } from './masking';
+import { createMasterUriPolicy } from './master-uri';
+import { RECONCILIATION_GRAPH, JOBS_GRAPH, CONFLICTS_GRAPH } from '../config';
+
+const USAGE = `Usage: reconcile-dump <input.nq|input.trig> [options]
+
+Reconciliate the duplicates in an N-Quads or TriG dump without a triplestore.
+
+Options:
+  --output <file>   File to write the reconciliated dataset to, as N-Quads (.nq) or TriG (.trig)
+                    (default: <input>.reconciled.<extension>)
+  --report <file>   File to write the change report to (default: <input>.report.json)
+  --model <name>    Name of the resource model to reconciliate (default: person)
+  --graphs <list>   Comma-separated list of graphs to limit the reconciliation to
+  --master-uri-policy <policy>
+                    Policy to choose the URI of the master: oldest, preferred-graph or lowest
+                    (default: value of MASTER_URI_POLICY)
+  --mint-master-uris
+                    Mint new URIs for the masters under MASTER_URI_BASE
+  --dry-run         Only report the changes, without writing the reconciliated dataset`;
+
+/**
+ * Run the offline reconciliation of a dump: the dump is loaded in an in-memory store,
+ * the duplicate keys are reconciliated one by one on that store, exactly as on the triplestore,
+ * and the resulting dataset is written together with a report of the changes.
+ *
+ * The bookkeeping of the service, i.e. the reconciliation events, data-quality issues and
+ * conflicts, is not written to the resulting dataset.
+ *
+ * @public
+ * @param args {Array} Command-line arguments, without the node executable and script
+ * @return {number} Exit code: 0 on success, 1 if the reconciliation of a key failed, 2 on invalid usage
+*/
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const store = createLocalStore(options.input);
+  useBackend(toBackend(store));
+  logger.info('Loaded dump', { file: options.input, quads: store.size });
+
+  const rrns = await getDuplicateIdentificators(options.model, options.graphs);
+  logger.info('Found duplicate keys', { model: options.model, count: rrns.length });
+
+  const reports = [];
+  let failed = 0;
+  for (let rrn of rrns) {
+    try {
+      const result = await reconciliateKey(rrn, {
+        model: options.model,
+        graphs: options.graphs,
+        isDryRun: options.isDryRun,
+        withReport: true,
+        masterUri: options.masterUri
+      });
+      reports.push(result.report);
+    } catch (e) {
+      logger.error('Failed to reconciliate key', { rrn, error: e });
+      reports.push({ model: options.model, rrn: maskKey(rrn), status: 'failed', error: e.message });
+      failed++;
+    }
+  }
+
+  if (!options.isDryRun) {
+    writeLocalStore(store, options.output, [RECONCILIATION_GRAPH, JOBS_GRAPH, CONFLICTS_GRAPH]);
+    logger.info('Wrote reconciliated dataset', { file: options.output });
+  }
+
+  const report = {
+    input: options.input,
+    output: options.isDryRun ? null : options.output,
+    model: options.model,
+    graphs: options.graphs,
+    'dry-run': options.isDryRun,
+    total: rrns.length,
+    failed,
+    reconciliations: reports
+  };
+  fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+  logger.info('Wrote change report', { file: options.report, total: rrns.length, failed });
+
+  return failed ? 1 : 0;
+}
+
+/**
+ * Parse the command-line arguments.
+ *
+ * @private
+ * @throws {Error} If the arguments are invalid
+*/
+function parseArgs(args) {
+  const options = { model: 'person', graphs: [], isDryRun: false, masterUri: {} };
+  const valueOf = (i) => {
+    if (i >= args.length)
+      throw new Error(`Missing value for ${args[i - 1]}`);
+    return args[i];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg == '--output')
+      options.output = valueOf(++i);
+    else if (arg == '--report')
+      options.report = valueOf(++i);
+    else if (arg == '--model')
+      options.model = valueOf(++i);
+    else if (arg == '--graphs')
+      options.graphs = valueOf(++i).split(',').map(g => g.trim()).filter(g => g);
+    else if (arg == '--master-uri-policy')
+      options.masterUri.policy = valueOf(++i);
+    else if (arg == '--mint-master-uris')
+      options.masterUri.mint = true;
+    else if (arg == '--dry-run')
+      options.isDryRun = true;
+    else if (arg.startsWith('--'))
+      throw new Error(`Unknown option ${arg}`);
+    else if (!options.input)
+      options.input = arg;
+    else
+      throw new Error(`Unexpected argument ${arg}`);
+  }
+
+  if (!options.input)
+    throw new Error('Missing input file');
+  createMasterUriPolicy(options.masterUri);
+
+  const extension = path.extname(options.input);
+  const base = options.input.slice(0, options.input.length - extension.length);
+  if (!options.output)
+    options.output = `${base}.reconciled${extension}`;
+  if (!options.report)
+    options.report = `${base}.report.json`;
+
+  return options;
+}
+
+export {
+  main
+}
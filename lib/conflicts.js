@@ -0,0 +1,392 @@
+import { query, update, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime } from './sparql';
+import { CONFLICTS_GRAPH } from '../config';
+import { maskKey, maskValue, isSensitiveProperty } from './masking';
+
+const CONFLICT_BASE_URI = 'http://data.lblod.info/id/reconciliation-conflicts/';
+const CANDIDATE_BASE_URI = 'http://data.lblod.info/id/reconciliation-conflict-candidates/';
+
+const STATUS_BASE_URI = 'http://lblod.data.gift/concepts/reconciliation-conflict-status/';
+
+/**
+ * Register the conflicting values of the slaves of an RRN.
+ *
+ * A conflict is registered for each of the given decisions, i.e. each property
+ * for which the slaves have different values. Only the properties configured
+ * with 'conflicts' in the resource model are passed. If a conflict has already been registered
+ * for the RRN and property, its candidates and chosen value are updated.
+ * A resolved conflict stays resolved.
+ *
+ * @public
+ * @param rrn {string} RRN the slaves belong to
+ * @param decisions {Array} Decisions taken while constructing the master record,
+ *          each containing the resource, property, candidates and selected value
+*/
+async function registerConflicts(rrn, decisions) {
+  for (let decision of decisions) {
+    const property = `${decision.resource}.${decision.property}`;
+    const existing = await findConflict(rrn, property);
+    const now = new Date();
+
+    let conflict;
+    if (existing) {
+      conflict = existing;
+      await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} ext:candidate ?candidate ;
+      ext:chosenValue ?chosenValue ;
+      dct:modified ?modified .
+    ?candidate ?p ?o .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} a ext:ReconciliationConflict .
+    OPTIONAL { ${sparqlEscapeUri(conflict.uri)} ext:chosenValue ?chosenValue . }
+    OPTIONAL { ${sparqlEscapeUri(conflict.uri)} dct:modified ?modified . }
+    OPTIONAL {
+      ${sparqlEscapeUri(conflict.uri)} ext:candidate ?candidate .
+      ?candidate ?p ?o .
+    }
+  }
+}
+`);
+    } else {
+      const id = uuid();
+      conflict = {
+        id,
+        uri: `${CONFLICT_BASE_URI}${id}`
+      };
+      await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} a ext:ReconciliationConflict ;
+      mu:uuid ${sparqlEscapeString(conflict.id)} ;
+      ext:rrn ${sparqlEscapeString(rrn)} ;
+      ext:property ${sparqlEscapeString(property)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + 'open')} ;
+      dct:created ${sparqlEscapeDateTime(now)} .
+  }
+}
+`);
+    }
+
+    const statements = decision.candidates.map(candidate => {
+      const candidateUri = sparqlEscapeUri(`${CANDIDATE_BASE_URI}${uuid()}`);
+      return `${sparqlEscapeUri(conflict.uri)} ext:candidate ${candidateUri} .
+    ${candidateUri} a ext:ReconciliationConflictCandidate ;
+      rdf:value ${sparqlEscapeString(candidate.value)} ;
+      ext:graph ${sparqlEscapeUri(candidate.graph)} .`;
+    });
+
+    await update(`
+PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} ext:chosenValue ${sparqlEscapeString(decision.value)} ;
+      dct:modified ${sparqlEscapeDateTime(now)} .
+    ${statements.join('\n    ')}
+  }
+}
+`);
+  }
+}
+
+/**
+ * Get the values chosen by resolving the conflicts of an RRN.
+ *
+ * @public
+ * @param rrn {string} RRN to get the resolutions for
+ * @return {Object} Object mapping properties, formatted as '<resource>.<property>',
+ *           to their resolved value
+*/
+async function getResolutions(rrn) {
+  const result = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+
+SELECT ?property ?value WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ?conflict a ext:ReconciliationConflict ;
+      ext:rrn ${sparqlEscapeString(rrn)} ;
+      ext:property ?property ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + 'resolved')} ;
+      ext:resolvedValue ?value .
+  }
+}
+`);
+
+  const resolutions = {};
+  for (let binding of result.results.bindings)
+    resolutions[binding['property'].value] = binding['value'].value;
+  return resolutions;
+}
+
+/**
+ * Get the registered conflicts, most recent first.
+ *
+ * @public
+ * @param filter {Object} Filters on rrn, property and status ('open' or 'resolved')
+ * @param options {Object} Paging options
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of conflicts per page
+ * @return {Object} Object containing the conflicts of the requested page and the total count
+*/
+async function getConflicts(filter = {}, options = {}) {
+  const page = options.page || 0;
+  const size = options.size || 20;
+
+  const filters = [];
+  if (filter.rrn)
+    filters.push(`?conflict ext:rrn ${sparqlEscapeString(filter.rrn)} .`);
+  if (filter.property)
+    filters.push(`?conflict ext:property ${sparqlEscapeString(filter.property)} .`);
+  if (filter.status)
+    filters.push(`?conflict adms:status ${sparqlEscapeUri(STATUS_BASE_URI + filter.status)} .`);
+
+  const countResult = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+
+SELECT (COUNT(DISTINCT ?conflict) as ?count) WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ?conflict a ext:ReconciliationConflict .
+    ${filters.join('\n    ')}
+  }
+}
+`);
+  const count = parseInt(countResult.results.bindings[0]['count'].value);
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?uuid ?created WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ?conflict a ext:ReconciliationConflict ;
+      mu:uuid ?uuid ;
+      dct:created ?created .
+    ${filters.join('\n    ')}
+  }
+} ORDER BY DESC(?created) LIMIT ${size} OFFSET ${page * size}
+`);
+
+  const conflicts = [];
+  for (let binding of result.results.bindings) {
+    const conflict = await getConflict(binding['uuid'].value);
+    if (conflict)
+      conflicts.push(conflict);
+  }
+
+  return { conflicts, count };
+}
+
+/**
+ * Get a conflict by id, including its candidate values.
+ *
+ * @public
+ * @param id {string} Id of the conflict
+ * @return {Object} The conflict or null if no conflict with the given id is found
+*/
+async function getConflict(id) {
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT ?conflict ?rrn ?property ?status ?chosenValue ?resolvedValue ?created ?modified WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ?conflict a ext:ReconciliationConflict ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      ext:rrn ?rrn ;
+      ext:property ?property ;
+      adms:status ?status ;
+      dct:created ?created .
+    OPTIONAL { ?conflict ext:chosenValue ?chosenValue . }
+    OPTIONAL { ?conflict ext:resolvedValue ?resolvedValue . }
+    OPTIONAL { ?conflict dct:modified ?modified . }
+  }
+} LIMIT 1
+`);
+
+  if (!result.results.bindings.length)
+    return null;
+
+  const binding = result.results.bindings[0];
+  const conflict = {
+    id,
+    uri: binding['conflict'].value,
+    rrn: binding['rrn'].value,
+    property: binding['property'].value,
+    status: binding['status'].value.replace(STATUS_BASE_URI, ''),
+    chosenValue: binding['chosenValue'] ? binding['chosenValue'].value : null,
+    resolvedValue: binding['resolvedValue'] ? binding['resolvedValue'].value : null,
+    created: new Date(binding['created'].value),
+    modified: binding['modified'] ? new Date(binding['modified'].value) : null
+  };
+
+  const candidateResult = await query(`
+PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?value ?graph WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} ext:candidate ?candidate .
+    ?candidate rdf:value ?value ;
+      ext:graph ?graph .
+  }
+} ORDER BY ?value ?graph
+`);
+
+  conflict.candidates = candidateResult.results.bindings.map(b => {
+    return { value: b['value'].value, graph: b['graph'].value };
+  });
+
+  return conflict;
+}
+
+/**
+ * Find the candidate of a conflict by its value or by its masked value, as serialized by toJsonApi.
+ *
+ * @public
+ * @param conflict {Object} Conflict as returned by getConflict
+ * @param value {string} Value or masked value of the candidate
+ * @return {Object} The candidate or undefined if the value is not one of the candidate values
+*/
+function findCandidate(conflict, value) {
+  return conflict.candidates.find(c => c.value == value)
+    || conflict.candidates.find(c => maskConflictValue(conflict, c.value) == value);
+}
+
+/**
+ * Resolve a conflict by picking the value that wins.
+ * The value will be used for the master record in later reconciliations of the RRN.
+ * Use resolveKeyConflict in support.js to apply the value to the data as well.
+ *
+ * @public
+ * @param conflict {Object} Conflict to resolve, as returned by getConflict
+ * @param value {string} Value that wins. Must be one of the candidate values of the conflict,
+ *          or its masked value.
+*/
+async function resolveConflict(conflict, value) {
+  const candidate = findCandidate(conflict, value);
+  if (!candidate)
+    throw new Error(`Value is not one of the candidate values of conflict ${conflict.id}`);
+  value = candidate.value;
+
+  await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} adms:status ?status ;
+      ext:resolvedValue ?resolvedValue ;
+      dct:modified ?modified .
+  }
+} INSERT {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} adms:status ${sparqlEscapeUri(STATUS_BASE_URI + 'resolved')} ;
+      ext:resolvedValue ${sparqlEscapeString(value)} ;
+      dct:modified ${sparqlEscapeDateTime(new Date())} .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ${sparqlEscapeUri(conflict.uri)} adms:status ?status .
+    OPTIONAL { ${sparqlEscapeUri(conflict.uri)} ext:resolvedValue ?resolvedValue . }
+    OPTIONAL { ${sparqlEscapeUri(conflict.uri)} dct:modified ?modified . }
+  }
+}
+`);
+}
+
+/**
+ * Serialize a conflict as JSON:API resource object.
+ * The RRN and the values of a sensitive property are masked.
+ *
+ * @public
+ * @param conflict {Object} Conflict to serialize
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(conflict) {
+  return {
+    type: 'conflicts',
+    id: conflict.id,
+    attributes: {
+      uri: conflict.uri,
+      rrn: maskKey(conflict.rrn),
+      property: conflict.property,
+      status: conflict.status,
+      candidates: conflict.candidates.map(c => ({ value: maskConflictValue(conflict, c.value), graph: c.graph })),
+      'chosen-value': maskConflictValue(conflict, conflict.chosenValue),
+      'resolved-value': maskConflictValue(conflict, conflict.resolvedValue),
+      created: conflict.created,
+      modified: conflict.modified
+    },
+    links: {
+      self: `/conflicts/${conflict.id}`
+    }
+  };
+}
+
+/**
+ * Mask a value of a conflict if the property of the conflict is sensitive.
+ *
+ * @private
+*/
+function maskConflictValue(conflict, value) {
+  return isSensitiveProperty(conflict.property) ? maskValue(value) : value;
+}
+
+/**
+ * Find the conflict registered for an RRN and property.
+ *
+ * @private
+ * @return {Object} Object containing the id and URI of the conflict or null if none is found
+*/
+async function findConflict(rrn, property) {
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?conflict ?uuid WHERE {
+  GRAPH ${sparqlEscapeUri(CONFLICTS_GRAPH)} {
+    ?conflict a ext:ReconciliationConflict ;
+      mu:uuid ?uuid ;
+      ext:rrn ${sparqlEscapeString(rrn)} ;
+      ext:property ${sparqlEscapeString(property)} .
+  }
+} LIMIT 1
+`);
+
+  if (result.results.bindings.length) {
+    const binding = result.results.bindings[0];
+    return { id: binding['uuid'].value, uri: binding['conflict'].value };
+  } else {
+    return null;
+  }
+}
+
+export {
+  registerConflicts,
+  getResolutions,
+  getConflicts,
+  getConflict,
+  findCandidate,
+  resolveConflict,
+  toJsonApi
+}
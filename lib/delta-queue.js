@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import { query, update, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime, sparqlEscapeInt } from './sparql';
+import { RECONCILIATION_GRAPH, DELTA_DEBOUNCE, DELTA_MAX_ATTEMPTS, DELTA_RETRY_DELAY, DELTA_POLL_INTERVAL } from '../config';
+import { reconciliateKey } from '../support';
+import { logger } from './logger';
+
+const QUEUE_ITEM_BASE_URI = 'http://data.lblod.info/id/delta-queue-items/';
+const BATCH_SIZE = 10;
+
+/**
+ * Whether the worker is currently processing queue items.
+ * Avoids processing the same items twice when processing takes longer than the poll interval.
+*/
+let isProcessing = false;
+
+/**
+ * Queue the reconciliation of a key, triggered by incoming deltas.
+ *
+ * The queue is persisted in the triplestore, so it survives a restart of the service.
+ * There is at most one item per model and key. Queueing a key that is already queued
+ * postpones its reconciliation until no new deltas arrived for the key during the debounce
+ * period and resets the attempts of a failed item.
+ *
+ * @public
+ * @param model {string} Name of the resource model
+ * @param key {string} Normalized key to reconciliate
+*/
+async function enqueue(model, key) {
+  const id = crypto.createHash('sha256').update([model, key].join(' ')).digest('hex');
+  const itemUri = sparqlEscapeUri(`${QUEUE_ITEM_BASE_URI}${id}`);
+  const now = new Date();
+
+  await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} ext:status ?status ;
+      ext:attempts ?attempts ;
+      ext:notBefore ?notBefore ;
+      ext:lastError ?error ;
+      dct:modified ?modified .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} ext:status ?status .
+    OPTIONAL { ${itemUri} ext:attempts ?attempts . }
+    OPTIONAL { ${itemUri} ext:notBefore ?notBefore . }
+    OPTIONAL { ${itemUri} ext:lastError ?error . }
+    OPTIONAL { ${itemUri} dct:modified ?modified . }
+  }
+}
+`);
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} a ext:DeltaQueueItem ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      ext:model ${sparqlEscapeString(model)} ;
+      ext:rrn ${sparqlEscapeString(key)} ;
+      dct:created ${sparqlEscapeDateTime(now)} .
+  }
+} WHERE {
+  FILTER NOT EXISTS {
+    GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+      ${itemUri} a ext:DeltaQueueItem .
+    }
+  }
+}
+`);
+
+  await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} ext:status ${sparqlEscapeString('pending')} ;
+      ext:attempts ${sparqlEscapeInt(0)} ;
+      ext:notBefore ${sparqlEscapeDateTime(new Date(now.getTime() + DELTA_DEBOUNCE))} ;
+      dct:modified ${sparqlEscapeDateTime(now)} .
+  }
+}
+`);
+}
+
+/**
+ * Start the background worker polling the queue for items that are due.
+ *
+ * @public
+*/
+function startWorker() {
+  logger.info('Starting delta queue worker', { interval: DELTA_POLL_INTERVAL });
+  setInterval(processQueue, DELTA_POLL_INTERVAL);
+}
+
+/**
+ * Get the number of queue items waiting to be processed.
+ *
+ * @public
+ * @return {number} Number of pending queue items
+*/
+async function getQueueDepth() {
+  const result = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT (COUNT(DISTINCT ?item) as ?count) WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?item a ext:DeltaQueueItem ;
+      ext:status ${sparqlEscapeString('pending')} .
+  }
+}
+`);
+  return parseInt(result.results.bindings[0]['count'].value);
+}
+
+/**
+ * Reconciliate the keys of the queue items that are due, oldest first.
+ *
+ * An item is removed from the queue once its key has been reconciliated, unless it has
+ * been queued again in the meantime. A failed item is retried with an exponential backoff,
+ * until the maximum number of attempts is reached. It then remains in the queue with status
+ * 'failed' until it is queued again. Called by the worker on each poll.
+ *
+ * @public
+*/
+async function processQueue() {
+  if (isProcessing)
+    return;
+  isProcessing = true;
+
+  try {
+    let items;
+    do {
+      items = await getDueItems();
+      for (let item of items) {
+        try {
+          await reconciliateKey(item.key, { model: item.model, wait: true });
+          await removeItem(item);
+        } catch (e) {
+          logger.error('Failed to reconciliate queued key', { model: item.model, rrn: item.key, attempt: item.attempts + 1, error: e });
+          await registerFailure(item, e);
+        }
+      }
+    } while (items.length == BATCH_SIZE);
+  } catch (e) {
+    logger.error('Failed to process the delta queue', { error: e });
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Get the pending queue items of which the debounce or retry delay has expired.
+ *
+ * @private
+*/
+async function getDueItems() {
+  const result = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT ?item ?model ?rrn ?attempts ?modified WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?item a ext:DeltaQueueItem ;
+      ext:model ?model ;
+      ext:rrn ?rrn ;
+      ext:status ${sparqlEscapeString('pending')} ;
+      ext:attempts ?attempts ;
+      ext:notBefore ?notBefore ;
+      dct:modified ?modified .
+    FILTER (?notBefore <= ${sparqlEscapeDateTime(new Date())})
+  }
+} ORDER BY ?notBefore LIMIT ${BATCH_SIZE}
+`);
+
+  return result.results.bindings.map(b => {
+    return {
+      uri: b['item'].value,
+      model: b['model'].value,
+      key: b['rrn'].value,
+      attempts: parseInt(b['attempts'].value),
+      modified: b['modified'].value
+    };
+  });
+}
+
+/**
+ * Remove a processed item from the queue, unless it has been modified
+ * (i.e. queued again) since it has been read.
+ *
+ * @private
+*/
+async function removeItem(item) {
+  await update(`
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(item.uri)} ?p ?o .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(item.uri)} dct:modified ?modified ;
+      ?p ?o .
+    FILTER (STR(?modified) = ${sparqlEscapeString(item.modified)})
+  }
+}
+`);
+}
+
+/**
+ * Register a failed attempt of a queue item and schedule the next attempt,
+ * unless the item has been queued again since it has been read.
+ *
+ * @private
+*/
+async function registerFailure(item, error) {
+  const attempts = item.attempts + 1;
+  const status = attempts >= DELTA_MAX_ATTEMPTS ? 'failed' : 'pending';
+  const notBefore = new Date(Date.now() + DELTA_RETRY_DELAY * Math.pow(2, attempts - 1));
+  const itemUri = sparqlEscapeUri(item.uri);
+
+  await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} ext:status ?status ;
+      ext:attempts ?attempts ;
+      ext:notBefore ?notBefore ;
+      ext:lastError ?error ;
+      dct:modified ?modified .
+  }
+} INSERT {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} ext:status ${sparqlEscapeString(status)} ;
+      ext:attempts ${sparqlEscapeInt(attempts)} ;
+      ext:notBefore ${sparqlEscapeDateTime(notBefore)} ;
+      ext:lastError ${sparqlEscapeString(error.message || `${error}`)} ;
+      dct:modified ${sparqlEscapeDateTime(new Date())} .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${itemUri} ext:status ?status ;
+      ext:attempts ?attempts ;
+      ext:notBefore ?notBefore ;
+      dct:modified ?modified .
+    OPTIONAL { ${itemUri} ext:lastError ?error . }
+    FILTER (STR(?modified) = ${sparqlEscapeString(item.modified)})
+  }
+}
+`);
+
+  if (status == 'failed')
+    logger.warn('Giving up on queued key', { model: item.model, rrn: item.key, attempts });
+}
+
+export {
+  enqueue,
+  startWorker,
+  processQueue,
+  getQueueDepth
+}
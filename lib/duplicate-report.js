@@ -0,0 +1,276 @@
+import { query, sparqlEscapeUri } from './sparql';
+import { getDuplicates, countDuplicates, countDuplicatesPerGraph, getConflictingProperties } from '../support';
+import { getModel } from './resource-models';
+import { maskKey, hashKey } from './masking';
+import { createScope, isInScope } from './graph-scope';
+import { DISCOVERY_PAGE_SIZE } from '../config';
+
+const DUPLICATE_BASE_URI = 'http://data.lblod.info/id/duplicates/';
+
+const CSV_COLUMNS = ['hash', 'rrn', 'resources', 'graphs', 'conflicting', 'conflicting-properties', 'in-scope', 'out-of-scope-graphs'];
+
+/**
+ * Create a report of the duplicate keys of a resource model, e.g. the duplicate RRNs of persons.
+ *
+ * Each duplicate is identified by the salted hash of its key. The key itself is only
+ * included masked. For each duplicate, the report lists the duplicate resources with their
+ * graphs and the properties the resources have conflicting values for.
+ *
+ * Duplicates in all graphs are reported, including the graphs outside the scope of a
+ * reconciliation, i.e. the graphs not allowed by the configured allow and deny lists
+ * or not selected. A duplicate is in scope if at least 2 of its resources reside in
+ * a graph in scope, so that a reconciliation would merge them.
+ *
+ * The report also contains totals per graph: the number of resources, the number of
+ * resources involved in a duplicate, the number of duplicate keys and the number of resources
+ * missing each sub-resource of the model, e.g. an identifier or birthdate for persons.
+ *
+ * The duplicates are paged and the totals are counted in the triplestore. Without page size,
+ * the duplicates are retrieved page by page.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @param options {Object} Paging options. All duplicates are described if no page size is given.
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of duplicates per page
+ * @param options.graphs {Array} Graphs selected for reconciliation, to determine the scope
+ * @return {Object} Report containing the model name, the total count of duplicates,
+ *           the count of duplicates in scope, the described duplicates of the requested
+ *           page and the totals
+*/
+async function createDuplicateReport(modelName, options = {}) {
+  const model = getModel(modelName);
+  const scope = createScope(options.graphs);
+
+  const entries = [];
+  if (options.size) {
+    entries.push(...await describeDuplicates(model, scope, await getDuplicates(model.name, options)));
+  } else {
+    for (let page = 0; ; page++) {
+      const duplicates = await getDuplicates(model.name, { page, size: DISCOVERY_PAGE_SIZE });
+      entries.push(...await describeDuplicates(model, scope, duplicates));
+      if (duplicates.length < DISCOVERY_PAGE_SIZE)
+        break;
+    }
+  }
+
+  return {
+    model: model.name,
+    count: await countDuplicates(model.name),
+    inScopeCount: await countDuplicates(model.name, scope),
+    entries,
+    totals: await getTotals(model)
+  };
+}
+
+/**
+ * Describe the duplicates of a page of the report.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param scope {Object} Scope of the reconciliation
+ * @param duplicates {Array} Duplicates as returned by getDuplicates
+ * @return {Array} Entries of the report
+*/
+async function describeDuplicates(model, scope, duplicates) {
+  const conflicting = await getConflictingProperties(model.name, duplicates);
+  return duplicates.map(duplicate => {
+    const graphs = [...new Set(duplicate.resources.reduce((all, r) => all.concat(r.graphs), []))].sort();
+    return {
+      hash: hashKey(duplicate.key),
+      rrn: maskKey(duplicate.key),
+      resources: duplicate.resources,
+      graphs,
+      conflicting: conflicting[duplicate.key].length > 0,
+      conflictingProperties: conflicting[duplicate.key],
+      inScope: duplicate.resources.filter(r => r.graphs.some(g => isInScope(scope, g))).length > 1,
+      outOfScopeGraphs: graphs.filter(g => !isInScope(scope, g))
+    };
+  });
+}
+
+/**
+ * Convert a duplicate of a report to JSON:API format.
+ *
+ * @public
+*/
+function toJsonApi(entry) {
+  return {
+    type: 'duplicates',
+    id: entry.hash,
+    attributes: {
+      rrn: entry.rrn,
+      resources: entry.resources,
+      graphs: entry.graphs,
+      conflicting: entry.conflicting,
+      'conflicting-properties': entry.conflictingProperties,
+      'in-scope': entry.inScope,
+      'out-of-scope-graphs': entry.outOfScopeGraphs
+    }
+  };
+}
+
+/**
+ * Format the duplicates of a report as CSV, one line per duplicate.
+ * Multiple resources, graphs and properties in one column are separated by a space.
+ *
+ * @public
+ * @param report {Object} Report as returned by createDuplicateReport
+ * @return {string} CSV including a header line
+*/
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (let entry of report.entries) {
+    const values = [
+      entry.hash,
+      entry.rrn,
+      entry.resources.map(r => r.uri).join(' '),
+      entry.graphs.join(' '),
+      entry.conflicting,
+      entry.conflictingProperties.join(' '),
+      entry.inScope,
+      entry.outOfScopeGraphs.join(' ')
+    ];
+    lines.push(values.map(toCsvValue).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a report as JSON-LD. The report, each duplicate and the totals per graph
+ * are described as nodes of the graph.
+ *
+ * @public
+ * @param report {Object} Report as returned by createDuplicateReport
+ * @return {Object} JSON-LD document
+*/
+function toJsonLd(report) {
+  const duplicates = report.entries.map(entry => {
+    return {
+      '@id': `${DUPLICATE_BASE_URI}${entry.hash}`,
+      '@type': 'ext:Duplicate',
+      'ext:keyHash': entry.hash,
+      'ext:maskedKey': entry.rrn,
+      'ext:resource': entry.resources.map(r => ({ '@id': r.uri, 'ext:graph': r.graphs.map(g => ({ '@id': g })) })),
+      'ext:graph': entry.graphs.map(g => ({ '@id': g })),
+      'ext:conflicting': entry.conflicting,
+      'ext:conflictingProperty': entry.conflictingProperties,
+      'ext:inScope': entry.inScope,
+      'ext:outOfScopeGraph': entry.outOfScopeGraphs.map(g => ({ '@id': g }))
+    };
+  });
+
+  const graphs = report.totals.graphs.map(total => {
+    return {
+      '@type': 'ext:GraphTotal',
+      'ext:graph': { '@id': total.graph },
+      'ext:resourceCount': total.resources,
+      'ext:duplicateResourceCount': total.duplicateResources,
+      'ext:duplicateCount': total.duplicates,
+      'ext:missing': Object.keys(total.missing).map(name => ({ 'ext:resourceName': name, 'ext:count': total.missing[name] }))
+    };
+  });
+
+  return {
+    '@context': {
+      ext: 'http://mu.semte.ch/vocabularies/ext/'
+    },
+    '@graph': [
+      {
+        '@type': 'ext:DuplicateReport',
+        'ext:model': report.model,
+        'ext:duplicateCount': report.count,
+        'ext:inScopeDuplicateCount': report.inScopeCount,
+        'ext:duplicate': duplicates.map(d => ({ '@id': d['@id'] })),
+        'ext:graphTotal': graphs
+      }
+    ].concat(duplicates)
+  };
+}
+
+/**
+ * Calculate the totals per graph and overall for a report.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @return {Object} Object containing the totals per graph and the total number
+ *           of resources missing each sub-resource
+*/
+async function getTotals(model) {
+  const graphs = {};
+  const getGraph = (graph) => {
+    if (!graphs[graph]) {
+      const missing = {};
+      Object.keys(model.resources).forEach(name => missing[name] = 0);
+      graphs[graph] = { graph, resources: 0, duplicateResources: 0, duplicates: 0, missing };
+    }
+    return graphs[graph];
+  };
+
+  for (let { graph, count } of await countPerGraph(model))
+    getGraph(graph).resources = count;
+
+  for (let { graph, resources, duplicates } of await countDuplicatesPerGraph(model.name)) {
+    getGraph(graph).duplicateResources = resources;
+    getGraph(graph).duplicates = duplicates;
+  }
+
+  const missing = {};
+  for (let name of Object.keys(model.resources)) {
+    missing[name] = 0;
+    for (let { graph, count } of await countPerGraph(model, model.resources[name].predicate)) {
+      getGraph(graph).missing[name] = count;
+      missing[name] += count;
+    }
+  }
+
+  return {
+    graphs: Object.keys(graphs).sort().map(graph => graphs[graph]),
+    missing
+  };
+}
+
+/**
+ * Count the root resources of a model per graph.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param missingPredicate {string} If given, only count the resources not having this predicate in the graph
+ * @return {Array} Array of objects with a graph and count
+*/
+async function countPerGraph(model, missingPredicate) {
+  const filter = missingPredicate ? `FILTER NOT EXISTS { ?resource ${sparqlEscapeUri(missingPredicate)} ?sub . }` : '';
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+
+SELECT ?g (COUNT(DISTINCT ?resource) as ?count) WHERE {
+  GRAPH ?g {
+    ?resource a ${sparqlEscapeUri(model.type)} ;
+      mu:uuid ?uuid .
+    ${filter}
+  }
+} GROUP BY ?g
+`);
+
+  return result.results.bindings.map(b => ({ graph: b['g'].value, count: parseInt(b['count'].value) }));
+}
+
+/**
+ * Escape a value for CSV.
+ *
+ * @private
+*/
+function toCsvValue(value) {
+  const string = `${value}`;
+  if (/[",\n]/.test(string))
+    return `"${string.replace(/"/g, '""')}"`;
+  else
+    return string;
+}
+
+export {
+  createDuplicateReport,
+  toJsonApi,
+  toCsv,
+  toJsonLd
+}
@@ -0,0 +1,98 @@
+import { ALLOWED_GRAPHS, DENIED_GRAPHS, RECONCILIATION_GRAPH, JOBS_GRAPH, CONFLICTS_GRAPH } from '../config';
+import { sparqlEscapeString, sparqlEscapeUri } from './sparql';
+
+/**
+ * Configured graph patterns. A pattern is a graph URI, optionally containing '*'
+ * as wildcard for any sequence of characters, e.g. 'http://mu.semte.ch/graphs/harvest/*'.
+*/
+const allowed = parsePatterns(ALLOWED_GRAPHS);
+const denied = parsePatterns(DENIED_GRAPHS);
+
+/**
+ * Graphs containing the bookkeeping of the service itself, e.g. the reconciliation events
+ * referring to the slaves they merged. They are never in scope, whatever the configured lists,
+ * so a reconciliation doesn't rewrite the records used to split and revert it.
+*/
+const serviceGraphs = [...new Set([RECONCILIATION_GRAPH, JOBS_GRAPH, CONFLICTS_GRAPH])];
+
+/**
+ * Create the scope of a reconciliation run. Only the graphs in scope are read and changed.
+ * A graph is in scope if it is allowed by the configured allow list (if any), it isn't denied
+ * by the configured deny list nor one of the graphs of the service and, if graphs are selected
+ * for the run, it is one of them.
+ *
+ * @public
+ * @param graphs {Array} Graph URIs selected for the run. All allowed graphs if empty or undefined.
+ * @return {Object} The scope
+*/
+function createScope(graphs) {
+  return { graphs: graphs && graphs.length ? graphs : null };
+}
+
+/**
+ * Whether a graph is in the given scope.
+ *
+ * @public
+ * @param scope {Object} Scope as returned by createScope. Only the configured lists apply if undefined.
+ * @param graph {string} Graph URI
+ * @return {boolean} True if the graph is in scope
+*/
+function isInScope(scope, graph) {
+  if (scope && scope.graphs && !scope.graphs.includes(graph))
+    return false;
+  return isAllowedGraph(graph);
+}
+
+/**
+ * Whether a graph is allowed by the configured allow and deny lists.
+ * The graphs of the service itself are never allowed.
+ *
+ * @public
+ * @param graph {string} Graph URI
+ * @return {boolean} True if the graph is allowed
+*/
+function isAllowedGraph(graph) {
+  if (serviceGraphs.includes(graph))
+    return false;
+  if (allowed.length && !allowed.some(pattern => pattern.test(graph)))
+    return false;
+  return !denied.some(pattern => pattern.test(graph));
+}
+
+/**
+ * Get a SPARQL filter only keeping the graphs in the given scope, as isInScope does.
+ *
+ * @public
+ * @param scope {Object} Scope as returned by createScope
+ * @param variable {string} SPARQL variable holding the graph, e.g. '?g'
+ * @return {string} SPARQL FILTER
+*/
+function scopeFilter(scope, variable) {
+  const conditions = [`${variable} NOT IN (${serviceGraphs.map(sparqlEscapeUri).join(', ')})`];
+  if (scope && scope.graphs)
+    conditions.push(`${variable} IN (${scope.graphs.map(sparqlEscapeUri).join(', ')})`);
+  if (allowed.length)
+    conditions.push(`(${allowed.map(pattern => `REGEX(STR(${variable}), ${sparqlEscapeString(pattern.source)})`).join(' || ')})`);
+  for (let pattern of denied)
+    conditions.push(`!REGEX(STR(${variable}), ${sparqlEscapeString(pattern.source)})`);
+  return `FILTER (${conditions.join(' && ')})`;
+}
+
+/**
+ * Parse a comma-separated list of graph patterns into regular expressions.
+ *
+ * @private
+*/
+function parsePatterns(list) {
+  return list.split(',').map(p => p.trim()).filter(p => p).map(pattern => {
+    const escaped = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`);
+  });
+}
+
+export {
+  createScope,
+  isInScope,
+  isAllowedGraph,
+  scopeFilter
+}
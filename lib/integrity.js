@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import { query, sparqlEscapeUri } from './sparql';
+import { createPlan, addStep, executeSteps, uri } from './plan';
+import { createScope, scopeFilter } from './graph-scope';
+import { resolveUri } from './same-as';
+import { withLocks } from './locks';
+import { maskKey, hashKey } from './masking';
+
+/**
+ * Number of rows retrieved per query while scanning the whole triplestore.
+*/
+const PAGE_SIZE = 1000;
+
+/**
+ * Prefixes of the queries finding integrity issues.
+*/
+const PREFIXES = `PREFIX owl: <http://www.w3.org/2002/07/owl#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>`;
+
+/**
+ * Find the triples still referring to a former slave that has no data anymore,
+ * i.e. a URI linked to its master by owl:sameAs that isn't the subject of any other triple.
+ * The owl:sameAs links themselves and the URI mappings of notifications are not considered references.
+ * The graphs of the service, which refer to former slaves on purpose, are never checked.
+ *
+ * @public
+ * @param options {Object} Options
+ * @param options.uris {Array} URIs of the former slaves to check. All former slaves are checked if not given.
+ * @param options.scope {Object} Scope of the graphs to check the references in
+ * @param options.offset {number} Number of issues to skip, in order of graph, subject, predicate and object
+ * @param options.limit {number} Maximum number of issues to return. All issues are returned if not given.
+ * @return {Array} Array of issues of type 'dangling-reference', each with the graph, subject,
+ *           predicate and object of the reference
+*/
+async function findDanglingReferences(options = {}) {
+  if (options.uris && !options.uris.length)
+    return [];
+
+  const bindings = await selectIssues('?g ?s ?p ?slave', danglingReferencesPattern(options), options);
+  return bindings.map(b => ({
+    type: 'dangling-reference',
+    graph: b['g'].value,
+    subject: b['s'].value,
+    predicate: b['p'].value,
+    object: b['slave'].value
+  }));
+}
+
+/**
+ * Count the triples still referring to a former slave that has no data anymore, as found by findDanglingReferences.
+ *
+ * @public
+ * @param options {Object} Options
+ * @param options.scope {Object} Scope of the graphs to check the references in
+ * @return {number} Number of dangling references
+*/
+async function countDanglingReferences(options = {}) {
+  return await countIssues('?g ?s ?p ?slave', danglingReferencesPattern(options));
+}
+
+/**
+ * Find the root resources of a model without a key in a graph, e.g. persons
+ * left without an identifier.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param options {Object} Options
+ * @param options.uris {Array} URIs of the root resources to check. All root resources are checked if not given.
+ * @param options.scope {Object} Scope of the graphs to check
+ * @param options.offset {number} Number of issues to skip, in order of graph and subject
+ * @param options.limit {number} Maximum number of issues to return. All issues are returned if not given.
+ * @return {Array} Array of issues of type 'missing-key', each with the graph and the subject
+*/
+async function findResourcesWithoutKey(model, options = {}) {
+  if (options.uris && !options.uris.length)
+    return [];
+
+  const bindings = await selectIssues('?g ?resource', resourcesWithoutKeyPattern(model, options), options);
+  return bindings.map(b => ({ type: 'missing-key', graph: b['g'].value, subject: b['resource'].value }));
+}
+
+/**
+ * Count the root resources of a model without a key in a graph, as found by findResourcesWithoutKey.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param options {Object} Options
+ * @param options.scope {Object} Scope of the graphs to check
+ * @return {number} Number of root resources without a key
+*/
+async function countResourcesWithoutKey(model, options = {}) {
+  return await countIssues('?g ?resource', resourcesWithoutKeyPattern(model, options));
+}
+
+/**
+ * Repair dangling references by redirecting them, in the same graph, to the canonical URI
+ * of the former slave they refer to. References to a former slave of which the canonical
+ * URI is ambiguous are left as is.
+ *
+ * The canonical URI is locked while its references are repaired, together with the locks
+ * returned by options.getLockNames, e.g. the locks of its keys, so the references are not
+ * repaired while the canonical resource is being reconciliated.
+ *
+ * @public
+ * @param issues {Array} Issues of type 'dangling-reference'
+ * @param options {Object} Options
+ * @param options.getLockNames {Function} Async function returning the names of the additional
+ *           locks to hold for a canonical URI
+ * @return {Array} The issues that have been repaired
+*/
+async function repairDanglingReferences(issues, options = {}) {
+  const repaired = [];
+  const slaves = [...new Set(issues.map(i => i.object))];
+  for (let slave of slaves) {
+    const { canonical, ambiguous } = await resolveUri(slave);
+    if (ambiguous || canonical == slave)
+      continue;
+
+    const names = options.getLockNames ? await options.getLockNames(canonical) : [];
+    await withLocks([canonical].concat(names), async () => {
+      const plan = createPlan();
+      for (let issue of issues.filter(i => i.object == slave)) {
+        const quad = { graph: uri(issue.graph), subject: uri(issue.subject), predicate: uri(issue.predicate), object: uri(slave) };
+        await addStep(plan, 'repairReference', [quad], [Object.assign({}, quad, { object: uri(canonical) })]);
+        repaired.push(Object.assign({}, issue, { repair: canonical }));
+      }
+      await executeSteps(plan.steps);
+    }, { wait: true, description: 'the canonical resource' });
+  }
+  return repaired;
+}
+
+/**
+ * Build the SPARQL pattern matching the dangling references, as described in findDanglingReferences.
+ *
+ * @private
+*/
+function danglingReferencesPattern(options) {
+  const values = options.uris ? `VALUES ?slave {
+    ${options.uris.map(sparqlEscapeUri).join('\n    ')}
+  }` : '';
+
+  return `
+  ${values}
+  GRAPH ?h {
+    ?slave owl:sameAs ?master .
+  }
+  GRAPH ?g {
+    ?s ?p ?slave .
+  }
+  FILTER (?p NOT IN (owl:sameAs, ext:oldUri) && ?slave != ?master)
+  FILTER NOT EXISTS {
+    GRAPH ?i {
+      ?slave ?q ?v .
+    }
+    FILTER (?q != owl:sameAs)
+  }
+  ${scopeFilter(options.scope || createScope(), '?g')}`;
+}
+
+/**
+ * Build the SPARQL pattern matching the root resources without a key, as described in findResourcesWithoutKey.
+ *
+ * @private
+*/
+function resourcesWithoutKeyPattern(model, options) {
+  const values = options.uris ? `VALUES ?resource {
+    ${options.uris.map(sparqlEscapeUri).join('\n    ')}
+  }` : '';
+
+  return `
+  ${values}
+  GRAPH ?g {
+    ?resource a ${sparqlEscapeUri(model.type)} ;
+      mu:uuid ?uuid .
+    FILTER NOT EXISTS { ?resource ${sparqlEscapeUri(model.key.path[0])} ?key . }
+  }
+  ${scopeFilter(options.scope || createScope(), '?g')}`;
+}
+
+/**
+ * Select the distinct bindings of the given variables matching a pattern, ordered by these variables.
+ * Only the requested page is selected if a limit is given. Otherwise all bindings are selected page by page.
+ *
+ * @private
+ * @param variables {string} Variables to select and order by, e.g. '?g ?resource'
+ * @param pattern {string} SPARQL pattern
+ * @param options {Object} Options containing the offset and limit
+ * @return {Array} Array of bindings
+*/
+async function selectIssues(variables, pattern, options) {
+  const selectQuery = `${PREFIXES}
+
+SELECT DISTINCT ${variables} WHERE {${pattern}
+} ORDER BY ${variables}`;
+
+  if (options.limit !== undefined) {
+    if (options.limit <= 0)
+      return [];
+    const result = await query(`${selectQuery} LIMIT ${options.limit} OFFSET ${options.offset || 0}\n`);
+    return result.results.bindings;
+  }
+
+  const bindings = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const result = await query(`${selectQuery} LIMIT ${PAGE_SIZE} OFFSET ${offset}\n`);
+    bindings.push(...result.results.bindings);
+    if (result.results.bindings.length < PAGE_SIZE)
+      return bindings;
+  }
+}
+
+/**
+ * Count the distinct bindings of the given variables matching a pattern.
+ *
+ * @private
+ * @return {number} Number of distinct bindings
+*/
+async function countIssues(variables, pattern) {
+  const result = await query(`${PREFIXES}
+
+SELECT (COUNT(*) as ?count) WHERE {
+  SELECT DISTINCT ${variables} WHERE {${pattern}
+  }
+}
+`);
+  return parseInt(result.results.bindings[0]['count'].value);
+}
+
+/**
+ * Serialize an integrity issue as JSON:API resource object. Keys are masked.
+ *
+ * @public
+ * @param issue {Object} Issue of type 'dangling-reference', 'missing-key' or 'remaining-duplicate'
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(issue) {
+  // the key is hashed with the masking salt, so it can't be recovered from the id
+  const id = crypto.createHash('sha256')
+        .update([issue.type, issue.graph, issue.subject, issue.predicate, issue.object, issue.key && hashKey(issue.key)].join(' '))
+        .digest('hex');
+  return {
+    type: 'integrity-issues',
+    id,
+    attributes: {
+      'issue-type': issue.type,
+      graph: issue.graph,
+      subject: issue.subject,
+      predicate: issue.predicate,
+      object: issue.object,
+      key: maskKey(issue.key),
+      resources: issue.resources,
+      repair: issue.repair
+    }
+  };
+}
+
+export {
+  findDanglingReferences,
+  countDanglingReferences,
+  findResourcesWithoutKey,
+  countResourcesWithoutKey,
+  repairDanglingReferences,
+  toJsonApi
+}
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { query, update, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime } from './sparql';
+import { RECONCILIATION_GRAPH } from '../config';
+import { maskKey, maskValue, isSensitiveProperty } from './masking';
+
+const ISSUE_BASE_URI = 'http://data.lblod.info/id/data-quality-issues/';
+
+/**
+ * Record data-quality issues found while reconciliating persons,
+ * e.g. a person having 2 identifiers or 2 birth dates in the same graph.
+ *
+ * An issue is identified by its type, graph, subject and property. Reporting
+ * an issue that has already been recorded updates its values.
+ *
+ * @public
+ * @param issues {Array} Array of issues, each containing a type, graph, person,
+ *          subject, property and the values found
+*/
+async function reportIssues(issues) {
+  for (let issue of issues) {
+    const id = crypto.createHash('sha256').update([issue.type, issue.graph, issue.subject, issue.property].join(' ')).digest('hex');
+    const issueUri = sparqlEscapeUri(`${ISSUE_BASE_URI}${id}`);
+    const now = new Date();
+    const values = issue.values.map(v => `${issueUri} rdf:value ${sparqlEscapeString(v)} .`);
+
+    await update(`
+PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${issueUri} rdf:value ?value ;
+      dct:modified ?modified .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${issueUri} rdf:value ?value .
+    OPTIONAL { ${issueUri} dct:modified ?modified . }
+  }
+}
+`);
+
+    await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${issueUri} a ext:DataQualityIssue ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      ext:issueType ${sparqlEscapeString(issue.type)} ;
+      ext:graph ${sparqlEscapeUri(issue.graph)} ;
+      ext:person ${sparqlEscapeUri(issue.person)} ;
+      ext:subject ${sparqlEscapeUri(issue.subject)} ;
+      ext:property ${sparqlEscapeString(issue.property)} ;
+      dct:created ${sparqlEscapeDateTime(now)} .
+  }
+} WHERE {
+  FILTER NOT EXISTS {
+    GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+      ${issueUri} a ext:DataQualityIssue .
+    }
+  }
+}
+`);
+
+    await update(`
+PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${issueUri} dct:modified ${sparqlEscapeDateTime(now)} .
+    ${values.join('\n    ')}
+  }
+}
+`);
+  }
+}
+
+/**
+ * Get the recorded data-quality issues, most recently modified first.
+ *
+ * @public
+ * @param filter {Object} Filters on type, graph and person
+ * @param options {Object} Paging options
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of issues per page
+ * @return {Object} Object containing the issues of the requested page and the total count
+*/
+async function getIssues(filter = {}, options = {}) {
+  const page = options.page || 0;
+  const size = options.size || 20;
+
+  const filters = [];
+  if (filter.type)
+    filters.push(`?issue ext:issueType ${sparqlEscapeString(filter.type)} .`);
+  if (filter.graph)
+    filters.push(`?issue ext:graph ${sparqlEscapeUri(filter.graph)} .`);
+  if (filter.person)
+    filters.push(`?issue ext:person ${sparqlEscapeUri(filter.person)} .`);
+
+  const countResult = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT (COUNT(DISTINCT ?issue) as ?count) WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?issue a ext:DataQualityIssue .
+    ${filters.join('\n    ')}
+  }
+}
+`);
+  const count = parseInt(countResult.results.bindings[0]['count'].value);
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?issue ?uuid ?type ?graph ?person ?subject ?property ?modified WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?issue a ext:DataQualityIssue ;
+      mu:uuid ?uuid ;
+      ext:issueType ?type ;
+      ext:graph ?graph ;
+      ext:person ?person ;
+      ext:subject ?subject ;
+      ext:property ?property ;
+      dct:modified ?modified .
+    ${filters.join('\n    ')}
+  }
+} ORDER BY DESC(?modified) LIMIT ${size} OFFSET ${page * size}
+`);
+
+  const issues = [];
+  for (let binding of result.results.bindings) {
+    const issue = {
+      id: binding['uuid'].value,
+      uri: binding['issue'].value,
+      type: binding['type'].value,
+      graph: binding['graph'].value,
+      person: binding['person'].value,
+      subject: binding['subject'].value,
+      property: binding['property'].value,
+      modified: new Date(binding['modified'].value)
+    };
+
+    const valueResult = await query(`
+PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+SELECT ?value WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(issue.uri)} rdf:value ?value .
+  }
+} ORDER BY ?value
+`);
+    issue.values = valueResult.results.bindings.map(b => b['value'].value);
+    issues.push(issue);
+  }
+
+  return { issues, count };
+}
+
+/**
+ * Serialize a data-quality issue as JSON:API resource object.
+ * The values of a sensitive property are masked.
+ *
+ * @public
+ * @param issue {Object} Issue to serialize
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(issue) {
+  return {
+    type: 'data-quality-issues',
+    id: issue.id,
+    attributes: {
+      uri: issue.uri,
+      'issue-type': issue.type,
+      graph: issue.graph,
+      person: issue.person,
+      subject: issue.subject,
+      property: issue.property,
+      values: issue.values.map(value => maskIssueValue(issue, value)),
+      modified: issue.modified
+    }
+  };
+}
+
+/**
+ * Serialize an issue with a key value that cannot be used for reconciliation,
+ * as returned by getIdentifierIssues, as JSON:API resource object. The key value is masked.
+ *
+ * @public
+ * @param issue {Object} Issue to serialize
+ * @return {Object} JSON:API resource object
+*/
+function toIdentifierIssueJsonApi(issue) {
+  return {
+    type: 'identifier-issues',
+    attributes: Object.assign({}, issue, { notation: maskKey(issue.notation) })
+  };
+}
+
+/**
+ * Mask a value of a data-quality issue if the property of the issue is sensitive.
+ *
+ * @private
+*/
+function maskIssueValue(issue, value) {
+  return isSensitiveProperty(issue.property) ? maskValue(value) : value;
+}
+
+export {
+  reportIssues,
+  getIssues,
+  toJsonApi,
+  toIdentifierIssueJsonApi
+}
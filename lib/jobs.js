@@ -0,0 +1,685 @@
+import fs from 'fs';
+import path from 'path';
+import { query, update, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime, sparqlEscapeInt, sparqlEscapeBool } from './sparql';
+import { JOBS_GRAPH, REPORTS_DIR, BULK_CONCURRENCY, BULK_THROTTLE_DELAY } from '../config';
+import { reconciliateKey, discoverDuplicateKeys, updateDuplicateBacklog } from '../support';
+import { logger } from './logger';
+import { maskKey } from './masking';
+
+const JOB_BASE_URI = 'http://data.lblod.info/id/reconciliation-jobs/';
+const ERROR_BASE_URI = 'http://data.lblod.info/id/reconciliation-errors/';
+const JOB_OPERATION = 'http://lblod.data.gift/id/jobs/concept/JobOperation/person-reconciliation';
+
+const STATUS_BASE_URI = 'http://redpencil.data.gift/id/concept/JobStatus/';
+const STATUSES = ['busy', 'success', 'failed', 'canceled'];
+
+/**
+ * Jobs that are currently running in this process, indexed by id.
+ * Used to signal cancellation to the loop processing the RRNs.
+*/
+const runningJobs = {};
+
+/**
+ * Create a new reconciliation job for the duplicate RRNs of a model.
+ * The job is stored with status 'busy'. Its total is 0 until the RRNs are discovered by running the job.
+ *
+ * A full job considers all RRNs. An incremental job only considers the RRNs of which a root resource
+ * or the resource holding the RRN has been created or modified since a given time.
+ *
+ * @public
+ * @param options {Object} Options for execution
+ * @param options.isDryRun {boolean} Whether the job runs in test mode
+ * @param options.model {string} Name of the resource model the RRNs are keys of (default: person)
+ * @param options.graphs {Array} Graphs to limit the reconciliation to (default: all allowed graphs)
+ * @param options.since {Date} Only consider the RRNs that changed since this time, making the job incremental
+ * @param options.scheduled {boolean} Whether the job is started by the cron job
+ * @return {Object} The created job
+*/
+async function createJob(options = {}) {
+  const id = uuid();
+  const job = {
+    id,
+    uri: `${JOB_BASE_URI}${id}`,
+    status: 'busy',
+    isDryRun: !!options.isDryRun,
+    model: options.model || 'person',
+    graphs: options.graphs || [],
+    mode: options.since ? 'incremental' : 'full',
+    since: options.since || null,
+    scheduled: !!options.scheduled,
+    created: new Date(),
+    started: new Date(),
+    ended: null,
+    checkpoint: null,
+    total: 0,
+    processed: 0,
+    failed: 0,
+    skipped: 0,
+    errors: []
+  };
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX cogs: <http://vocab.deri.ie/cogs#>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX dct: <http://purl.org/dc/terms/>
+PREFIX prov: <http://www.w3.org/ns/prov#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} a cogs:Job ;
+      mu:uuid ${sparqlEscapeString(job.id)} ;
+      task:operation ${sparqlEscapeUri(JOB_OPERATION)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + job.status)} ;
+      dct:created ${sparqlEscapeDateTime(job.created)} ;
+      prov:startedAtTime ${sparqlEscapeDateTime(job.started)} ;
+      ext:dryRun ${sparqlEscapeBool(job.isDryRun)} ;
+      ext:scheduled ${sparqlEscapeBool(job.scheduled)} ;
+      ext:model ${sparqlEscapeString(job.model)} ;
+      ext:total ${sparqlEscapeInt(job.total)} ;
+      ext:processed ${sparqlEscapeInt(0)} ;
+      ext:failed ${sparqlEscapeInt(0)} ;
+      ext:skipped ${sparqlEscapeInt(0)} ;
+      ext:mode ${sparqlEscapeString(job.mode)} .
+    ${job.since ? `${sparqlEscapeUri(job.uri)} ext:since ${sparqlEscapeDateTime(job.since)} .` : ''}
+    ${job.graphs.map(graph => `${sparqlEscapeUri(job.uri)} ext:graph ${sparqlEscapeUri(graph)} .`).join('\n    ')}
+  }
+}
+`);
+
+  return job;
+}
+
+/**
+ * Reconciliate the duplicate RRNs of the model of a job in the context of the job.
+ * The RRNs are discovered page by page and reconciliated while the discovery continues,
+ * with at most BULK_CONCURRENCY RRNs at the same time. A failure for one RRN
+ * is recorded on the job, but doesn't stop the execution for the other RRNs.
+ *
+ * An incremental job only discovers the duplicate RRNs that changed since the time the job was created for.
+ *
+ * The progress of the job is persisted after each RRN, including a checkpoint: the last
+ * RRN in order of discovery up to which all RRNs have been handled. A resumed job continues
+ * the discovery after its checkpoint.
+ *
+ * The job ends with status 'canceled' if it has been canceled while running,
+ * with status 'failed' if all RRNs failed and with status 'success' otherwise.
+ *
+ * In test mode, the dry run report of each RRN is written to the report file of the job.
+ * Otherwise, the duplicate RRNs left in scope after the job are counted in the metrics.
+ *
+ * Failing to save the progress, an error or the status of the job is logged, but doesn't fail the job.
+ * A job of which the final status could not be saved remains 'busy' in the triplestore and is
+ * considered interrupted, hence it can be resumed.
+ *
+ * @public
+ * @param job {Object} Job as returned by createJob or getJob
+*/
+async function runJob(job) {
+  runningJobs[job.id] = job;
+  const reports = job.isDryRun ? openReportFile(job, !!job.checkpoint) : null;
+  const tasks = new Set();
+  const dispatched = [];
+
+  // progress updates are chained, so they are persisted in order
+  let progress = Promise.resolve();
+  const saveProgress = () => {
+    progress = progress
+      .then(() => updateJobProgress(job))
+      .catch(e => logger.error('Failed to save progress of job', { job: job.id, error: e }));
+    return progress;
+  };
+
+  const processKey = async (entry, index) => {
+    logger.info('Reconciliating key of job', { job: job.id, index });
+    try {
+      const result = await reconciliateKey(entry.rrn, { isDryRun: job.isDryRun, model: job.model, graphs: job.graphs, wait: true });
+      if (result.status == 'skipped')
+        job.skipped++;
+      else
+        job.processed++;
+      if (reports)
+        reports.append(result.report);
+    } catch (e) {
+      logger.error('Failed to reconciliate key of job', { job: job.id, index, error: e });
+      job.failed++;
+      try {
+        await addJobError(job, entry.rrn, e);
+      } catch (err) {
+        logger.error('Failed to save error of job', { job: job.id, index, error: err });
+      }
+    }
+
+    entry.isDone = true;
+    while (dispatched.length && dispatched[0].isDone)
+      job.checkpoint = dispatched.shift().rrn;
+    await saveProgress();
+
+    if (BULK_THROTTLE_DELAY)
+      await new Promise(resolve => setTimeout(resolve, BULK_THROTTLE_DELAY));
+  };
+
+  try {
+    for await (let rrn of discoverDuplicateKeys(job.model, { graphs: job.graphs, after: job.checkpoint, since: job.since })) {
+      if (job.isCanceled)
+        break;
+
+      job.total++;
+      const entry = { rrn, isDone: false };
+      dispatched.push(entry);
+      const task = processKey(entry, job.total).finally(() => tasks.delete(task));
+      tasks.add(task);
+
+      if (tasks.size >= BULK_CONCURRENCY)
+        await Promise.race(tasks);
+    }
+    await Promise.all(tasks);
+    await saveProgress();
+
+    if (job.isCanceled)
+      job.status = 'canceled';
+    else if (job.total && job.failed == job.total)
+      job.status = 'failed';
+    else
+      job.status = 'success';
+  } catch (e) {
+    logger.error('Job failed unexpectedly', { job: job.id, error: e });
+    await Promise.allSettled(tasks);
+    job.status = 'failed';
+  } finally {
+    await progress;
+    delete runningJobs[job.id];
+    if (reports)
+      reports.close();
+    job.ended = new Date();
+    try {
+      await updateJobStatus(job);
+    } catch (e) {
+      logger.error('Failed to save status of job', { job: job.id, status: job.status, error: e });
+    }
+    if (!job.isDryRun) {
+      try {
+        await updateDuplicateBacklog(job.model);
+      } catch (e) {
+        logger.error('Failed to count the duplicate backlog after job', { job: job.id, error: e });
+      }
+    }
+  }
+}
+
+/**
+ * Request the cancellation of a running job. The job stops
+ * before reconciliating the next RRN.
+ *
+ * @public
+ * @param id {string} Id of the job to cancel
+ * @return {boolean} Whether the job was running and has been canceled
+*/
+function cancelJob(id) {
+  const job = runningJobs[id];
+  if (job) {
+    job.isCanceled = true;
+    return true;
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Check whether a job is currently running in this process. A job with status 'busy'
+ * that is not running has been interrupted, e.g. by a restart of the service.
+ *
+ * @public
+ * @param id {string} Id of the job
+ * @return {boolean} Whether the job is running
+*/
+function isJobRunning(id) {
+  return !!runningJobs[id];
+}
+
+/**
+ * Prepare a job that has been canceled, has failed or has been interrupted to be run again.
+ * The job gets status 'busy' again and keeps its progress and checkpoint, so running it
+ * continues where it stopped.
+ *
+ * @public
+ * @param job {Object} Job as returned by getJob
+ * @return {Object} The job, ready to be passed to runJob
+*/
+async function resumeJob(job) {
+  if (isJobRunning(job.id))
+    throw new Error(`Job ${job.id} is still running`);
+  if (job.status == 'success')
+    throw new Error(`Job ${job.id} has already finished successfully`);
+
+  job.status = 'busy';
+  job.ended = null;
+  await updateJobStatus(job);
+  return job;
+}
+
+/**
+ * Get the reconciliation jobs, most recent first.
+ *
+ * @public
+ * @param filter {Object} Filters on model, mode ('full' or 'incremental'), status
+ *          and whether the job has been started by the cron job (scheduled)
+ * @param options {Object} Paging options
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of jobs per page
+ * @return {Object} Object containing the jobs of the requested page and the total count
+*/
+async function getJobs(filter = {}, options = {}) {
+  const page = options.page || 0;
+  const size = options.size || 20;
+
+  const filters = [];
+  if (filter.model)
+    filters.push(`?job ext:model ${sparqlEscapeString(filter.model)} .`);
+  if (filter.mode)
+    filters.push(`?job ext:mode ${sparqlEscapeString(filter.mode)} .`);
+  if (filter.status)
+    filters.push(`?job adms:status ${sparqlEscapeUri(STATUS_BASE_URI + filter.status)} .`);
+  if (filter.scheduled !== undefined)
+    filters.push(`?job ext:scheduled ?scheduled . FILTER (STR(?scheduled) IN (${filter.scheduled ? '"true", "1"' : '"false", "0"'}))`);
+
+  const countResult = await query(`
+PREFIX cogs: <http://vocab.deri.ie/cogs#>
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT (COUNT(DISTINCT ?job) as ?count) WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ?job a cogs:Job ;
+      task:operation ${sparqlEscapeUri(JOB_OPERATION)} .
+    ${filters.join('\n    ')}
+  }
+}
+`);
+  const count = parseInt(countResult.results.bindings[0]['count'].value);
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX cogs: <http://vocab.deri.ie/cogs#>
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT DISTINCT ?uuid ?created WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ?job a cogs:Job ;
+      mu:uuid ?uuid ;
+      task:operation ${sparqlEscapeUri(JOB_OPERATION)} ;
+      dct:created ?created .
+    ${filters.join('\n    ')}
+  }
+} ORDER BY DESC(?created) LIMIT ${size} OFFSET ${page * size}
+`);
+
+  const jobs = [];
+  for (let binding of result.results.bindings) {
+    const job = await getJob(binding['uuid'].value);
+    if (job)
+      jobs.push(job);
+  }
+
+  return { jobs, count };
+}
+
+/**
+ * Get a reconciliation job by id, including its error details.
+ *
+ * @public
+ * @param id {string} Id of the job
+ * @return {Object} The job or null if no job with the given id is found
+*/
+async function getJob(id) {
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX cogs: <http://vocab.deri.ie/cogs#>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX dct: <http://purl.org/dc/terms/>
+PREFIX prov: <http://www.w3.org/ns/prov#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?job ?status ?created ?started ?ended ?dryRun ?scheduled ?model ?mode ?since ?checkpoint ?total ?processed ?failed ?skipped WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ?job a cogs:Job ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      task:operation ${sparqlEscapeUri(JOB_OPERATION)} ;
+      adms:status ?status ;
+      dct:created ?created ;
+      ext:total ?total ;
+      ext:processed ?processed ;
+      ext:failed ?failed ;
+      ext:skipped ?skipped .
+    OPTIONAL { ?job prov:startedAtTime ?started . }
+    OPTIONAL { ?job prov:endedAtTime ?ended . }
+    OPTIONAL { ?job ext:dryRun ?dryRun . }
+    OPTIONAL { ?job ext:scheduled ?scheduled . }
+    OPTIONAL { ?job ext:model ?model . }
+    OPTIONAL { ?job ext:mode ?mode . }
+    OPTIONAL { ?job ext:since ?since . }
+    OPTIONAL { ?job ext:checkpoint ?checkpoint . }
+  }
+} LIMIT 1
+`);
+
+  if (!result.results.bindings.length)
+    return null;
+
+  const binding = result.results.bindings[0];
+  const job = {
+    id,
+    uri: binding['job'].value,
+    status: binding['status'].value.replace(STATUS_BASE_URI, ''),
+    isDryRun: binding['dryRun'] ? ['true', '1'].includes(binding['dryRun'].value) : false,
+    model: binding['model'] ? binding['model'].value : 'person',
+    mode: binding['mode'] ? binding['mode'].value : 'full',
+    since: binding['since'] ? new Date(binding['since'].value) : null,
+    scheduled: binding['scheduled'] ? ['true', '1'].includes(binding['scheduled'].value) : false,
+    created: new Date(binding['created'].value),
+    started: binding['started'] ? new Date(binding['started'].value) : null,
+    ended: binding['ended'] ? new Date(binding['ended'].value) : null,
+    checkpoint: binding['checkpoint'] ? binding['checkpoint'].value : null,
+    total: parseInt(binding['total'].value),
+    processed: parseInt(binding['processed'].value),
+    failed: parseInt(binding['failed'].value),
+    skipped: parseInt(binding['skipped'].value)
+  };
+
+  const graphResult = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT DISTINCT ?graph WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} ext:graph ?graph .
+  }
+}
+`);
+  job.graphs = graphResult.results.bindings.map(b => b['graph'].value);
+
+  const errorResult = await query(`
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX oslc: <http://open-services.net/ns/core#>
+PREFIX dct: <http://purl.org/dc/terms/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?rrn ?message ?created WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} task:error ?error .
+    ?error oslc:message ?message ;
+      ext:rrn ?rrn ;
+      dct:created ?created .
+  }
+} ORDER BY ?created
+`);
+
+  job.errors = errorResult.results.bindings.map(b => {
+    return {
+      rrn: b['rrn'].value,
+      message: b['message'].value,
+      created: new Date(b['created'].value)
+    };
+  });
+
+  return job;
+}
+
+/**
+ * Get the watermark of a model: the start time of the last successful job reconciliating
+ * the model in all graphs, not in test mode and without failed RRNs. All RRNs that changed
+ * before the watermark have been reconciliated, hence an incremental job only needs to
+ * consider the RRNs that changed since. A job in which some RRNs failed still ends with
+ * status 'success', but doesn't move the watermark, so the failed RRNs are retried.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model
+ * @return {Date} The watermark or null if the model has never been reconciliated successfully
+*/
+async function getWatermark(modelName) {
+  const result = await query(`
+PREFIX cogs: <http://vocab.deri.ie/cogs#>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX prov: <http://www.w3.org/ns/prov#>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?started WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ?job a cogs:Job ;
+      task:operation ${sparqlEscapeUri(JOB_OPERATION)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + 'success')} ;
+      ext:model ${sparqlEscapeString(modelName)} ;
+      ext:dryRun ?dryRun ;
+      ext:failed ?failed ;
+      prov:startedAtTime ?started .
+    FILTER NOT EXISTS { ?job ext:graph ?graph . }
+    FILTER (STR(?dryRun) IN ("false", "0"))
+    FILTER (?failed = 0)
+  }
+} ORDER BY DESC(?started) LIMIT 1
+`);
+
+  return result.results.bindings.length ? new Date(result.results.bindings[0]['started'].value) : null;
+}
+
+/**
+ * Get the path of the file containing the dry run report of a job.
+ *
+ * @public
+ * @param job {Object} Job to get the report file for
+ * @return {string} Path of the report file or null if the job has no report
+*/
+function getReportFile(job) {
+  const file = path.join(REPORTS_DIR, `${job.id}.json`);
+  if (job.isDryRun && fs.existsSync(file))
+    return file;
+  else
+    return null;
+}
+
+/**
+ * Serialize a job as JSON:API resource object.
+ * The RRNs of the checkpoint and the errors are masked.
+ *
+ * @public
+ * @param job {Object} Job to serialize
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(job) {
+  const links = { self: `/jobs/${job.id}` };
+  if (job.isDryRun)
+    links.report = `/jobs/${job.id}/report`;
+
+  return {
+    type: 'jobs',
+    id: job.id,
+    attributes: {
+      uri: job.uri,
+      status: job.status,
+      'dry-run': job.isDryRun,
+      model: job.model,
+      graphs: job.graphs,
+      mode: job.mode,
+      since: job.since,
+      scheduled: job.scheduled,
+      created: job.created,
+      started: job.started,
+      ended: job.ended,
+      checkpoint: job.checkpoint ? maskKey(job.checkpoint) : null,
+      total: job.total,
+      processed: job.processed,
+      failed: job.failed,
+      skipped: job.skipped,
+      errors: job.errors.map(error => Object.assign({}, error, { rrn: maskKey(error.rrn) }))
+    },
+    links
+  };
+}
+
+/**
+ * Open the report file of a job. The file contains a JSON array
+ * of the dry run reports of the RRNs reconciliated by the job.
+ *
+ * @private
+ * @param job {Object} Job to open the report file for
+ * @param isResumed {boolean} Whether to append to the report file of a previous run of the job
+ * @return {Object} Object with an append function to add a report to the file
+ *           and a close function to finalize the file
+*/
+function openReportFile(job, isResumed) {
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  const file = path.join(REPORTS_DIR, `${job.id}.json`);
+
+  let isEmpty = true;
+  if (isResumed && fs.existsSync(file)) {
+    // reopen the array by removing the closing bracket, if the previous run closed it
+    const content = fs.readFileSync(file, 'utf8').replace(/\n\]\n$/, '');
+    fs.writeFileSync(file, content);
+    isEmpty = content.trim() == '[';
+  } else {
+    fs.writeFileSync(file, '[');
+  }
+
+  return {
+    append(report) {
+      fs.appendFileSync(file, `${isEmpty ? '' : ','}\n${JSON.stringify(report)}`);
+      isEmpty = false;
+    },
+    close() {
+      fs.appendFileSync(file, '\n]\n');
+    }
+  };
+}
+
+/**
+ * Persist the total, the counts of processed, failed and skipped RRNs and the checkpoint of a job.
+ *
+ * @private
+ * @param job {Object} Job to update
+*/
+async function updateJobProgress(job) {
+  const checkpoint = job.checkpoint ? `;
+      ext:checkpoint ${sparqlEscapeString(job.checkpoint)} .` : '.';
+
+  await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} ext:total ?total ;
+      ext:processed ?processed ;
+      ext:failed ?failed ;
+      ext:skipped ?skipped ;
+      ext:checkpoint ?checkpoint .
+  }
+} INSERT {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} ext:total ${sparqlEscapeInt(job.total)} ;
+      ext:processed ${sparqlEscapeInt(job.processed)} ;
+      ext:failed ${sparqlEscapeInt(job.failed)} ;
+      ext:skipped ${sparqlEscapeInt(job.skipped)} ${checkpoint}
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} ext:total ?total ;
+      ext:processed ?processed ;
+      ext:failed ?failed ;
+      ext:skipped ?skipped .
+    OPTIONAL { ${sparqlEscapeUri(job.uri)} ext:checkpoint ?checkpoint . }
+  }
+}
+`);
+}
+
+/**
+ * Persist the status and end time of a job. The end time is removed if the job has not ended.
+ *
+ * @private
+ * @param job {Object} Job to update
+*/
+async function updateJobStatus(job) {
+  if (!STATUSES.includes(job.status))
+    throw new Error(`Unknown job status '${job.status}'`);
+
+  const ended = job.ended ? `;
+      prov:endedAtTime ${sparqlEscapeDateTime(job.ended)} .` : '.';
+
+  await update(`
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX prov: <http://www.w3.org/ns/prov#>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} adms:status ?status ;
+      prov:endedAtTime ?ended .
+  }
+} INSERT {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} adms:status ${sparqlEscapeUri(STATUS_BASE_URI + job.status)} ${ended}
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} adms:status ?status .
+    OPTIONAL { ${sparqlEscapeUri(job.uri)} prov:endedAtTime ?ended . }
+  }
+}
+`);
+}
+
+/**
+ * Record the failure of the reconciliation of an RRN on a job.
+ *
+ * @private
+ * @param job {Object} Job the error occurred in
+ * @param rrn {string} RRN that failed to be reconciliated
+ * @param e {Error} Error that occurred
+*/
+async function addJobError(job, rrn, e) {
+  const id = uuid();
+  const error = {
+    uri: `${ERROR_BASE_URI}${id}`,
+    rrn,
+    message: e.message || `${e}`,
+    created: new Date()
+  };
+  job.errors.push({ rrn: error.rrn, message: error.message, created: error.created });
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX task: <http://redpencil.data.gift/vocabularies/tasks/>
+PREFIX oslc: <http://open-services.net/ns/core#>
+PREFIX dct: <http://purl.org/dc/terms/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(JOBS_GRAPH)} {
+    ${sparqlEscapeUri(job.uri)} task:error ${sparqlEscapeUri(error.uri)} .
+    ${sparqlEscapeUri(error.uri)} a oslc:Error ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      oslc:message ${sparqlEscapeString(error.message)} ;
+      ext:rrn ${sparqlEscapeString(error.rrn)} ;
+      dct:created ${sparqlEscapeDateTime(error.created)} .
+  }
+}
+`);
+}
+
+export {
+  createJob,
+  runJob,
+  cancelJob,
+  isJobRunning,
+  resumeJob,
+  getJobs,
+  getJob,
+  getWatermark,
+  getReportFile,
+  toJsonApi
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { Store } from 'oxigraph';
+
+const XSD_PREFIX = 'PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>\n';
+
+/**
+ * RDF formats of the files that can be loaded and written, indexed by file extension.
+*/
+const FORMATS = {
+  '.nq': 'application/n-quads',
+  '.trig': 'application/trig'
+};
+
+/**
+ * Create an in-memory store, optionally loaded with the quads of a file.
+ *
+ * @public
+ * @param file {string} Path of an N-Quads (.nq) or TriG (.trig) file to load
+ * @return {Object} The store
+*/
+function createLocalStore(file) {
+  const store = new Store();
+  if (file)
+    store.load(fs.readFileSync(file, 'utf8'), { format: getFormat(file) });
+  return store;
+}
+
+/**
+ * Create a query backend for lib/sparql executing the queries and updates on an in-memory store.
+ *
+ * Like on the triplestore, the default graph of a query is the union of all graphs
+ * and the xsd prefix is available without being declared.
+ *
+ * @public
+ * @param store {Object} Store as returned by createLocalStore
+ * @return {Object} Backend to pass to useBackend
+*/
+function toBackend(store) {
+  return {
+    async query(queryString) {
+      const result = store.query(withPrefixes(queryString), {
+        results_format: 'application/sparql-results+json',
+        use_default_graph_as_union: true
+      });
+      return JSON.parse(result);
+    },
+    async update(updateString) {
+      store.update(withPrefixes(updateString));
+      return null;
+    }
+  };
+}
+
+/**
+ * Write the quads of a store to a file.
+ *
+ * @public
+ * @param store {Object} Store as returned by createLocalStore
+ * @param file {string} Path of the N-Quads (.nq) or TriG (.trig) file to write
+ * @param excludedGraphs {Array} Graphs of which the quads are not written
+*/
+function writeLocalStore(store, file, excludedGraphs = []) {
+  const quads = store.match().filter(quad => !excludedGraphs.includes(quad.graph.value));
+  fs.writeFileSync(file, new Store(quads).dump({ format: getFormat(file) }));
+}
+
+/**
+ * Get the RDF format of a file based on its extension.
+ *
+ * @private
+*/
+function getFormat(file) {
+  const format = FORMATS[path.extname(file).toLowerCase()];
+  if (!format)
+    throw new Error(`Unsupported file '${file}'. Only N-Quads (.nq) and TriG (.trig) files are supported.`);
+  return format;
+}
+
+/**
+ * Declare the prefixes the triplestore makes available by default, if used but not declared.
+ *
+ * @private
+*/
+function withPrefixes(sparql) {
+  if (sparql.includes('xsd:') && !/PREFIX\s+xsd:/i.test(sparql))
+    return XSD_PREFIX + sparql;
+  else
+    return sparql;
+}
+
+export {
+  createLocalStore,
+  toBackend,
+  writeLocalStore
+}
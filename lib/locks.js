@@ -0,0 +1,123 @@
+/**
+ * In-process locks preventing concurrent reconciliations of the same resources
+ * and overlapping bulk reconciliations. The service runs as a single instance,
+ * hence the locks are kept in memory and are released on restart.
+*/
+
+/**
+ * Error thrown when a lock cannot be acquired
+*/
+class LockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LockError';
+  }
+}
+
+/**
+ * Held locks, indexed by name. Each entry is a promise resolving when the last
+ * holder in line releases the lock.
+*/
+const locks = new Map();
+
+/**
+ * The lock of the currently running bulk reconciliation, if any.
+*/
+let bulkLock = null;
+
+/**
+ * Execute a function while holding the locks with the given names.
+ *
+ * The locks are acquired in a fixed order to avoid deadlocks between
+ * callers requesting overlapping sets of locks.
+ *
+ * @public
+ * @param names {Array} Names of the locks, e.g. 'person 85073003361'
+ * @param fn {Function} Async function to execute while holding the locks
+ * @param options {Object} Options
+ * @param options.wait {boolean} Whether to wait until the locks are released by their current holder.
+ *           If false, a LockError is thrown when a lock is held.
+ * @param options.description {string} Description of the locked resources used in the error message
+ * @return The result of the function
+*/
+async function withLocks(names, fn, options = {}) {
+  names = [...new Set(names)].sort();
+  if (!options.wait) {
+    const held = names.find(name => locks.has(name));
+    if (held)
+      throw new LockError(`A reconciliation of ${options.description || 'the same resources'} is already running`);
+  }
+
+  const releases = [];
+  try {
+    for (let name of names)
+      releases.push(await acquire(name));
+    return await fn();
+  } finally {
+    releases.forEach(release => release());
+  }
+}
+
+/**
+ * Acquire the bulk lock, if no bulk reconciliation is running.
+ *
+ * @public
+ * @return {Object} The lock, or null if the bulk lock is held. The caller may
+ *           set the id of the job holding the lock on it.
+*/
+function acquireBulkLock() {
+  if (bulkLock)
+    return null;
+  bulkLock = { since: new Date(), job: null };
+  return bulkLock;
+}
+
+/**
+ * Release the bulk lock.
+ *
+ * @public
+ * @param lock {Object} The lock as returned by acquireBulkLock
+*/
+function releaseBulkLock(lock) {
+  if (bulkLock === lock)
+    bulkLock = null;
+}
+
+/**
+ * Get the lock of the currently running bulk reconciliation.
+ *
+ * @public
+ * @return {Object} The lock, or null if no bulk reconciliation is running
+*/
+function getBulkLock() {
+  return bulkLock;
+}
+
+/**
+ * Wait for the lock with the given name and acquire it.
+ *
+ * @private
+ * @return {Function} Function releasing the lock
+*/
+async function acquire(name) {
+  const previous = locks.get(name) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => release = resolve);
+  const tail = previous.then(() => current);
+  locks.set(name, tail);
+
+  await previous;
+  return () => {
+    release();
+    if (locks.get(name) === tail)
+      locks.delete(name);
+  };
+}
+
+export {
+  LockError,
+  withLocks,
+  acquireBulkLock,
+  releaseBulkLock,
+  getBulkLock
+}
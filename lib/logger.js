@@ -0,0 +1,95 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { uuid } from './sparql';
+import { LOG_LEVEL } from '../config';
+import { maskKey } from './masking';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Fields of a log entry containing a key, e.g. a RRN, which are masked.
+*/
+const KEY_FIELDS = ['rrn', 'key'];
+
+/**
+ * Context of the reconciliation being executed, containing its correlation id.
+ * The context is propagated across async calls, so every log line written
+ * while executing a reconciliation carries its correlation id.
+*/
+const context = new AsyncLocalStorage();
+
+/**
+ * Logger writing log entries as single-line JSON to stdout (debug, info)
+ * or stderr (warn, error). Each entry contains the time, level, message,
+ * the correlation id of the current context, if any, and the given fields.
+ * Keys in the fields 'rrn' and 'key' are masked unless masking is disabled.
+ * Entries below the configured log level are discarded.
+ *
+ * Usage: logger.info('Found duplicates', { rrn, count: 3 })
+*/
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Execute a function in a new logging context with the given correlation id.
+ *
+ * @public
+ * @param fn {Function} Function to execute
+ * @param correlationId {string} Correlation id. A new id is generated if none is given.
+ * @return The result of the function
+*/
+function withCorrelationId(fn, correlationId = uuid()) {
+  return context.run({ correlationId }, fn);
+}
+
+/**
+ * Get the correlation id of the current logging context.
+ *
+ * @public
+ * @return {string} The correlation id, or undefined outside of a context
+*/
+function getCorrelationId() {
+  const store = context.getStore();
+  return store && store.correlationId;
+}
+
+/**
+ * Write a log entry if its level is enabled.
+ *
+ * @private
+*/
+function write(level, message, fields = {}) {
+  const minLevel = LEVELS.includes(LOG_LEVEL) ? LOG_LEVEL : 'info';
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(minLevel))
+    return;
+
+  const entry = { time: new Date().toISOString(), level, message };
+  const correlationId = getCorrelationId();
+  if (correlationId)
+    entry.correlationId = correlationId;
+
+  for (let field of Object.keys(fields)) {
+    const value = fields[field];
+    if (value instanceof Error)
+      entry[field] = { name: value.name, message: value.message, stack: value.stack };
+    else if (KEY_FIELDS.includes(field))
+      entry[field] = maskKey(value);
+    else
+      entry[field] = value;
+  }
+
+  const line = JSON.stringify(entry);
+  if (level == 'warn' || level == 'error')
+    console.error(line);
+  else
+    console.log(line);
+}
+
+export {
+  logger,
+  withCorrelationId,
+  getCorrelationId
+}
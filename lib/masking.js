@@ -0,0 +1,315 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { MASKING_SALT, MASKING_SALT_FILE, MASK_SENSITIVE_DATA } from '../config';
+import { logger } from './logger';
+import { getModels } from './resource-models';
+
+/**
+ * Number of trailing characters of a key that are left visible when masking it.
+*/
+const VISIBLE_CHARACTERS = 4;
+
+/**
+ * Number of characters of the salted hash used to mask a sensitive value.
+*/
+const HASH_LENGTH = 12;
+
+/**
+ * Salt of the hashes, loaded on first use. See getSalt.
+*/
+let salt = null;
+
+/**
+ * Mask a key, e.g. a RRN, leaving only its last characters visible.
+ * The key is returned as is if masking is disabled.
+ *
+ * @public
+ * @param key {string} Normalized key
+ * @return {string} The masked key, e.g. '*******3361'
+*/
+function maskKey(key) {
+  if (!key || !MASK_SENSITIVE_DATA)
+    return key;
+  const visible = Math.min(VISIBLE_CHARACTERS, Math.floor(key.length / 2));
+  return '*'.repeat(key.length - visible) + key.substr(key.length - visible);
+}
+
+/**
+ * Mask a sensitive value, e.g. a name, by a short salted hash. Equal values get
+ * the same mask, so they can still be compared. The value is returned as is
+ * if masking is disabled.
+ *
+ * @public
+ * @param value {string} Sensitive value
+ * @return {string} The masked value, e.g. '[masked:3f2a9c01b4de]'
+*/
+function maskValue(value) {
+  if (!value || !MASK_SENSITIVE_DATA)
+    return value;
+  return `[masked:${hashKey(value).substr(0, HASH_LENGTH)}]`;
+}
+
+/**
+ * Hash a key, e.g. a RRN, with the salt. The hash is stable for the same
+ * key and salt, so it can be used to correlate reports without revealing the key.
+ *
+ * @public
+ * @param key {string} Normalized key
+ * @return {string} Hex encoded SHA-256 hash
+*/
+function hashKey(key) {
+  return crypto.createHash('sha256').update(`${getSalt()}${key}`).digest('hex');
+}
+
+/**
+ * Get the salt of the hashes. Without a salt, the hash of a RRN could be recovered
+ * by hashing all possible RRNs, hence a hash is never unsalted.
+ *
+ * The configured MASKING_SALT is used if set. Otherwise a random salt is generated once and
+ * stored in MASKING_SALT_FILE, so the hashes remain stable across restarts. If the file cannot
+ * be written, the generated salt is only kept in memory and the hashes change on restart.
+ *
+ * @private
+ * @return {string} The salt
+*/
+function getSalt() {
+  if (salt)
+    return salt;
+
+  if (MASKING_SALT) {
+    salt = MASKING_SALT;
+  } else if (fs.existsSync(MASKING_SALT_FILE)) {
+    salt = fs.readFileSync(MASKING_SALT_FILE, 'utf8').trim();
+  } else {
+    salt = crypto.randomBytes(32).toString('hex');
+    try {
+      fs.writeFileSync(MASKING_SALT_FILE, salt, { flag: 'wx', mode: 0o600 });
+      logger.info('Generated masking salt', { file: MASKING_SALT_FILE });
+    } catch (e) {
+      logger.warn('Failed to store generated masking salt. Hashes will change on restart.', { file: MASKING_SALT_FILE, error: e });
+    }
+  }
+
+  if (!salt)
+    throw new Error(`Masking salt file ${MASKING_SALT_FILE} is empty`);
+  return salt;
+}
+
+/**
+ * Mask the sensitive values in a dry run report: the key and the values of
+ * the properties configured as sensitive in the resource model, e.g. the names
+ * of a person. The values are masked wherever they occur in the report, including
+ * the decisions, issues and the literals in the changes formatted as N-Triples.
+ * The report is returned as is if masking is disabled.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param report {Object} Dry run report
+ * @return {Object} A masked copy of the report
+*/
+function maskReport(model, report) {
+  if (!MASK_SENSITIVE_DATA)
+    return report;
+
+  const masks = new Map();
+  if (report.rrn)
+    masks.set(report.rrn, maskKey(report.rrn));
+
+  for (let graph of Object.keys(report.slaves || {})) {
+    for (let resources of report.slaves[graph]) {
+      for (let name of Object.keys(resources)) {
+        const definition = name == model.name ? model : model.resources[name];
+        if (!definition)
+          continue;
+        for (let prop of Object.keys(definition.properties)) {
+          const isKey = `${name}.${prop}` == model.key.property;
+          if (!isKey && !definition.properties[prop].sensitive)
+            continue;
+          for (let resource of resources[name]) {
+            for (let value of resource[prop] || [])
+              masks.set(value, isKey ? maskKey(value) : maskValue(value));
+          }
+        }
+      }
+    }
+  }
+
+  const maskString = (string) => {
+    if (masks.has(string))
+      return masks.get(string);
+    // literals in N-Triples are formatted as JSON strings
+    for (let [value, mask] of masks)
+      string = string.split(JSON.stringify(value)).join(JSON.stringify(mask));
+    return string;
+  };
+
+  const mask = (value) => {
+    if (typeof value == 'string') {
+      return maskString(value);
+    } else if (Array.isArray(value)) {
+      return value.map(mask);
+    } else if (value && typeof value == 'object') {
+      const masked = {};
+      for (let key of Object.keys(value))
+        masked[key] = mask(value[key]);
+      return masked;
+    } else {
+      return value;
+    }
+  };
+
+  return mask(report);
+}
+
+/**
+ * Mask the sensitive values in changes formatted as N-Triples per graph, as returned by formatChanges:
+ * the literals of the keys and of the properties configured as sensitive in the resource models.
+ * The changes are returned as is if masking is disabled.
+ *
+ * @public
+ * @param changes {Object} Changes per graph, each an array of operations with deletes and inserts
+ * @return {Object} A masked copy of the changes
+*/
+function maskChanges(changes) {
+  if (!MASK_SENSITIVE_DATA)
+    return changes;
+
+  const predicates = getSensitivePredicates();
+  const maskTriple = (triple) => {
+    const match = triple.match(/^(<[^>]*>) <([^>]*)> ("(?:[^"\\]|\\.)*")(.*)$/);
+    if (!match || !predicates[match[2]])
+      return triple;
+    const value = JSON.parse(match[3]);
+    const masked = predicates[match[2]] == 'key' ? maskKey(value) : maskValue(value);
+    return `${match[1]} <${match[2]}> ${JSON.stringify(masked)}${match[4]}`;
+  };
+
+  const masked = {};
+  for (let graph of Object.keys(changes)) {
+    masked[graph] = changes[graph].map(operation => Object.assign({}, operation, {
+      deletes: operation.deletes.map(maskTriple),
+      inserts: operation.inserts.map(maskTriple)
+    }));
+  }
+  return masked;
+}
+
+/**
+ * Mask the sensitive values of a master record, as constructed out of the slaves:
+ * the values of the key and of the sensitive properties in the master resources and in the decisions.
+ * The master is returned as is if masking is disabled.
+ *
+ * @public
+ * @param master {Object} Master record with resources and decisions
+ * @return {Object} A masked copy of the master record
+*/
+function maskMaster(master) {
+  if (!MASK_SENSITIVE_DATA || !master)
+    return master;
+
+  const properties = getSensitiveProperties();
+  const maskProperty = (property, value) => {
+    if (Array.isArray(value))
+      return value.map(v => maskProperty(property, v));
+    if (!properties[property])
+      return value;
+    return properties[property] == 'key' ? maskKey(value) : maskValue(value);
+  };
+  const maskCandidates = (property, candidates) => (candidates || []).map(c => Object.assign({}, c, { value: maskProperty(property, c.value) }));
+
+  const resources = {};
+  for (let name of Object.keys(master.resources || {})) {
+    const resource = master.resources[name];
+    if (!resource) {
+      resources[name] = resource;
+      continue;
+    }
+    resources[name] = {};
+    for (let prop of Object.keys(resource))
+      resources[name][prop] = maskProperty(`${name}.${prop}`, resource[prop]);
+  }
+
+  const decisions = (master.decisions || []).map(decision => {
+    const property = `${decision.resource}.${decision.property}`;
+    const masked = Object.assign({}, decision, {
+      value: maskProperty(property, decision.value),
+      rejected: maskCandidates(property, decision.rejected)
+    });
+    if (decision.candidates)
+      masked.candidates = maskCandidates(property, decision.candidates);
+    return masked;
+  });
+
+  return Object.assign({}, master, { resources, decisions });
+}
+
+/**
+ * Whether the values of a property are sensitive according to the resource models.
+ * A property that is not found in any model is considered sensitive.
+ *
+ * @public
+ * @param property {string} Property formatted as '<resource>.<property>', e.g. 'person.familyName'
+ * @return {boolean} Whether the values must be masked
+*/
+function isSensitiveProperty(property) {
+  const [name, prop] = property.split('.');
+  for (let model of getModels()) {
+    const definition = name == model.name ? model : model.resources[name];
+    if (definition && definition.properties[prop])
+      return property == model.key.property || !!definition.properties[prop].sensitive;
+  }
+  return true;
+}
+
+/**
+ * Get the keys and the sensitive properties of all resource models.
+ *
+ * @private
+ * @return {Object} Object mapping each property, formatted as '<resource>.<property>', to 'key' or 'sensitive'
+*/
+function getSensitiveProperties() {
+  const properties = {};
+  for (let model of getModels()) {
+    const names = [model.name].concat(Object.keys(model.resources));
+    for (let name of names) {
+      const definition = name == model.name ? model : model.resources[name];
+      for (let prop of Object.keys(definition.properties)) {
+        if (definition.properties[prop].sensitive)
+          properties[`${name}.${prop}`] = 'sensitive';
+      }
+    }
+    properties[model.key.property] = 'key';
+  }
+  return properties;
+}
+
+/**
+ * Get the predicates of the keys and of the sensitive properties of all resource models.
+ *
+ * @private
+ * @return {Object} Object mapping each predicate to 'key' or 'sensitive'
+*/
+function getSensitivePredicates() {
+  const predicates = {};
+  for (let model of getModels()) {
+    const definitions = [model].concat(Object.keys(model.resources).map(name => model.resources[name]));
+    for (let definition of definitions) {
+      for (let prop of Object.keys(definition.properties)) {
+        if (definition.properties[prop].sensitive)
+          predicates[definition.properties[prop].predicate] = 'sensitive';
+      }
+    }
+    predicates[model.key.path[model.key.path.length - 1]] = 'key';
+  }
+  return predicates;
+}
+
+export {
+  maskKey,
+  maskValue,
+  hashKey,
+  maskReport,
+  maskChanges,
+  maskMaster,
+  isSensitiveProperty
+}
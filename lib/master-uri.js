@@ -0,0 +1,119 @@
+import { uuid } from './sparql';
+import { MASTER_URI_POLICY, MASTER_URI_PREFERRED_GRAPHS, MINT_MASTER_URIS, MASTER_URI_BASE } from '../config';
+
+/**
+ * Policies to select the resource of which the master takes the URI and uuid out of
+ * the resources of the slaves. A candidate is an object containing the graph the
+ * resource is found in and the resource, including its creation date (if known).
+ *
+ * Each policy narrows down the list of candidates to the best ones.
+ * If a policy can't make a distinction, the list is returned untouched.
+*/
+const POLICIES = {
+  /** Keep the candidates of the resource created first, based on dct:created */
+  'oldest': function(candidates) {
+    const created = candidates.filter(c => c.resource.created);
+    if (!created.length)
+      return candidates;
+    const oldest = Math.min(...created.map(c => new Date(c.resource.created).getTime()));
+    return created.filter(c => new Date(c.resource.created).getTime() == oldest);
+  },
+
+  /** Keep the candidates of the graph that comes first in the list of preferred graphs */
+  'preferred-graph': function(candidates, preferredGraphs) {
+    const rank = (c) => preferredGraphs.includes(c.graph) ? preferredGraphs.indexOf(c.graph) : preferredGraphs.length;
+    const best = Math.min(...candidates.map(rank));
+    return candidates.filter(c => rank(c) == best);
+  },
+
+  /** Keep all candidates, so the lowest URI is selected by the tie-breaker */
+  'lowest': function(candidates) {
+    return candidates;
+  }
+};
+
+/**
+ * Create the policy to choose the URIs of a master, defaulting to the configured policy.
+ *
+ * @public
+ * @param options {Object} Options overruling the configuration
+ * @param options.policy {string} Name of the policy: 'oldest', 'preferred-graph' or 'lowest'
+ * @param options.preferredGraphs {Array} Graphs in order of preference, for the 'preferred-graph' policy
+ * @param options.mint {boolean} Whether to mint new URIs for the master instead of taking
+ *          the URI of one of the slaves
+ * @param options.base {string} Base of the minted URIs
+ * @return {Object} The policy
+ * @throws {Error} If the policy is unknown
+*/
+function createMasterUriPolicy(options = {}) {
+  const policy = {
+    policy: options.policy || MASTER_URI_POLICY,
+    preferredGraphs: options.preferredGraphs || MASTER_URI_PREFERRED_GRAPHS.split(',').map(g => g.trim()).filter(g => g),
+    mint: options.mint !== undefined ? !!options.mint : MINT_MASTER_URIS,
+    base: options.base || MASTER_URI_BASE
+  };
+  if (!POLICIES[policy.policy])
+    throw new Error(`Unknown master URI policy '${policy.policy}'. Expected one of ${Object.keys(POLICIES).join(', ')}.`);
+  return policy;
+}
+
+/**
+ * Sort the candidate resources for the URI of a master resource from best to worst
+ * according to a policy. Candidates the policy can't distinguish are sorted by URI,
+ * so the outcome never depends on the order in which the slaves have been found.
+ *
+ * @public
+ * @param candidates {Array} Array of candidates, each containing a graph and a resource with a URI
+ * @param policy {Object} Policy as returned by createMasterUriPolicy
+ * @return {Array} The sorted candidates
+*/
+function rankCandidates(candidates, policy) {
+  const byUri = (a, b) => a.resource.uri < b.resource.uri ? -1 : a.resource.uri > b.resource.uri ? 1 : 0;
+  const ranked = [];
+  let remaining = candidates.filter(c => c.resource.uri);
+  while (remaining.length) {
+    const best = POLICIES[policy.policy](remaining, policy.preferredGraphs).slice().sort(byUri);
+    ranked.push(...best);
+    remaining = remaining.filter(c => !best.includes(c));
+  }
+  return ranked;
+}
+
+/**
+ * Mint a new URI and uuid for a master resource under the base of the policy,
+ * e.g. 'http://data.lblod.info/id/reconciled/person/<uuid>'.
+ *
+ * @public
+ * @param name {string} Name of the model for the root resource, or name of the sub-resource
+ * @param policy {Object} Policy as returned by createMasterUriPolicy
+ * @return {Object} Object containing the minted URI and uuid
+*/
+function mintUri(name, policy) {
+  const id = uuid();
+  return { uri: `${mintedBase(name, policy)}${id}`, uuid: id };
+}
+
+/**
+ * Whether a URI has been minted for a master resource with the given name.
+ *
+ * @public
+*/
+function isMintedUri(uri, name, policy) {
+  return uri.startsWith(mintedBase(name, policy));
+}
+
+/**
+ * Get the base of the URIs minted for resources with the given name.
+ *
+ * @private
+*/
+function mintedBase(name, policy) {
+  return `${policy.base.endsWith('/') ? policy.base : `${policy.base}/`}${name}/`;
+}
+
+export {
+  createMasterUriPolicy,
+  rankCandidates,
+  mintUri,
+  isMintedUri
+}
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import { MERGE_STRATEGIES_CONFIG } from '../config';
+import { logger } from './logger';
+
+const DEFAULT_STRATEGIES = ['graph-priority', 'most-recent', 'majority'];
+
+/**
+ * Merge strategies to select the master value of a property out of the
+ * candidate values of the slaves. A candidate is an object containing
+ * the value, the graph the value is found in and the modification date
+ * of the slave resource (if known).
+ *
+ * Each strategy narrows down the list of candidates to the best ones.
+ * If a strategy can't make a distinction, the list is returned untouched.
+*/
+const STRATEGIES = {
+  /** Keep the candidates of the graph that comes first in the configured graph priority list */
+  'graph-priority': function(candidates, config) {
+    const priorities = config.graphPriority || [];
+    const rank = (c) => priorities.includes(c.graph) ? priorities.indexOf(c.graph) : priorities.length;
+    const best = Math.min(...candidates.map(rank));
+    return candidates.filter(c => rank(c) == best);
+  },
+
+  /** Keep the candidates of the most recently modified slave resource, based on dct:modified */
+  'most-recent': function(candidates) {
+    const modified = candidates.filter(c => c.modified);
+    if (!modified.length)
+      return candidates;
+    const latest = Math.max(...modified.map(c => new Date(c.modified).getTime()));
+    return modified.filter(c => new Date(c.modified).getTime() == latest);
+  },
+
+  /** Keep the candidates having the value that occurs most across slaves */
+  'majority': function(candidates) {
+    const count = (value) => candidates.filter(c => c.value == value).length;
+    const max = Math.max(...candidates.map(c => count(c.value)));
+    return candidates.filter(c => count(c.value) == max);
+  },
+
+  /** Keep the candidates having the longest, i.e. most complete, value */
+  'longest': function(candidates) {
+    const max = Math.max(...candidates.map(c => `${c.value}`.trim().length));
+    return candidates.filter(c => `${c.value}`.trim().length == max);
+  }
+};
+
+const config = loadConfig();
+
+/**
+ * Select the master value of a property out of a list of candidate values.
+ *
+ * The strategies configured for the property are applied in order until
+ * a single value remains. If multiple values remain after applying all strategies,
+ * a deterministic tie-breaker selects the lowest value in lexicographical order.
+ *
+ * @public
+ * @param property {string} Property to merge, formatted as '<resource>.<property>', e.g. 'person.familyName'
+ * @param candidates {Array} Array of candidates, each containing a value, graph and optional modification date
+ * @return {Object} Object containing the selected value, the strategy that selected it
+ *           and the rejected candidates
+*/
+function mergeValues(property, candidates) {
+  const strategies = getStrategies(property);
+
+  let remaining = candidates;
+  let strategy = null;
+  for (let name of strategies) {
+    if (distinctValues(remaining).length == 1)
+      break;
+    remaining = STRATEGIES[name](remaining, config);
+    strategy = name;
+  }
+
+  const values = distinctValues(remaining);
+  if (values.length > 1) {
+    values.sort();
+    strategy = 'tie-breaker';
+  }
+  const value = values[0];
+
+  return {
+    value,
+    strategy,
+    rejected: candidates.filter(c => c.value != value).map(c => ({ value: c.value, graph: c.graph }))
+  };
+}
+
+/**
+ * Whether the master keeps the union of the candidate values of a property
+ * instead of selecting a single value, e.g. for multiple first names.
+ *
+ * Properties that are multi-valued in the resource model are union properties by default,
+ * unless they are listed in 'singleValue'. Other properties are union properties
+ * if they are listed in 'union'.
+ *
+ * @public
+ * @param property {string} Property formatted as '<resource>.<property>'
+ * @param multiValued {boolean} Whether the property is configured as multi-valued in the resource model
+ * @return {boolean} True if the master keeps all distinct values of the property
+*/
+function isUnionProperty(property, multiValued = false) {
+  if ((config.union || []).includes(property))
+    return true;
+  else if ((config.singleValue || []).includes(property))
+    return false;
+  else
+    return multiValued;
+}
+
+/**
+ * Get the names of the strategies configured for a property.
+ *
+ * @private
+ * @param property {string} Property formatted as '<resource>.<property>'
+ * @return {Array} Array of strategy names
+*/
+function getStrategies(property) {
+  const properties = config.properties || {};
+  return properties[property] || config.default || DEFAULT_STRATEGIES;
+}
+
+/**
+ * Get the distinct values of a list of candidates.
+ *
+ * @private
+*/
+function distinctValues(candidates) {
+  return [...new Set(candidates.map(c => c.value))];
+}
+
+/**
+ * Load and validate the merge strategy configuration file.
+ * The default configuration is used if the file doesn't exist.
+ *
+ * @private
+ * @return {Object} Merge strategy configuration
+*/
+function loadConfig() {
+  let config = {};
+  if (fs.existsSync(MERGE_STRATEGIES_CONFIG)) {
+    logger.info('Loading merge strategies', { file: MERGE_STRATEGIES_CONFIG });
+    config = JSON.parse(fs.readFileSync(MERGE_STRATEGIES_CONFIG, 'utf8'));
+  } else {
+    logger.info('No merge strategies configured. Using the defaults.', { file: MERGE_STRATEGIES_CONFIG });
+  }
+
+  const properties = config.properties || {};
+  const configured = [config.default || []].concat(Object.keys(properties).map(p => properties[p]));
+  for (let strategies of configured) {
+    for (let name of strategies) {
+      if (!STRATEGIES[name])
+        throw new Error(`Unknown merge strategy '${name}'. Expected one of ${Object.keys(STRATEGIES).join(', ')}.`);
+    }
+  }
+
+  for (let option of ['union', 'singleValue']) {
+    if (config[option] && !Array.isArray(config[option]))
+      throw new Error(`Expected '${option}' to be an array of properties in ${MERGE_STRATEGIES_CONFIG}.`);
+  }
+
+  return config;
+}
+
+export {
+  mergeValues,
+  isUnionProperty
+}
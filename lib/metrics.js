@@ -0,0 +1,192 @@
+/**
+ * Registry of the metrics exposed in Prometheus text format on GET /metrics.
+ * All metrics are kept in memory and reset on restart of the service.
+*/
+
+const PREFIX = 'person_reconciliation_';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Metric definitions indexed by name (without prefix). The values of a metric
+ * are indexed by the serialized labels.
+*/
+const metrics = {
+  keys_processed_total: { type: 'counter', help: 'Number of keys (RRNs) processed by a reconciliation' },
+  keys_merged_total: { type: 'counter', help: 'Number of keys (RRNs) of which the duplicates have been merged' },
+  keys_skipped_total: { type: 'counter', help: 'Number of keys (RRNs) skipped, because they are invalid or have no duplicates' },
+  keys_proposed_total: { type: 'counter', help: 'Number of keys (RRNs) of which the merge has been proposed for approval' },
+  keys_failed_total: { type: 'counter', help: 'Number of keys (RRNs) of which the reconciliation failed' },
+  reconciliation_duration_seconds: { type: 'histogram', help: 'Duration of the reconciliation of a key', buckets: DURATION_BUCKETS },
+  sparql_duration_seconds: { type: 'histogram', help: 'Duration of a SPARQL query or update', buckets: DURATION_BUCKETS },
+  integrity_issues_total: { type: 'counter', help: 'Number of integrity issues found after a reconciliation, by type' },
+  notifications_failed_total: { type: 'counter', help: 'Number of notifications of a reconciliation that failed to be written or posted' },
+  duplicate_backlog: { type: 'gauge', help: 'Number of duplicate keys found by the last scan for duplicates' },
+  delta_queue_depth: { type: 'gauge', help: 'Number of keys waiting in the delta queue' },
+  last_cron_success_timestamp_seconds: { type: 'gauge', help: 'Time of the last successful reconciliation triggered by the cron job' }
+};
+Object.keys(metrics).forEach(name => metrics[name].values = new Map());
+
+/**
+ * Functions collecting the value of gauges at the time the metrics are requested.
+*/
+const collectors = [];
+
+/**
+ * Increment a counter.
+ *
+ * @public
+ * @param name {string} Name of the counter, without prefix
+ * @param labels {Object} Labels of the value to increment
+*/
+function increment(name, labels = {}) {
+  const values = getMetric(name, 'counter').values;
+  const key = serializeLabels(labels);
+  values.set(key, (values.get(key) || 0) + 1);
+}
+
+/**
+ * Observe a value in a histogram.
+ *
+ * @public
+ * @param name {string} Name of the histogram, without prefix
+ * @param value {number} Observed value, e.g. a duration in seconds
+ * @param labels {Object} Labels of the observation
+*/
+function observe(name, value, labels = {}) {
+  const metric = getMetric(name, 'histogram');
+  const key = serializeLabels(labels);
+  if (!metric.values.has(key))
+    metric.values.set(key, { buckets: metric.buckets.map(() => 0), sum: 0, count: 0 });
+
+  const histogram = metric.values.get(key);
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound)
+      histogram.buckets[i]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+/**
+ * Set the value of a gauge.
+ *
+ * @public
+ * @param name {string} Name of the gauge, without prefix
+ * @param value {number} Value of the gauge
+ * @param labels {Object} Labels of the value
+*/
+function setGauge(name, value, labels = {}) {
+  getMetric(name, 'gauge').values.set(serializeLabels(labels), value);
+}
+
+/**
+ * Register a function collecting metrics each time the metrics are requested,
+ * e.g. to set a gauge that is cheap to query.
+ *
+ * @public
+ * @param collector {Function} Async function without arguments
+*/
+function registerCollector(collector) {
+  collectors.push(collector);
+}
+
+/**
+ * Execute a function and observe its duration in seconds in a histogram.
+ *
+ * @public
+ * @param name {string} Name of the histogram, without prefix
+ * @param labels {Object} Labels of the observation
+ * @param fn {Function} Async function to time
+ * @return The result of the function
+*/
+async function time(name, labels, fn) {
+  const start = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    observe(name, Number(process.hrtime.bigint() - start) / 1e9, labels);
+  }
+}
+
+/**
+ * Render all metrics in Prometheus text format. The registered collectors are
+ * executed first. A failing collector doesn't prevent the other metrics from being rendered.
+ *
+ * @public
+ * @return {string} Metrics in Prometheus text exposition format
+*/
+async function renderMetrics() {
+  for (let collector of collectors) {
+    try {
+      await collector();
+    } catch (e) {
+      // the gauge keeps its previous value
+    }
+  }
+
+  const lines = [];
+  for (let name of Object.keys(metrics)) {
+    const metric = metrics[name];
+    const fullName = `${PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${metric.help}`);
+    lines.push(`# TYPE ${fullName} ${metric.type}`);
+    for (let [labels, value] of metric.values) {
+      if (metric.type == 'histogram') {
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${fullName}_bucket${formatLabels(labels, `le="${bound}"`)} ${value.buckets[i]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels(labels, 'le="+Inf"')} ${value.count}`);
+        lines.push(`${fullName}_sum${formatLabels(labels)} ${value.sum}`);
+        lines.push(`${fullName}_count${formatLabels(labels)} ${value.count}`);
+      } else {
+        lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get a metric by name, verifying its type.
+ *
+ * @private
+*/
+function getMetric(name, type) {
+  const metric = metrics[name];
+  if (!metric || metric.type != type)
+    throw new Error(`Unknown ${type} metric '${name}'`);
+  return metric;
+}
+
+/**
+ * Serialize labels in Prometheus format, sorted by label name.
+ *
+ * @private
+ * @return {string} Labels formatted as 'name="value",...'
+*/
+function serializeLabels(labels) {
+  return Object.keys(labels).sort().map(label => {
+    const value = `${labels[label]}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${label}="${value}"`;
+  }).join(',');
+}
+
+/**
+ * Format serialized labels, optionally with an additional label, between curly braces.
+ *
+ * @private
+*/
+function formatLabels(labels, additional) {
+  const all = [labels, additional].filter(l => l).join(',');
+  return all ? `{${all}}` : '';
+}
+
+export {
+  increment,
+  observe,
+  setGauge,
+  registerCollector,
+  time,
+  renderMetrics
+}
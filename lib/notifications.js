@@ -0,0 +1,181 @@
+import http from 'http';
+import https from 'https';
+import { parse as parseUrl } from 'url';
+import { uuid } from './sparql';
+import { createPlan, addStep, executeSteps, uri, literal } from './plan';
+import { logger } from './logger';
+import { increment } from './metrics';
+import { isAllowedGraph } from './graph-scope';
+import { NOTIFICATION_WEBHOOK_URL, NOTIFICATION_WEBHOOK_TIMEOUT } from '../config';
+
+const NOTIFICATION_BASE_URI = 'http://data.lblod.info/id/reconciliation-notifications/';
+const MAPPING_BASE_URI = 'http://data.lblod.info/id/uri-mappings/';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const MU_UUID = 'http://mu.semte.ch/vocabularies/core/uuid';
+const EXT = 'http://mu.semte.ch/vocabularies/ext/';
+const DCT_CREATED = 'http://purl.org/dc/terms/created';
+const DCT_DESCRIPTION = 'http://purl.org/dc/terms/description';
+const XSD_DATETIME = 'http://www.w3.org/2001/XMLSchema#dateTime';
+
+/**
+ * Notify the owners of the graphs affected by a reconciliation, so their applications
+ * can follow the URIs that have been replaced by the URIs of the master.
+ *
+ * A notification resource is written into every graph the slaves resided in or in which
+ * references have been changed, leaving out the graphs outside the graph scope, e.g. the graphs
+ * of the service itself. It mentions the master and maps each old URI of a slave
+ * resource to the URI of the master resource replacing it. If a webhook is configured,
+ * the notification is also posted to it as JSON.
+ *
+ * The reconciliation has already been applied when it is notified, hence notifying never fails:
+ * failing to write the notifications or to post them to the webhook is logged and counted
+ * in the metrics.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param reconciliation {Object} Applied reconciliation, with its id, URI and steps
+ * @param slaves {Array} Array of slave objects, each containing a graph, URI and resources
+ * @param master {Object} Master record that replaced the slaves
+ * @return {Object} The notification, with the affected graphs and the URI mappings
+*/
+async function notifyReconciliation(model, reconciliation, slaves, master) {
+  const changed = [].concat(...reconciliation.steps.map(s => s.deletes.concat(s.inserts))).map(q => q.graph.value);
+  const notification = {
+    id: uuid(),
+    created: new Date(),
+    model: model.name,
+    reconciliation: reconciliation.id,
+    master: master.uri,
+    graphs: [...new Set(slaves.map(s => s.graph).concat(changed))].filter(isAllowedGraph).sort(),
+    mappings: getUriMappings(slaves, master)
+  };
+
+  try {
+    await writeNotifications(notification, reconciliation);
+    logger.info('Notified affected graphs of reconciliation', { reconciliation: reconciliation.id, graphs: notification.graphs.length });
+  } catch (e) {
+    logger.error('Failed to write notifications of reconciliation', { reconciliation: reconciliation.id, error: e });
+    increment('notifications_failed_total', { target: 'graph' });
+  }
+
+  if (NOTIFICATION_WEBHOOK_URL) {
+    try {
+      await postJson(NOTIFICATION_WEBHOOK_URL, { data: toJsonApi(notification) });
+    } catch (e) {
+      logger.error('Failed to post notification to webhook', { reconciliation: reconciliation.id, error: e });
+      increment('notifications_failed_total', { target: 'webhook' });
+    }
+  }
+
+  return notification;
+}
+
+/**
+ * Get the old URIs of the slave resources mapped to the URIs of the master resources replacing them.
+ *
+ * @private
+ * @return {Array} Array of mappings, each with the graph of the slave, the old and the new URI
+*/
+function getUriMappings(slaves, master) {
+  const mappings = [];
+  for (let slave of slaves) {
+    for (let name of Object.keys(slave.resources)) {
+      const masterResource = master.resources[name];
+      for (let resource of slave.resources[name].filter(r => masterResource && r.uri != masterResource.uri)) {
+        if (!mappings.some(m => m.graph == slave.graph && m.old == resource.uri))
+          mappings.push({ graph: slave.graph, old: resource.uri, new: masterResource.uri });
+      }
+    }
+  }
+  return mappings;
+}
+
+/**
+ * Write a notification resource with its URI mappings into each affected graph.
+ *
+ * @private
+*/
+async function writeNotifications(notification, reconciliation) {
+  const quads = [];
+  for (let graph of notification.graphs) {
+    const id = uuid();
+    const subject = `${NOTIFICATION_BASE_URI}${id}`;
+    const add = (s, p, o) => quads.push({ graph: uri(graph), subject: uri(s), predicate: uri(p), object: o });
+
+    add(subject, RDF_TYPE, uri(`${EXT}ReconciliationNotification`));
+    add(subject, MU_UUID, literal(id));
+    add(subject, DCT_CREATED, literal(notification.created.toISOString(), XSD_DATETIME));
+    add(subject, DCT_DESCRIPTION, literal(`${notification.mappings.length} URIs have been replaced by the URIs of ${notification.master}`));
+    add(subject, `${EXT}reconciliation`, uri(reconciliation.uri));
+    add(subject, `${EXT}master`, uri(notification.master));
+    for (let mapping of notification.mappings) {
+      const mappingId = uuid();
+      const mappingUri = `${MAPPING_BASE_URI}${mappingId}`;
+      add(subject, `${EXT}uriMapping`, uri(mappingUri));
+      add(mappingUri, RDF_TYPE, uri(`${EXT}UriMapping`));
+      add(mappingUri, MU_UUID, literal(mappingId));
+      add(mappingUri, `${EXT}oldUri`, uri(mapping.old));
+      add(mappingUri, `${EXT}newUri`, uri(mapping.new));
+    }
+  }
+
+  const plan = createPlan();
+  await addStep(plan, 'insertNotification', [], quads);
+  await executeSteps(plan.steps);
+}
+
+/**
+ * Post a JSON body to a URL.
+ *
+ * @private
+ * @throws {Error} If the request fails, times out or the response has no 2xx status
+*/
+function postJson(url, body) {
+  const payload = JSON.stringify(body);
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(Object.assign(parseUrl(url), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      timeout: NOTIFICATION_WEBHOOK_TIMEOUT
+    }), (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300)
+        resolve();
+      else
+        reject(new Error(`Webhook responded with status ${res.statusCode}`));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Webhook did not respond within ${NOTIFICATION_WEBHOOK_TIMEOUT} ms`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Serialize a notification as JSON:API resource object.
+ *
+ * @public
+ * @param notification {Object} Notification as returned by notifyReconciliation
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(notification) {
+  return {
+    type: 'reconciliation-notifications',
+    id: notification.id,
+    attributes: {
+      model: notification.model,
+      reconciliation: notification.reconciliation,
+      master: notification.master,
+      graphs: notification.graphs,
+      mappings: notification.mappings.map(m => ({ graph: m.graph, 'old-uri': m.old, 'new-uri': m.new })),
+      created: notification.created
+    }
+  };
+}
+
+export {
+  notifyReconciliation,
+  toJsonApi
+}
@@ -0,0 +1,519 @@
+import { query, update, sparqlEscapeString, sparqlEscapeUri } from './sparql';
+import { registerWrites } from './recent-writes';
+import { logger } from './logger';
+
+/**
+ * A plan is the list of changes a reconciliation would make in the triplestore.
+ * The changes are grouped in steps, each step corresponding to one of the
+ * INSERT/DELETE queries of the reconciliation. A step consists of the operation
+ * name and the quads that would be deleted and inserted.
+ *
+ * While steps are added, the plan keeps track of the state of the quads
+ * it deleted or inserted. This allows to calculate the next steps on the
+ * state of the triplestore as it would be after executing the previous steps.
+ * Only effective changes are recorded: quads that don't exist are never deleted
+ * and quads that already exist are never inserted.
+ *
+ * Quads are objects with a graph, subject, predicate and object. Each of them is
+ * a term as found in SPARQL JSON results, i.e. an object with a type ('uri', 'literal'
+ * or 'bnode'), a value and optionally a datatype or language.
+*/
+
+/**
+ * Create a new, empty plan.
+ *
+ * @public
+ * @return {Object} An empty plan
+*/
+function createPlan() {
+  return { steps: [], state: {} };
+}
+
+/**
+ * Add a step to the plan.
+ *
+ * Deleted quads must be quads that exist in the current state of the plan,
+ * as returned by getCurrentQuads or getCurrentIncomingQuads.
+ * Inserted quads that already exist are not recorded.
+ *
+ * @public
+ * @param plan {Object} Plan to add the step to
+ * @param operation {string} Name of the operation the step corresponds to
+ * @param deletes {Array} Quads to delete
+ * @param inserts {Array} Quads to insert
+ * @return {Object} The added step
+*/
+async function addStep(plan, operation, deletes = [], inserts = []) {
+  deletes = uniqueQuads(deletes);
+  inserts = uniqueQuads(inserts);
+
+  const unknown = inserts.filter(q => !plan.state[quadKey(q)]);
+  const existing = await getExistingQuadKeys(unknown);
+
+  const effectiveInserts = inserts.filter(q => {
+    const key = quadKey(q);
+    const state = plan.state[key];
+    if (state)
+      return !state.present;
+    else
+      return !existing.includes(key);
+  });
+
+  for (let quad of deletes)
+    plan.state[quadKey(quad)] = { quad, present: false };
+  for (let quad of effectiveInserts)
+    plan.state[quadKey(quad)] = { quad, present: true };
+
+  const step = { operation, deletes, inserts: effectiveInserts };
+  plan.steps.push(step);
+  return step;
+}
+
+/**
+ * Get the quads with a given subject in a given graph,
+ * in the state of the triplestore after executing the steps of the plan.
+ *
+ * @public
+ * @param plan {Object} Plan to take into account
+ * @param graph {string} URI of the graph
+ * @param subject {string} URI of the subject
+ * @return {Array} Array of quads
+*/
+async function getCurrentQuads(plan, graph, subject) {
+  const result = await query(`
+SELECT DISTINCT ?p ?o WHERE {
+  GRAPH ${sparqlEscapeUri(graph)} {
+    ${sparqlEscapeUri(subject)} ?p ?o .
+  }
+}
+`);
+
+  const quads = result.results.bindings.map(b => {
+    return {
+      graph: uri(graph),
+      subject: uri(subject),
+      predicate: toTerm(b['p']),
+      object: toTerm(b['o'])
+    };
+  });
+
+  return mergeState(plan, quads, q => q.graph.value == graph && q.subject.value == subject);
+}
+
+/**
+ * Get the quads of the given subjects, each in its own graph, as stored in the triplestore.
+ * The subjects are retrieved in batches.
+ *
+ * @public
+ * @param subjects {Array} Array of objects with the URI of a graph and of a subject
+ * @return {Array} Array of quads
+*/
+async function getSubjectQuads(subjects) {
+  const quads = [];
+  const batchSize = 50;
+  const unique = uniqueValues(subjects.map(s => `(${sparqlEscapeUri(s.graph)} ${sparqlEscapeUri(s.subject)})`));
+
+  for (let i = 0; i < unique.length; i += batchSize) {
+    const batch = unique.slice(i, i + batchSize);
+    const result = await query(`
+SELECT DISTINCT ?g ?s ?p ?o WHERE {
+  VALUES (?g ?s) {
+    ${batch.join('\n    ')}
+  }
+  GRAPH ?g {
+    ?s ?p ?o .
+  }
+}
+`);
+
+    for (let b of result.results.bindings)
+      quads.push({ graph: uri(b['g'].value), subject: uri(b['s'].value), predicate: toTerm(b['p']), object: toTerm(b['o']) });
+  }
+
+  return quads;
+}
+
+/**
+ * Get the quads referring to a given object, in the state of the triplestore
+ * after executing the steps of the plan.
+ *
+ * @public
+ * @param plan {Object} Plan to take into account
+ * @param graph {string} URI of the graph. If none defined, quads from all graphs are returned.
+ * @param object {string} URI of the object
+ * @return {Array} Array of quads
+*/
+async function getCurrentIncomingQuads(plan, graph, object) {
+  const result = await query(`
+SELECT DISTINCT ?g ?s ?p WHERE {
+  GRAPH ${graph ? sparqlEscapeUri(graph) : '?g'} {
+    ?s ?p ${sparqlEscapeUri(object)} .
+  }
+}
+`);
+
+  const quads = result.results.bindings.map(b => {
+    return {
+      graph: uri(graph || b['g'].value),
+      subject: toTerm(b['s']),
+      predicate: toTerm(b['p']),
+      object: uri(object)
+    };
+  });
+
+  return mergeState(plan, quads, q => (!graph || q.graph.value == graph) && q.object.type == 'uri' && q.object.value == object);
+}
+
+/**
+ * Execute the steps of a plan in the triplestore. For each step,
+ * the quads to delete are deleted before the quads to insert are inserted.
+ *
+ * @public
+ * @param steps {Array} Steps to execute
+*/
+async function executeSteps(steps) {
+  for (let step of steps) {
+    await executeData('DELETE', step.deletes);
+    await executeData('INSERT', step.inserts);
+  }
+}
+
+/**
+ * Get the steps that undo the given steps. The steps are undone in reverse order,
+ * each step deleting the quads the original step inserted and inserting
+ * the quads the original step deleted.
+ *
+ * @public
+ * @param steps {Array} Steps to invert
+ * @return {Array} Inverted steps
+*/
+function invertSteps(steps) {
+  return steps.slice().reverse().map(step => {
+    return {
+      operation: `revert ${step.operation}`,
+      deletes: step.inserts,
+      inserts: step.deletes
+    };
+  });
+}
+
+/**
+ * Find the quads of which the current state in the triplestore differs from the state
+ * after executing the given steps, e.g. because the data has been changed since.
+ * A quad is expected to exist if the last step changing it inserted it
+ * and expected to be absent if the last step changing it deleted it.
+ * Quads containing blank nodes are not checked.
+ *
+ * @public
+ * @param steps {Array} Executed steps
+ * @return {Array} Quads that are missing or present against expectation
+*/
+async function findDivergingQuads(steps) {
+  const expected = {};
+  for (let step of steps) {
+    for (let quad of step.deletes)
+      expected[quadKey(quad)] = { quad, present: false };
+    for (let quad of step.inserts)
+      expected[quadKey(quad)] = { quad, present: true };
+  }
+
+  const states = Object.keys(expected).map(key => expected[key]);
+  const existing = new Set(await getExistingQuadKeys(states.map(s => s.quad)));
+  return states
+    .filter(s => [s.quad.subject, s.quad.predicate, s.quad.object].every(t => t.type != 'bnode'))
+    .filter(s => existing.has(quadKey(s.quad)) != s.present)
+    .map(s => s.quad);
+}
+
+/**
+ * Group the changes of a plan per graph.
+ *
+ * @public
+ * @param plan {Object} Plan to format
+ * @return {Object} Object mapping each graph URI to a list of operations,
+ *           each containing the deleted and inserted triples formatted as N-Triples
+*/
+function formatChanges(plan) {
+  const changes = {};
+
+  for (let step of plan.steps) {
+    const graphs = uniqueValues(step.deletes.concat(step.inserts).map(q => q.graph.value));
+    for (let graph of graphs) {
+      if (!changes[graph])
+        changes[graph] = [];
+      changes[graph].push({
+        operation: step.operation,
+        deletes: step.deletes.filter(q => q.graph.value == graph).map(toNTriple),
+        inserts: step.inserts.filter(q => q.graph.value == graph).map(toNTriple)
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Format the changes of a dry run report as Turtle document.
+ * The deleted and inserted triples are listed per graph and operation,
+ * each block preceded by a comment line describing it.
+ *
+ * @public
+ * @param reports {Array} Dry run reports as returned by reconciliateKey
+ * @return {string} Turtle document
+*/
+function toTurtle(reports) {
+  const lines = [];
+  for (let report of reports) {
+    lines.push(`# ${report.model || 'person'} ${report.rrn}: ${report.status}`);
+    for (let graph of Object.keys(report.changes)) {
+      for (let operation of report.changes[graph]) {
+        if (operation.deletes.length) {
+          lines.push(`# ${operation.operation}: DELETE from graph <${graph}>`);
+          lines.push(...operation.deletes);
+        }
+        if (operation.inserts.length) {
+          lines.push(`# ${operation.operation}: INSERT in graph <${graph}>`);
+          lines.push(...operation.inserts);
+        }
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Create a URI term.
+ *
+ * @public
+*/
+function uri(value) {
+  return { type: 'uri', value };
+}
+
+/**
+ * Create a literal term, optionally with a datatype.
+ *
+ * @public
+*/
+function literal(value, datatype) {
+  const term = { type: 'literal', value };
+  if (datatype)
+    term.datatype = datatype;
+  return term;
+}
+
+/**
+ * Format a term to be used in a SPARQL query.
+ *
+ * @public
+ * @param term {Object} Term to format
+ * @return {string} Escaped term
+*/
+function toSparqlTerm(term) {
+  if (term.type == 'uri') {
+    return sparqlEscapeUri(term.value);
+  } else if (term.type == 'literal') {
+    if (term['xml:lang'])
+      return `${sparqlEscapeString(term.value)}@${term['xml:lang']}`;
+    else if (term.datatype)
+      return `${sparqlEscapeString(term.value)}^^${sparqlEscapeUri(term.datatype)}`;
+    else
+      return sparqlEscapeString(term.value);
+  } else {
+    throw new Error(`Terms of type '${term.type}' cannot be used in a query`);
+  }
+}
+
+/**
+ * Format a quad as N-Triples statement, leaving out the graph.
+ *
+ * @public
+ * @param quad {Object} Quad to format
+ * @return {string} N-Triples statement
+*/
+function toNTriple(quad) {
+  return `${toNTriplesTerm(quad.subject)} ${toNTriplesTerm(quad.predicate)} ${toNTriplesTerm(quad.object)} .`;
+}
+
+/**
+ * Format a term in N-Triples syntax.
+ *
+ * @private
+*/
+function toNTriplesTerm(term) {
+  if (term.type == 'uri') {
+    return `<${term.value}>`;
+  } else if (term.type == 'bnode') {
+    return `_:${term.value}`;
+  } else {
+    const value = JSON.stringify(term.value);
+    if (term['xml:lang'])
+      return `${value}@${term['xml:lang']}`;
+    else if (term.datatype)
+      return `${value}^^<${term.datatype}>`;
+    else
+      return value;
+  }
+}
+
+/**
+ * Convert a term of a SPARQL JSON result binding to a term.
+ * Typed literals are converted to literals with a datatype.
+ *
+ * @private
+*/
+function toTerm(binding) {
+  const term = { type: binding.type == 'typed-literal' ? 'literal' : binding.type, value: binding.value };
+  if (binding.datatype)
+    term.datatype = binding.datatype;
+  if (binding['xml:lang'])
+    term['xml:lang'] = binding['xml:lang'];
+  return term;
+}
+
+/**
+ * Delete or insert a set of quads using DELETE DATA or INSERT DATA queries.
+ * The quads are sent in batches, grouped per graph.
+ * Quads containing blank nodes cannot be deleted and are skipped.
+ * The quads are registered as written by the service, so the resulting deltas can be ignored.
+ *
+ * @private
+ * @param type {string} 'DELETE' or 'INSERT'
+ * @param quads {Array} Quads to delete or insert
+*/
+async function executeData(type, quads) {
+  const blankNodeQuads = quads.filter(q => [q.subject, q.object].some(t => t.type == 'bnode'));
+  if (blankNodeQuads.length)
+    logger.warn('Skipping quads containing blank nodes', { count: blankNodeQuads.length, operation: `${type} DATA` });
+  quads = quads.filter(q => !blankNodeQuads.includes(q));
+
+  const batchSize = 100;
+  for (let i = 0; i < quads.length; i += batchSize) {
+    const batch = quads.slice(i, i + batchSize);
+    const graphs = uniqueValues(batch.map(q => q.graph.value));
+    const blocks = graphs.map(graph => {
+      const statements = batch.filter(q => q.graph.value == graph).map(q => {
+        return `${toSparqlTerm(q.subject)} ${toSparqlTerm(q.predicate)} ${toSparqlTerm(q.object)} .`;
+      });
+      return `GRAPH ${sparqlEscapeUri(graph)} {
+    ${statements.join('\n    ')}
+  }`;
+    });
+
+    registerWrites(batch);
+    await update(`
+${type} DATA {
+  ${blocks.join('\n  ')}
+}
+`);
+  }
+}
+
+/**
+ * Merge quads retrieved from the triplestore with the state of the plan.
+ * Quads deleted by the plan are removed, quads inserted by the plan
+ * matching the given filter are added.
+ *
+ * @private
+*/
+function mergeState(plan, quads, matches) {
+  const current = {};
+
+  for (let quad of quads) {
+    const state = plan.state[quadKey(quad)];
+    if (!state || state.present)
+      current[quadKey(quad)] = quad;
+  }
+
+  for (let key of Object.keys(plan.state)) {
+    const state = plan.state[key];
+    if (state.present && matches(state.quad))
+      current[key] = state.quad;
+  }
+
+  return Object.keys(current).map(key => current[key]);
+}
+
+/**
+ * Get the keys of the given quads that exist in the triplestore.
+ *
+ * @private
+*/
+async function getExistingQuadKeys(quads) {
+  const keys = [];
+  const batchSize = 50;
+  const queryableQuads = quads.filter(q => [q.subject, q.predicate, q.object].every(t => t.type != 'bnode'));
+
+  for (let i = 0; i < queryableQuads.length; i += batchSize) {
+    const batch = queryableQuads.slice(i, i + batchSize);
+    const values = batch.map(q => {
+      return `(${[q.graph, q.subject, q.predicate, q.object].map(toSparqlTerm).join(' ')})`;
+    });
+
+    const result = await query(`
+SELECT DISTINCT ?g ?s ?p ?o WHERE {
+  VALUES (?g ?s ?p ?o) {
+    ${values.join('\n    ')}
+  }
+  GRAPH ?g {
+    ?s ?p ?o .
+  }
+}
+`);
+
+    for (let b of result.results.bindings) {
+      const quad = { graph: toTerm(b['g']), subject: toTerm(b['s']), predicate: toTerm(b['p']), object: toTerm(b['o']) };
+      keys.push(quadKey(quad));
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Get a key uniquely identifying a quad.
+ *
+ * @private
+*/
+function quadKey(quad) {
+  return `${toNTriplesTerm(quad.graph)} ${toNTriple(quad)}`;
+}
+
+/**
+ * Remove duplicate quads from a list of quads.
+ *
+ * @private
+*/
+function uniqueQuads(quads) {
+  const unique = {};
+  for (let quad of quads)
+    unique[quadKey(quad)] = quad;
+  return Object.keys(unique).map(key => unique[key]);
+}
+
+/**
+ * Remove duplicate values from a list of strings.
+ *
+ * @private
+*/
+function uniqueValues(values) {
+  return [...new Set(values)];
+}
+
+export {
+  createPlan,
+  addStep,
+  getCurrentQuads,
+  getCurrentIncomingQuads,
+  getSubjectQuads,
+  executeSteps,
+  invertSteps,
+  findDivergingQuads,
+  formatChanges,
+  toTurtle,
+  uri,
+  literal,
+  toSparqlTerm,
+  toNTriple
+}
@@ -0,0 +1,278 @@
+import { query, update, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime } from './sparql';
+import { RECONCILIATION_GRAPH } from '../config';
+import { maskKey, maskMaster } from './masking';
+
+const PROPOSAL_BASE_URI = 'http://data.lblod.info/id/reconciliation-proposals/';
+
+const STATUS_BASE_URI = 'http://lblod.data.gift/concepts/reconciliation-proposal-status/';
+
+/**
+ * Record a merge that must be approved before it's executed, including the planned master.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model
+ * @param rrn {string} Key shared by the slaves. May be null if the slaves don't have a valid key.
+ * @param slaves {Array} Array of slave objects, each containing a graph and URI
+ * @param master {Object} Master record as constructed out of the slaves
+ * @param risks {Array} Matching risk rules, each with the type of the rule and the reason
+ * @return {Object} The recorded proposal
+*/
+async function createProposal(modelName, rrn, slaves, master, risks) {
+  const id = uuid();
+  const proposal = {
+    id,
+    uri: `${PROPOSAL_BASE_URI}${id}`,
+    model: modelName,
+    rrn,
+    status: 'pending',
+    created: new Date(),
+    slaves: slaves.map(s => ({ graph: s.graph, uri: s.uri })),
+    master: { uri: master.uri, resources: master.resources, decisions: master.decisions },
+    risks
+  };
+
+  const slaveStatements = [...new Set(slaves.map(s => s.uri))].map(slave => `${sparqlEscapeUri(proposal.uri)} ext:slave ${sparqlEscapeUri(slave)} .`);
+  const rrnStatement = rrn ? `${sparqlEscapeUri(proposal.uri)} ext:rrn ${sparqlEscapeString(rrn)} .` : '';
+  const snapshot = { slaves: proposal.slaves, master: proposal.master, risks };
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(proposal.uri)} a ext:ReconciliationProposal ;
+      mu:uuid ${sparqlEscapeString(proposal.id)} ;
+      ext:model ${sparqlEscapeString(modelName)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + 'pending')} ;
+      dct:created ${sparqlEscapeDateTime(proposal.created)} ;
+      ext:snapshot ${sparqlEscapeString(JSON.stringify(snapshot))} .
+    ${rrnStatement}
+    ${slaveStatements.join('\n    ')}
+  }
+}
+`);
+
+  return proposal;
+}
+
+/**
+ * Get the proposals, most recent first.
+ *
+ * @public
+ * @param filter {Object} Filters on rrn, model and status ('pending', 'approved' or 'rejected')
+ * @param options {Object} Paging options
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of proposals per page
+ * @return {Object} Object containing the proposals of the requested page and the total count
+*/
+async function getProposals(filter = {}, options = {}) {
+  const page = options.page || 0;
+  const size = options.size || 20;
+
+  const filters = [];
+  if (filter.rrn)
+    filters.push(`?proposal ext:rrn ${sparqlEscapeString(filter.rrn)} .`);
+  if (filter.model)
+    filters.push(`?proposal ext:model ${sparqlEscapeString(filter.model)} .`);
+  if (filter.status)
+    filters.push(`?proposal adms:status ${sparqlEscapeUri(STATUS_BASE_URI + filter.status)} .`);
+
+  const countResult = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+
+SELECT (COUNT(DISTINCT ?proposal) as ?count) WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?proposal a ext:ReconciliationProposal .
+    ${filters.join('\n    ')}
+  }
+}
+`);
+  const count = parseInt(countResult.results.bindings[0]['count'].value);
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?uuid ?created WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?proposal a ext:ReconciliationProposal ;
+      mu:uuid ?uuid ;
+      dct:created ?created .
+    ${filters.join('\n    ')}
+  }
+} ORDER BY DESC(?created) LIMIT ${size} OFFSET ${page * size}
+`);
+
+  const proposals = [];
+  for (let binding of result.results.bindings) {
+    const proposal = await getProposal(binding['uuid'].value);
+    if (proposal)
+      proposals.push(proposal);
+  }
+
+  return { proposals, count };
+}
+
+/**
+ * Get a proposal by id, including the slaves, the planned master and the matching risk rules.
+ *
+ * @public
+ * @param id {string} Id of the proposal
+ * @return {Object} The proposal or null if no proposal with the given id is found
+*/
+async function getProposal(id) {
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT ?proposal ?model ?rrn ?status ?created ?modified ?snapshot ?reconciliation WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?proposal a ext:ReconciliationProposal ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      ext:model ?model ;
+      adms:status ?status ;
+      dct:created ?created ;
+      ext:snapshot ?snapshot .
+    OPTIONAL { ?proposal ext:rrn ?rrn . }
+    OPTIONAL { ?proposal dct:modified ?modified . }
+    OPTIONAL { ?proposal ext:reconciliationId ?reconciliation . }
+  }
+} LIMIT 1
+`);
+
+  if (!result.results.bindings.length)
+    return null;
+
+  const binding = result.results.bindings[0];
+  const snapshot = JSON.parse(binding['snapshot'].value);
+  return {
+    id,
+    uri: binding['proposal'].value,
+    model: binding['model'].value,
+    rrn: binding['rrn'] ? binding['rrn'].value : null,
+    status: binding['status'].value.replace(STATUS_BASE_URI, ''),
+    created: new Date(binding['created'].value),
+    modified: binding['modified'] ? new Date(binding['modified'].value) : null,
+    slaves: snapshot.slaves,
+    master: snapshot.master,
+    risks: snapshot.risks,
+    reconciliation: binding['reconciliation'] ? binding['reconciliation'].value : null
+  };
+}
+
+/**
+ * Get the proposal of a key with the given status, if any.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model
+ * @param rrn {string} Normalized key
+ * @param status {string} Status of the proposal: 'pending', 'approved' or 'rejected'
+ * @return {Object} Object containing the id and URI of the proposal or null if none is found
+*/
+async function findProposal(modelName, rrn, status) {
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+
+SELECT ?proposal ?uuid WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?proposal a ext:ReconciliationProposal ;
+      mu:uuid ?uuid ;
+      ext:model ${sparqlEscapeString(modelName)} ;
+      ext:rrn ${sparqlEscapeString(rrn)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + status)} .
+  }
+} LIMIT 1
+`);
+
+  if (result.results.bindings.length) {
+    const binding = result.results.bindings[0];
+    return { id: binding['uuid'].value, uri: binding['proposal'].value };
+  } else {
+    return null;
+  }
+}
+
+/**
+ * Decide on a pending proposal.
+ *
+ * @public
+ * @param proposal {Object} Proposal as returned by getProposal
+ * @param status {string} 'approved' or 'rejected'
+ * @param reconciliation {string} Id of the reconciliation executing an approved proposal, if any
+*/
+async function decideProposal(proposal, status, reconciliation) {
+  const link = reconciliation ? `${sparqlEscapeUri(proposal.uri)} ext:reconciliationId ${sparqlEscapeString(reconciliation)} .` : '';
+
+  await update(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(proposal.uri)} adms:status ?status ;
+      dct:modified ?modified .
+  }
+} INSERT {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(proposal.uri)} adms:status ${sparqlEscapeUri(STATUS_BASE_URI + status)} ;
+      dct:modified ${sparqlEscapeDateTime(new Date())} .
+    ${link}
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(proposal.uri)} adms:status ?status .
+    OPTIONAL { ${sparqlEscapeUri(proposal.uri)} dct:modified ?modified . }
+  }
+}
+`);
+}
+
+/**
+ * Serialize a proposal as JSON:API resource object.
+ * The RRN and the sensitive values of the planned master are masked.
+ *
+ * @public
+ * @param proposal {Object} Proposal to serialize
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(proposal) {
+  return {
+    type: 'proposals',
+    id: proposal.id,
+    attributes: {
+      uri: proposal.uri,
+      model: proposal.model,
+      rrn: maskKey(proposal.rrn),
+      status: proposal.status,
+      slaves: proposal.slaves,
+      master: maskMaster(proposal.master),
+      risks: proposal.risks,
+      reconciliation: proposal.reconciliation,
+      created: proposal.created,
+      modified: proposal.modified
+    },
+    links: {
+      self: `/proposals/${proposal.id}`
+    }
+  };
+}
+
+export {
+  createProposal,
+  getProposals,
+  getProposal,
+  findProposal,
+  decideProposal,
+  toJsonApi
+}
@@ -0,0 +1,54 @@
+import { OWN_WRITES_TTL } from '../config';
+
+/**
+ * Registry of the triples recently written by the service itself.
+ * The delta notifier also sends the changes made by the service to the service.
+ * The registry allows to recognize those deltas and ignore them, to avoid
+ * reconciliating the same resources again and again.
+ *
+ * Maps the key of a triple to the time (in ms) until which it is considered recent.
+*/
+const recentWrites = new Map();
+
+/**
+ * Register triples written by the service.
+ *
+ * @public
+ * @param quads {Array} Quads about to be deleted or inserted, with terms as found in SPARQL JSON results
+*/
+function registerWrites(quads) {
+  const now = Date.now();
+  for (let [key, expiry] of recentWrites) {
+    if (expiry < now)
+      recentWrites.delete(key);
+  }
+
+  for (let quad of quads)
+    recentWrites.set(tripleKey(quad), now + OWN_WRITES_TTL);
+}
+
+/**
+ * Whether a triple has recently been written by the service.
+ *
+ * @public
+ * @param triple {Object} Triple as received from the delta notifier
+ * @return {boolean} True if the triple has been written by the service
+*/
+function isOwnWrite(triple) {
+  const expiry = recentWrites.get(tripleKey(triple));
+  return expiry !== undefined && expiry >= Date.now();
+}
+
+/**
+ * Get a key identifying a triple, regardless of its graph and datatype.
+ *
+ * @private
+*/
+function tripleKey(triple) {
+  return [triple.subject, triple.predicate, triple.object].map(t => `${t.type == 'uri' ? 'uri' : 'literal'} ${t.value}`).join(' ');
+}
+
+export {
+  registerWrites,
+  isOwnWrite
+}
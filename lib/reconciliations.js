@@ -0,0 +1,480 @@
+import { query, update, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime } from './sparql';
+import { RECONCILIATION_GRAPH, RECOVERY_STRATEGY } from '../config';
+import { executeSteps, invertSteps, findDivergingQuads, formatChanges } from './plan';
+import { logger } from './logger';
+import { maskKey, maskChanges } from './masking';
+
+const RECONCILIATION_BASE_URI = 'http://data.lblod.info/id/reconciliations/';
+const REVERT_BASE_URI = 'http://data.lblod.info/id/reconciliation-reverts/';
+const STATUS_BASE_URI = 'http://lblod.data.gift/concepts/reconciliation-status/';
+
+// ids of the reconciliations and reverts being applied by this process
+const applyingReconciliations = new Set();
+
+/**
+ * Error thrown when a reconciliation cannot be reverted, e.g. because the data has changed since
+*/
+class RevertError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RevertError';
+  }
+}
+
+/**
+ * Record a reconciliation event before executing it.
+ *
+ * The event contains a snapshot of the changes the reconciliation will execute,
+ * as calculated by the plan. The deleted quads of the plan are the original quads
+ * of the slaves, including the references to the slaves that will be rewritten.
+ * The snapshot serves as write-ahead log while applying the reconciliation
+ * and allows to revert the reconciliation afterwards.
+ *
+ * @public
+ * @param rrn {string} RRN that is reconciliated. May be null if the slaves don't have a valid RRN.
+ * @param slaves {Array} Array of slave objects
+ * @param master {Object} Master record
+ * @param plan {Object} Plan containing the changes the reconciliation will execute
+ * @return {Object} The recorded reconciliation event with status 'planned'
+*/
+async function createReconciliation(rrn, slaves, master, plan) {
+  const id = uuid();
+  const reconciliation = {
+    id,
+    uri: `${RECONCILIATION_BASE_URI}${id}`,
+    rrn,
+    status: 'planned',
+    created: new Date(),
+    master: master.uri,
+    slaves: slaves.map(s => ({ uri: s.uri, graph: s.graph })),
+    steps: plan.steps
+  };
+
+  const statements = reconciliation.slaves.map(slave => {
+    return `${sparqlEscapeUri(reconciliation.uri)} ext:slave ${sparqlEscapeUri(slave.uri)} .`;
+  });
+  if (rrn)
+    statements.push(`${sparqlEscapeUri(reconciliation.uri)} ext:rrn ${sparqlEscapeString(rrn)} .`);
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(reconciliation.uri)} a ext:Reconciliation ;
+      mu:uuid ${sparqlEscapeString(reconciliation.id)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + reconciliation.status)} ;
+      dct:created ${sparqlEscapeDateTime(reconciliation.created)} ;
+      ext:master ${sparqlEscapeUri(reconciliation.master)} ;
+      ext:snapshot ${sparqlEscapeString(JSON.stringify({ slaves: reconciliation.slaves, steps: reconciliation.steps }))} .
+    ${statements.join('\n    ')}
+  }
+}
+`);
+
+  return reconciliation;
+}
+
+/**
+ * Get the reconciliation events, most recent first.
+ *
+ * @public
+ * @param filter {Object} Filters on rrn, status ('planned', 'applied', 'rolled-back' or 'reverted'),
+ *          master and slave URI
+ * @param options {Object} Paging options
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of events per page
+ * @return {Object} Object containing the events of the requested page and the total count
+*/
+async function getReconciliations(filter = {}, options = {}) {
+  const page = options.page || 0;
+  const size = options.size || 20;
+
+  const filters = [];
+  if (filter.rrn)
+    filters.push(`?reconciliation ext:rrn ${sparqlEscapeString(filter.rrn)} .`);
+  if (filter.status)
+    filters.push(`?reconciliation adms:status ${sparqlEscapeUri(STATUS_BASE_URI + filter.status)} .`);
+  if (filter.master)
+    filters.push(`?reconciliation ext:master ${sparqlEscapeUri(filter.master)} .`);
+  if (filter.slave)
+    filters.push(`?reconciliation ext:slave ${sparqlEscapeUri(filter.slave)} .`);
+
+  const countResult = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+
+SELECT (COUNT(DISTINCT ?reconciliation) as ?count) WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?reconciliation a ext:Reconciliation .
+    ${filters.join('\n    ')}
+  }
+}
+`);
+  const count = parseInt(countResult.results.bindings[0]['count'].value);
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?uuid ?created WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?reconciliation a ext:Reconciliation ;
+      mu:uuid ?uuid ;
+      dct:created ?created .
+    ${filters.join('\n    ')}
+  }
+} ORDER BY DESC(?created) LIMIT ${size} OFFSET ${page * size}
+`);
+
+  const reconciliations = [];
+  for (let binding of result.results.bindings) {
+    const reconciliation = await getReconciliation(binding['uuid'].value);
+    if (reconciliation)
+      reconciliations.push(reconciliation);
+  }
+
+  return { reconciliations, count };
+}
+
+/**
+ * Get a reconciliation event by id, including its snapshot.
+ *
+ * @public
+ * @param id {string} Id of the reconciliation event
+ * @return {Object} The reconciliation event or null if no event with the given id is found
+*/
+async function getReconciliation(id) {
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT ?reconciliation ?rrn ?status ?created ?master ?snapshot WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?reconciliation a ext:Reconciliation ;
+      mu:uuid ${sparqlEscapeString(id)} ;
+      adms:status ?status ;
+      dct:created ?created ;
+      ext:master ?master ;
+      ext:snapshot ?snapshot .
+    OPTIONAL { ?reconciliation ext:rrn ?rrn . }
+  }
+} LIMIT 1
+`);
+
+  if (!result.results.bindings.length)
+    return null;
+
+  const binding = result.results.bindings[0];
+  const snapshot = JSON.parse(binding['snapshot'].value);
+  return {
+    id,
+    uri: binding['reconciliation'].value,
+    rrn: binding['rrn'] ? binding['rrn'].value : null,
+    status: binding['status'].value.replace(STATUS_BASE_URI, ''),
+    created: new Date(binding['created'].value),
+    master: binding['master'].value,
+    slaves: snapshot.slaves,
+    steps: snapshot.steps
+  };
+}
+
+/**
+ * Apply the changes of a planned reconciliation and mark it as applied.
+ *
+ * The changes are applied step by step using DELETE DATA and INSERT DATA queries
+ * on the exact quads of the snapshot. Applying the steps again, from the start,
+ * on a partially applied reconciliation results in the same state as applying them once.
+ * This allows to complete a reconciliation that has been interrupted.
+ *
+ * @public
+ * @param reconciliation {Object} Reconciliation event with status 'planned'
+*/
+async function applyReconciliation(reconciliation) {
+  applyingReconciliations.add(reconciliation.id);
+  try {
+    await executeSteps(reconciliation.steps);
+    await updateReconciliationStatus(reconciliation, 'applied');
+  } finally {
+    applyingReconciliations.delete(reconciliation.id);
+  }
+}
+
+/**
+ * Recover the reconciliations and reverts that have been planned, but of which the changes
+ * may not have been applied completely, e.g. because the service stopped.
+ *
+ * Depending on the configured recovery strategy, the reconciliations are completed
+ * (status 'applied') or rolled back to the original slave data (status 'rolled-back').
+ * Likewise, a revert is completed, marking its reconciliation as reverted, or rolled back
+ * to the merged data of its reconciliation, which stays applied.
+ * Reconciliations and reverts that are being applied by this process are left untouched.
+ *
+ * @public
+ * @param filter {Object} Filter on rrn to only recover the reconciliations of an RRN
+ * @return {number} Number of recovered reconciliations and reverts
+*/
+async function recoverReconciliations(filter = {}) {
+  const { reconciliations } = await getReconciliations(Object.assign({}, filter, { status: 'planned' }), { size: 1000 });
+  const reverts = await getPlannedReverts(filter);
+  const interrupted = reconciliations.concat(reverts)
+        .filter(r => !applyingReconciliations.has(r.id))
+        .sort((a, b) => a.created - b.created); // oldest first
+
+  for (let reconciliation of interrupted) {
+    if (reconciliation.reconciliation) {
+      await recoverRevert(reconciliation);
+    } else if (RECOVERY_STRATEGY == 'rollback') {
+      logger.info('Rolling back interrupted reconciliation', { reconciliation: reconciliation.id });
+      await executeSteps(invertSteps(reconciliation.steps));
+      await updateReconciliationStatus(reconciliation, 'rolled-back');
+    } else {
+      logger.info('Completing interrupted reconciliation', { reconciliation: reconciliation.id });
+      await applyReconciliation(reconciliation);
+    }
+  }
+
+  return interrupted.length;
+}
+
+/**
+ * Complete or roll back an interrupted revert, depending on the configured recovery strategy.
+ *
+ * @private
+ * @param revert {Object} Revert with status 'planned'
+*/
+async function recoverRevert(revert) {
+  if (RECOVERY_STRATEGY == 'rollback') {
+    logger.info('Rolling back interrupted revert', { revert: revert.id, reconciliation: revert.reconciliation.id });
+    await executeSteps(revert.reconciliation.steps);
+    await updateReconciliationStatus(revert.reconciliation, 'applied');
+    await updateReconciliationStatus(revert, 'rolled-back');
+  } else {
+    logger.info('Completing interrupted revert', { revert: revert.id, reconciliation: revert.reconciliation.id });
+    await applyRevert(revert);
+  }
+}
+
+/**
+ * Update the status of a reconciliation event or a revert.
+ *
+ * @public
+ * @param reconciliation {Object} Reconciliation event or revert to update
+ * @param status {string} New status: 'planned', 'applied', 'rolled-back' or 'reverted'
+*/
+async function updateReconciliationStatus(reconciliation, status) {
+  reconciliation.status = status;
+
+  await update(`
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+DELETE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(reconciliation.uri)} adms:status ?status ;
+      dct:modified ?modified .
+  }
+} INSERT {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(reconciliation.uri)} adms:status ${sparqlEscapeUri(STATUS_BASE_URI + status)} ;
+      dct:modified ${sparqlEscapeDateTime(new Date())} .
+  }
+} WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(reconciliation.uri)} adms:status ?status .
+    OPTIONAL { ${sparqlEscapeUri(reconciliation.uri)} dct:modified ?modified . }
+  }
+}
+`);
+}
+
+/**
+ * Revert a reconciliation based on its snapshot.
+ *
+ * The steps of the reconciliation are undone in reverse order: inserted quads,
+ * including the owl:sameAs links to the master, are deleted and deleted quads,
+ * i.e. the original person, identifier and birthdate resources and the references
+ * to them, are inserted again.
+ *
+ * Only an applied reconciliation of which the changes are still found in the data
+ * can be reverted. A reconciliation that is being applied or has been interrupted
+ * cannot be reverted, nor can a reconciliation of which the result has been changed
+ * since, e.g. by a later reconciliation, since reverting it would undo those changes.
+ * The caller must hold the locks on the resources of the reconciliation.
+ * The revert is recorded before changing any data, so a revert that is interrupted
+ * is recovered by recoverReconciliations, as an interrupted reconciliation is.
+ * The reverted status is kept, so later reconciliations of the RRN are proposed
+ * for approval instead of being executed.
+ *
+ * @public
+ * @param reconciliation {Object} Reconciliation event to revert
+ * @throws {RevertError} If the reconciliation has not been applied or its data has changed since
+*/
+async function revertReconciliation(reconciliation) {
+  if (['reverted', 'rolled-back'].includes(reconciliation.status))
+    throw new RevertError(`Reconciliation ${reconciliation.id} has already been ${reconciliation.status}`);
+  if (reconciliation.status != 'applied' || applyingReconciliations.has(reconciliation.id))
+    throw new RevertError(`Reconciliation ${reconciliation.id} has not been applied completely and cannot be reverted`);
+
+  const diverging = await findDivergingQuads(reconciliation.steps);
+  if (diverging.length)
+    throw new RevertError(`The data has changed since reconciliation ${reconciliation.id} (${diverging.length} triples differ) and cannot be reverted`);
+
+  logger.info('Reverting reconciliation', { reconciliation: reconciliation.id, slaves: reconciliation.slaves.length });
+  const revert = await createRevert(reconciliation);
+  await applyRevert(revert);
+}
+
+/**
+ * Record a revert of a reconciliation before executing it.
+ *
+ * The revert serves as write-ahead log, as the reconciliation event does for the reconciliation.
+ * Its changes are the inverted steps of the snapshot of the reconciliation, hence the revert
+ * only refers to the reconciliation instead of holding a copy of the (personal) data.
+ *
+ * @private
+ * @param reconciliation {Object} Reconciliation event to revert
+ * @return {Object} The recorded revert with status 'planned'
+*/
+async function createRevert(reconciliation) {
+  const id = uuid();
+  const revert = {
+    id,
+    uri: `${REVERT_BASE_URI}${id}`,
+    status: 'planned',
+    created: new Date(),
+    reconciliation
+  };
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(revert.uri)} a ext:Revert ;
+      mu:uuid ${sparqlEscapeString(revert.id)} ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + revert.status)} ;
+      dct:created ${sparqlEscapeDateTime(revert.created)} ;
+      ext:reconciliation ${sparqlEscapeUri(reconciliation.uri)} .
+  }
+}
+`);
+
+  return revert;
+}
+
+/**
+ * Apply the inverted steps of the reconciliation of a planned revert, mark the reconciliation
+ * as reverted and the revert as applied. As for applyReconciliation, applying the steps again
+ * completes a revert that has been interrupted.
+ *
+ * @private
+ * @param revert {Object} Revert with status 'planned'
+*/
+async function applyRevert(revert) {
+  applyingReconciliations.add(revert.id);
+  try {
+    await executeSteps(invertSteps(revert.reconciliation.steps));
+    await updateReconciliationStatus(revert.reconciliation, 'reverted');
+    await updateReconciliationStatus(revert, 'applied');
+  } finally {
+    applyingReconciliations.delete(revert.id);
+  }
+}
+
+/**
+ * Get the reverts that have been planned, including their reconciliation event.
+ *
+ * @private
+ * @param filter {Object} Filter on rrn of the reverted reconciliation
+ * @return {Array} Array of reverts with status 'planned'
+*/
+async function getPlannedReverts(filter = {}) {
+  const filters = [];
+  if (filter.rrn)
+    filters.push(`?reconciliation ext:rrn ${sparqlEscapeString(filter.rrn)} .`);
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?revert ?uuid ?created ?reconciliationId WHERE {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?revert a ext:Revert ;
+      mu:uuid ?uuid ;
+      adms:status ${sparqlEscapeUri(STATUS_BASE_URI + 'planned')} ;
+      dct:created ?created ;
+      ext:reconciliation ?reconciliation .
+    ?reconciliation mu:uuid ?reconciliationId .
+    ${filters.join('\n    ')}
+  }
+} ORDER BY ?created
+`);
+
+  const reverts = [];
+  for (let binding of result.results.bindings) {
+    const reconciliation = await getReconciliation(binding['reconciliationId'].value);
+    if (reconciliation) {
+      reverts.push({
+        id: binding['uuid'].value,
+        uri: binding['revert'].value,
+        status: 'planned',
+        created: new Date(binding['created'].value),
+        reconciliation
+      });
+    }
+  }
+
+  return reverts;
+}
+
+/**
+ * Serialize a reconciliation event as JSON:API resource object.
+ * The RRN and the sensitive values in the changes are masked.
+ *
+ * @public
+ * @param reconciliation {Object} Reconciliation event to serialize
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(reconciliation) {
+  return {
+    type: 'reconciliations',
+    id: reconciliation.id,
+    attributes: {
+      uri: reconciliation.uri,
+      rrn: maskKey(reconciliation.rrn),
+      status: reconciliation.status,
+      created: reconciliation.created,
+      master: reconciliation.master,
+      slaves: reconciliation.slaves,
+      changes: maskChanges(formatChanges({ steps: reconciliation.steps }))
+    },
+    links: {
+      self: `/reconciliations/${reconciliation.id}`
+    }
+  };
+}
+
+export {
+  RevertError,
+  createReconciliation,
+  applyReconciliation,
+  recoverReconciliations,
+  getReconciliations,
+  getReconciliation,
+  updateReconciliationStatus,
+  revertReconciliation,
+  toJsonApi
+}
@@ -0,0 +1,266 @@
+import fs from 'fs';
+import { RESOURCE_MODELS_CONFIG } from '../config';
+import { normalizeRrn, validateRrn } from './rrn';
+import { logger } from './logger';
+
+const DEFAULT_MODEL = 'person';
+
+/**
+ * Normalizers of the matching key of a model. Each normalizer normalizes a raw key
+ * value in JavaScript, validates the normalized value and builds the SPARQL expression
+ * normalizing a variable the same way in the triplestore.
+*/
+const KEY_NORMALIZERS = {
+  /** Digits only, validated as Belgian national register number */
+  'rrn': {
+    normalize: normalizeRrn,
+    validate: validateRrn,
+    sparql: (variable) => `REPLACE(STR(${variable}), "[^0-9]", "")`
+  },
+
+  /** Digits only, e.g. for a KBO number formatted as '0123.456.789' */
+  'digits': {
+    normalize: (value) => `${value}`.replace(/[^0-9]/g, ''),
+    validate: (key) => key.length ? { valid: true } : { valid: false, reason: 'no digits found' },
+    sparql: (variable) => `REPLACE(STR(${variable}), "[^0-9]", "")`
+  },
+
+  /** The value as is */
+  'none': {
+    normalize: (value) => `${value}`,
+    validate: (key) => key.length ? { valid: true } : { valid: false, reason: 'empty key' },
+    sparql: (variable) => `STR(${variable})`
+  }
+};
+
+/**
+ * Built-in resource models. A model describes the shape of the resources to reconciliate:
+ * - type: rdf:type of the root resource
+ * - key: the path of predicates from the root resource to the literal matching duplicates,
+ *     and the normalizer to apply on it. The path consists of a single property of the root,
+ *     or the predicate of a sub-resource followed by a property of that sub-resource.
+ * - properties: properties of the root resource, each with its predicate, an optional datatype
+ *     ('uri' for resources, an XSD datatype for typed literals) and whether multiple values
+ *     are expected (multiValued), conflicting values must be registered (conflicts) or values
+ *     must be masked in logs and reports (sensitive). The key is always considered sensitive.
+ * - resources: sub-resources owned by the root resource, each with the predicate linking
+ *     the root to the sub-resource, the rdf:type of the sub-resource and its properties
+*/
+const DEFAULT_MODELS = {
+  person: {
+    type: 'http://www.w3.org/ns/person#Person',
+    key: {
+      path: ['http://www.w3.org/ns/adms#identifier', 'http://www.w3.org/2004/02/skos/core#notation'],
+      normalizer: 'rrn'
+    },
+    properties: {
+      familyName: { predicate: 'http://xmlns.com/foaf/0.1/familyName', conflicts: true, sensitive: true },
+      name: { predicate: 'http://xmlns.com/foaf/0.1/name', multiValued: true, sensitive: true },
+      firstName: { predicate: 'http://data.vlaanderen.be/ns/persoon#gebruikteVoornaam', multiValued: true, conflicts: true, sensitive: true },
+      gender: { predicate: 'http://data.vlaanderen.be/ns/persoon#geslacht', datatype: 'uri', conflicts: true }
+    },
+    resources: {
+      identifier: {
+        predicate: 'http://www.w3.org/ns/adms#identifier',
+        type: 'http://www.w3.org/ns/adms#Identifier',
+        properties: {
+          notation: { predicate: 'http://www.w3.org/2004/02/skos/core#notation' }
+        }
+      },
+      birthdate: {
+        predicate: 'http://data.vlaanderen.be/ns/persoon#heeftGeboorte',
+        type: 'http://data.vlaanderen.be/ns/persoon#Geboorte',
+        properties: {
+          date: { predicate: 'http://data.vlaanderen.be/ns/persoon#datum', datatype: 'http://www.w3.org/2001/XMLSchema#date', conflicts: true, sensitive: true }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Resource models indexed by name. Loaded on first use rather than on import, since the logger
+ * used while loading depends, through the masking of sensitive data, on this module.
+*/
+let models = null;
+
+/**
+ * Get a resource model by name.
+ *
+ * @public
+ * @param name {string} Name of the model. Defaults to the person model.
+ * @return {Object} The resource model
+*/
+function getModel(name = DEFAULT_MODEL) {
+  const model = getLoadedModels()[name];
+  if (!model)
+    throw new Error(`Unknown resource model '${name}'. Expected one of ${Object.keys(models).join(', ')}.`);
+  return model;
+}
+
+/**
+ * Get all resource models.
+ *
+ * @public
+ * @return {Array} Array of resource models
+*/
+function getModels() {
+  const models = getLoadedModels();
+  return Object.keys(models).map(name => models[name]);
+}
+
+/**
+ * Whether a resource model with the given name exists.
+ *
+ * @public
+*/
+function hasModel(name) {
+  return !!getLoadedModels()[name];
+}
+
+/**
+ * Normalize and validate a key according to the key normalizer of a model.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param value {string} Raw key value
+ * @return {Object} Object with the normalized key, a boolean 'valid' and,
+ *           for an invalid key, the reason
+*/
+function normalizeKey(model, value) {
+  const normalizer = KEY_NORMALIZERS[model.key.normalizer];
+  const key = normalizer.normalize(value);
+  return Object.assign({ key }, normalizer.validate(key));
+}
+
+/**
+ * Get the SPARQL expression normalizing the key in a given variable.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param variable {string} SPARQL variable, e.g. '?notation'
+ * @return {string} SPARQL expression
+*/
+function keyExpression(model, variable) {
+  return KEY_NORMALIZERS[model.key.normalizer].sparql(variable);
+}
+
+/**
+ * Get the resource models, loading them the first time.
+ *
+ * @private
+ * @return {Object} Resource models indexed by name
+*/
+function getLoadedModels() {
+  if (!models)
+    models = loadModels();
+  return models;
+}
+
+/**
+ * Load the resource models from the configuration file and validate them.
+ * Configured models are added to the built-in models. A configured model with
+ * the same name as a built-in model replaces it.
+ *
+ * @private
+ * @return {Object} Resource models indexed by name
+*/
+function loadModels() {
+  let configured = {};
+  if (fs.existsSync(RESOURCE_MODELS_CONFIG)) {
+    logger.info('Loading resource models', { file: RESOURCE_MODELS_CONFIG });
+    configured = JSON.parse(fs.readFileSync(RESOURCE_MODELS_CONFIG, 'utf8'));
+  }
+
+  const definitions = Object.assign({}, DEFAULT_MODELS, configured);
+  const models = {};
+  for (let name of Object.keys(definitions))
+    models[name] = compileModel(name, definitions[name]);
+  return models;
+}
+
+/**
+ * Validate a model definition and complete it with the defaults.
+ *
+ * The resource the key path ends in is resolved to the name of the resource and property,
+ * formatted as '<resource>.<property>' as for the merge strategies.
+ *
+ * @private
+ * @param name {string} Name of the model
+ * @param definition {Object} Model definition as configured
+ * @return {Object} The compiled model
+*/
+function compileModel(name, definition) {
+  const fail = (message) => { throw new Error(`Invalid resource model '${name}': ${message}`); };
+
+  if (!definition.type)
+    fail('type is required');
+  if (!definition.key || !Array.isArray(definition.key.path) || !definition.key.path.length)
+    fail('key.path must be a non-empty array of predicates');
+  const normalizer = definition.key.normalizer || 'none';
+  if (!KEY_NORMALIZERS[normalizer])
+    fail(`unknown key normalizer '${normalizer}'. Expected one of ${Object.keys(KEY_NORMALIZERS).join(', ')}.`);
+
+  const compileProperties = (properties = {}) => {
+    const compiled = {};
+    for (let prop of Object.keys(properties)) {
+      const definition = properties[prop];
+      if (!definition.predicate)
+        fail(`predicate of property '${prop}' is required`);
+      compiled[prop] = {
+        predicate: definition.predicate,
+        datatype: definition.datatype,
+        multiValued: !!definition.multiValued,
+        conflicts: !!definition.conflicts,
+        sensitive: !!definition.sensitive
+      };
+    }
+    return compiled;
+  };
+
+  const resources = {};
+  for (let resource of Object.keys(definition.resources || {})) {
+    const subDefinition = definition.resources[resource];
+    if (resource == name)
+      fail(`sub-resource '${resource}' cannot have the name of the model`);
+    if (!subDefinition.predicate || !subDefinition.type)
+      fail(`predicate and type of sub-resource '${resource}' are required`);
+    resources[resource] = {
+      predicate: subDefinition.predicate,
+      type: subDefinition.type,
+      multiValued: !!subDefinition.multiValued,
+      properties: compileProperties(subDefinition.properties)
+    };
+  }
+
+  const model = {
+    name,
+    type: definition.type,
+    properties: compileProperties(definition.properties),
+    resources
+  };
+
+  const path = definition.key.path;
+  const findProperty = (properties, predicate) => Object.keys(properties).find(p => properties[p].predicate == predicate);
+  let keyProperty;
+  if (path.length == 1 && findProperty(model.properties, path[0])) {
+    keyProperty = `${name}.${findProperty(model.properties, path[0])}`;
+  } else if (path.length == 2) {
+    const resource = Object.keys(resources).find(r => resources[r].predicate == path[0]);
+    if (resource && findProperty(resources[resource].properties, path[1]))
+      keyProperty = `${resource}.${findProperty(resources[resource].properties, path[1])}`;
+  }
+  if (!keyProperty)
+    fail('key.path must point to a property of the root resource or of one of its sub-resources');
+
+  model.key = { path, normalizer, property: keyProperty };
+  return model;
+}
+
+export {
+  getModel,
+  getModels,
+  hasModel,
+  normalizeKey,
+  keyExpression
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import { RISK_RULES_CONFIG } from '../config';
+import { logger } from './logger';
+
+/**
+ * Types of risk rules. A merge matching a risk rule is not executed automatically,
+ * but proposed for approval. Each type validates the configuration of a rule and
+ * evaluates a rule against the slaves and the master constructed out of them,
+ * returning the reason why the merge is risky or null.
+*/
+const RULE_TYPES = {
+  /** Matches if the slaves have different values for one of the properties, e.g. 'birthdate.date' */
+  'conflicting-values': {
+    validate: (rule) => Array.isArray(rule.properties) && rule.properties.length,
+    evaluate: function(rule, slaves, master) {
+      // values picked by resolving a conflict have been approved already
+      const conflicting = master.decisions
+            .filter(d => d.strategy != 'resolution')
+            .map(d => `${d.resource}.${d.property}`)
+            .filter(property => rule.properties.includes(property));
+      return conflicting.length ? `The slaves have different values for ${conflicting.join(', ')}` : null;
+    }
+  },
+
+  /** Matches if the slaves reside in more graphs than the maximum */
+  'max-graphs': {
+    validate: (rule) => Number.isInteger(rule.max) && rule.max > 0,
+    evaluate: function(rule, slaves) {
+      const graphs = new Set(slaves.map(s => s.graph)).size;
+      return graphs > rule.max ? `The slaves reside in ${graphs} graphs, more than ${rule.max}` : null;
+    }
+  }
+};
+
+const rules = loadRules();
+
+/**
+ * Evaluate the risk rules against a merge.
+ *
+ * @public
+ * @param model {Object} Resource model
+ * @param slaves {Array} Array of slave objects, each containing a graph and resources
+ * @param master {Object} Master record constructed out of the slaves, including its decisions
+ * @param riskRules {Array} Rules to evaluate. Defaults to the configured rules.
+ * @return {Array} Array of the matching rules, each with the type of the rule and the reason
+*/
+function evaluateRisks(model, slaves, master, riskRules = rules) {
+  const risks = [];
+  for (let rule of riskRules.filter(r => !r.model || r.model == model.name)) {
+    const reason = RULE_TYPES[rule.type].evaluate(rule, slaves, master);
+    if (reason)
+      risks.push({ rule: rule.type, reason });
+  }
+  return risks;
+}
+
+/**
+ * Load the risk rules from the configuration file and validate them.
+ * No merge is considered risky if no rules are configured.
+ *
+ * @private
+ * @return {Array} Array of rules, each with a type, an optional model name and the
+ *           settings of its type
+*/
+function loadRules() {
+  if (!fs.existsSync(RISK_RULES_CONFIG)) {
+    logger.info('No risk rules configured. All merges are executed automatically.', { file: RISK_RULES_CONFIG });
+    return [];
+  }
+
+  logger.info('Loading risk rules', { file: RISK_RULES_CONFIG });
+  const config = JSON.parse(fs.readFileSync(RISK_RULES_CONFIG, 'utf8'));
+  const configured = config.rules || [];
+  if (!Array.isArray(configured))
+    throw new Error(`Expected 'rules' to be an array of risk rules in ${RISK_RULES_CONFIG}.`);
+
+  for (let rule of configured) {
+    if (!RULE_TYPES[rule.type])
+      throw new Error(`Unknown risk rule type '${rule.type}'. Expected one of ${Object.keys(RULE_TYPES).join(', ')}.`);
+    if (!RULE_TYPES[rule.type].validate(rule))
+      throw new Error(`Invalid settings for risk rule '${rule.type}' in ${RISK_RULES_CONFIG}.`);
+  }
+  return configured;
+}
+
+export {
+  evaluateRisks
+}
@@ -0,0 +1,42 @@
+/**
+ * Normalize a national register number (RRN) by stripping all characters
+ * that are not a digit, e.g. '85.07.30-033.61' becomes '85073003361'.
+ *
+ * @public
+ * @param notation {string} RRN as found in skos:notation
+ * @return {string} Normalized RRN consisting of digits only
+*/
+function normalizeRrn(notation) {
+  return `${notation}`.replace(/[^0-9]/g, '');
+}
+
+/**
+ * Validate a normalized RRN.
+ *
+ * A valid RRN consists of 11 digits. The last 2 digits are a checksum: 97 minus
+ * the first 9 digits modulo 97. For persons born in or after 2000, the digit 2
+ * is prepended to the first 9 digits before calculating the modulo.
+ *
+ * @public
+ * @param rrn {string} Normalized RRN
+ * @return {Object} Object with a boolean 'valid' and, for an invalid RRN, the reason
+*/
+function validateRrn(rrn) {
+  if (!/^[0-9]{11}$/.test(rrn))
+    return { valid: false, reason: `expected 11 digits, found ${rrn.length}` };
+
+  const base = parseInt(rrn.substr(0, 9));
+  const checksum = parseInt(rrn.substr(9, 2));
+
+  if (97 - (base % 97) == checksum)
+    return { valid: true };
+  else if (97 - ((2000000000 + base) % 97) == checksum)
+    return { valid: true };
+  else
+    return { valid: false, reason: 'checksum mismatch' };
+}
+
+export {
+  normalizeRrn,
+  validateRrn
+}
@@ -0,0 +1,233 @@
+import { query, sparqlEscapeUri } from './sparql';
+import { createPlan, addStep, executeSteps, uri } from './plan';
+import { isAllowedGraph } from './graph-scope';
+import { LockError } from './locks';
+import { logger } from './logger';
+
+const OWL_SAME_AS = 'http://www.w3.org/2002/07/owl#sameAs';
+
+/**
+ * Number of URIs looked up per query while following owl:sameAs links
+ * and number of links retrieved per query while searching for chains.
+*/
+const BATCH_SIZE = 100;
+
+/**
+ * Whether chains are being shortened by this process.
+*/
+let isShortening = false;
+
+/**
+ * Resolve a URI to its canonical URI by following the owl:sameAs links across graphs.
+ *
+ * Each reconciliation links the URIs of the slaves to the URI of the master with owl:sameAs.
+ * If a master is later merged into another master, the links form chains.
+ * The canonical URI is the end of the chains starting from the given URI, i.e. the URI
+ * that isn't linked to another URI. The aliases are all URIs of which the chains end in the canonical URI.
+ * Only the links in the graphs allowed by the configured allow and deny lists are followed.
+ *
+ * @public
+ * @param resource {string} URI to resolve
+ * @return {Object} Object containing the given URI, the canonical URI, the aliases of the canonical URI
+ *           and whether the given URI is ambiguous, i.e. its chains end in different URIs.
+ *           For an ambiguous URI, the lowest of the candidate URIs is returned as canonical URI.
+*/
+async function resolveUri(resource) {
+  const visited = new Set([resource]);
+  const ends = new Set();
+  let frontier = [resource];
+
+  while (frontier.length) {
+    const links = await getLinks(frontier, 'forward');
+    const next = [];
+    for (let current of frontier) {
+      const targets = (links[current] || []).filter(target => target != current);
+      if (!targets.length)
+        ends.add(current);
+      for (let target of targets.filter(target => !visited.has(target))) {
+        visited.add(target);
+        next.push(target);
+      }
+    }
+    frontier = next;
+  }
+
+  // chains without an end are cycles, of which any URI may be the canonical one
+  const candidates = [...(ends.size ? ends : visited)].sort();
+  const canonical = candidates[0];
+
+  return {
+    uri: resource,
+    canonical,
+    aliases: await getAliases(canonical),
+    ambiguous: candidates.length > 1
+  };
+}
+
+/**
+ * Get all URIs linked directly or indirectly to a given URI with owl:sameAs.
+ *
+ * @private
+ * @param canonical {string} URI to get the aliases of
+ * @return {Array} Sorted array of URIs, not including the given URI
+*/
+async function getAliases(canonical) {
+  const aliases = new Set([canonical]);
+  let frontier = [canonical];
+
+  while (frontier.length) {
+    const links = await getLinks(frontier, 'backward');
+    const next = [];
+    for (let current of frontier) {
+      for (let source of (links[current] || []).filter(source => !aliases.has(source))) {
+        aliases.add(source);
+        next.push(source);
+      }
+    }
+    frontier = next;
+  }
+
+  aliases.delete(canonical);
+  return [...aliases].sort();
+}
+
+/**
+ * Get the owl:sameAs links of the given URIs, in batches.
+ *
+ * @private
+ * @param uris {Array} URIs to get the links of
+ * @param direction {string} 'forward' to get the URIs the given URIs are linked to,
+ *           'backward' to get the URIs linked to the given URIs
+ * @return {Object} Object mapping each given URI to the array of linked URIs
+*/
+async function getLinks(uris, direction) {
+  const isForward = direction == 'forward';
+  const links = {};
+
+  for (let i = 0; i < uris.length; i += BATCH_SIZE) {
+    const batch = uris.slice(i, i + BATCH_SIZE);
+    const result = await query(`
+PREFIX owl: <http://www.w3.org/2002/07/owl#>
+
+SELECT DISTINCT ?g ?source ?target WHERE {
+  VALUES ${isForward ? '?source' : '?target'} {
+    ${batch.map(sparqlEscapeUri).join('\n    ')}
+  }
+  GRAPH ?g {
+    ?source owl:sameAs ?target .
+  }
+  FILTER (isIRI(?source) && isIRI(?target))
+}
+`);
+
+    for (let b of result.results.bindings.filter(b => isAllowedGraph(b['g'].value))) {
+      const [from, to] = isForward ? [b['source'].value, b['target'].value] : [b['target'].value, b['source'].value];
+      links[from] = links[from] || [];
+      if (!links[from].includes(to))
+        links[from].push(to);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Shorten the owl:sameAs chains, so every alias is linked directly to its canonical URI.
+ *
+ * Each owl:sameAs link to a URI that is itself linked to another URI is replaced, in the same
+ * graph, by a link to the canonical URI. Links of ambiguous URIs and cycles are left as is.
+ * Only the links in the graphs allowed by the configured allow and deny lists are changed.
+ *
+ * @public
+ * @return {Object} Object containing the number of links that have been replaced
+ * @throws {LockError} If chains are already being shortened
+*/
+async function shortenChains() {
+  if (isShortening)
+    throw new LockError('The owl:sameAs chains are already being shortened');
+
+  isShortening = true;
+  try {
+    const links = await getChainedLinks();
+    logger.info('Found owl:sameAs links to shorten', { count: links.length });
+
+    const plan = createPlan();
+    const resolved = {};
+    let replaced = 0;
+    for (let link of links) {
+      if (!resolved[link.source])
+        resolved[link.source] = await resolveUri(link.source);
+      const { canonical, ambiguous } = resolved[link.source];
+      if (ambiguous || [link.source, link.target].includes(canonical))
+        continue;
+
+      const quad = { graph: uri(link.graph), subject: uri(link.source), predicate: uri(OWL_SAME_AS), object: uri(link.target) };
+      await addStep(plan, 'shortenSameAs', [quad], [Object.assign({}, quad, { object: uri(canonical) })]);
+      replaced++;
+    }
+
+    await executeSteps(plan.steps);
+    logger.info('Shortened owl:sameAs chains', { replaced });
+    return { replaced };
+  } finally {
+    isShortening = false;
+  }
+}
+
+/**
+ * Get the owl:sameAs links of which the target is itself linked to another URI, page by page.
+ *
+ * @private
+ * @return {Array} Array of links, each with a graph, source and target
+*/
+async function getChainedLinks() {
+  const links = [];
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const result = await query(`
+PREFIX owl: <http://www.w3.org/2002/07/owl#>
+
+SELECT DISTINCT ?g ?source ?target WHERE {
+  GRAPH ?g {
+    ?source owl:sameAs ?target .
+  }
+  GRAPH ?h {
+    ?target owl:sameAs ?next .
+  }
+  FILTER (isIRI(?source) && isIRI(?target) && isIRI(?next) && ?source != ?target && ?target != ?next)
+} ORDER BY ?g ?source ?target LIMIT ${BATCH_SIZE} OFFSET ${offset}
+`);
+
+    const bindings = result.results.bindings;
+    links.push(...bindings
+      .filter(b => isAllowedGraph(b['g'].value))
+      .map(b => ({ graph: b['g'].value, source: b['source'].value, target: b['target'].value })));
+    if (bindings.length < BATCH_SIZE)
+      return links;
+  }
+}
+
+/**
+ * Serialize the resolution of a URI as JSON:API resource object.
+ *
+ * @public
+ * @param resolution {Object} Resolution as returned by resolveUri
+ * @return {Object} JSON:API resource object
+*/
+function toJsonApi(resolution) {
+  return {
+    type: 'uri-resolutions',
+    id: resolution.uri,
+    attributes: {
+      uri: resolution.uri,
+      canonical: resolution.canonical,
+      aliases: resolution.aliases,
+      ambiguous: resolution.ambiguous
+    }
+  };
+}
+
+export {
+  resolveUri,
+  shortenChains,
+  toJsonApi
+}
@@ -0,0 +1,166 @@
+import { v1 as uuidV1 } from 'uuid';
+import { time } from './metrics';
+import { SPARQL_MAX_CONCURRENCY } from '../config';
+
+/**
+ * Query layer of the service. All SPARQL queries and updates of the service are executed
+ * through this module, on the triplestore via mu-auth-sudo by default, or on another backend,
+ * e.g. an in-memory store to reconciliate a dump offline (see lib/local-store).
+ *
+ * The module also provides the helpers to escape values in SPARQL and to generate ids,
+ * with the same behaviour as the ones of the mu-javascript-template, so the reconciliation
+ * logic doesn't depend on the template to run.
+*/
+
+/**
+ * Backend executing the queries and updates. The triplestore client is only loaded
+ * once it is used, so it isn't required when running on another backend.
+*/
+let backend = null;
+
+/**
+ * Number of queries and updates currently executing on the triplestore and
+ * the callbacks of the ones waiting for a free slot, in order of arrival.
+*/
+let active = 0;
+const waiting = [];
+
+/**
+ * Execute a SPARQL query, bypassing mu-authorization.
+ * The duration of the query is recorded in the metrics.
+ *
+ * @public
+ * @param queryString {string} SPARQL query
+ * @return {Object} Query result in SPARQL JSON format
+*/
+async function query(queryString) {
+  return await throttle(() => time('sparql_duration_seconds', { type: 'query' }, () => getBackend().query(queryString)));
+}
+
+/**
+ * Execute a SPARQL update, bypassing mu-authorization.
+ * The duration of the update is recorded in the metrics.
+ *
+ * @public
+ * @param updateString {string} SPARQL update
+ * @return {Object} Result of the update
+*/
+async function update(updateString) {
+  return await throttle(() => time('sparql_duration_seconds', { type: 'update' }, () => getBackend().update(updateString)));
+}
+
+/**
+ * Execute all further queries and updates on the given backend instead of the triplestore.
+ *
+ * @public
+ * @param queryBackend {Object} Object with an async query and update function, each taking
+ *          a SPARQL string. The query function must return the result in SPARQL JSON format.
+*/
+function useBackend(queryBackend) {
+  backend = queryBackend;
+}
+
+/**
+ * Get the backend to execute queries and updates on, defaulting to the triplestore.
+ *
+ * @private
+*/
+function getBackend() {
+  if (!backend) {
+    const { querySudo, updateSudo } = require('@lblod/mu-auth-sudo');
+    backend = { query: querySudo, update: updateSudo };
+  }
+  return backend;
+}
+
+/**
+ * Execute a function once less than the configured maximum number of
+ * queries and updates is executing, to throttle the load on the triplestore.
+ *
+ * @private
+ * @param fn {Function} Async function executing a query or update
+ * @return The result of the function
+*/
+async function throttle(fn) {
+  if (active >= SPARQL_MAX_CONCURRENCY)
+    await new Promise(resolve => waiting.push(resolve));
+  else
+    active++;
+
+  try {
+    return await fn();
+  } finally {
+    // the slot is handed over to the next waiting query, if any
+    const next = waiting.shift();
+    if (next)
+      next();
+    else
+      active--;
+  }
+}
+
+/**
+ * Generate a new id, e.g. for the mu:uuid of a resource.
+ *
+ * @public
+*/
+function uuid() {
+  return uuidV1();
+}
+
+/**
+ * Escape a string as SPARQL literal.
+ *
+ * @public
+*/
+function sparqlEscapeString(value) {
+  return '"""' + value.replace(/[\\"]/g, match => `\\${match}`) + '"""';
+}
+
+/**
+ * Escape a URI as SPARQL IRI.
+ *
+ * @public
+*/
+function sparqlEscapeUri(value) {
+  return '<' + value.replace(/[\\"<>]/g, match => `\\${match}`) + '>';
+}
+
+/**
+ * Escape an integer as SPARQL literal typed as xsd:integer.
+ *
+ * @public
+*/
+function sparqlEscapeInt(value) {
+  return `"${Number.parseInt(value)}"^^xsd:integer`;
+}
+
+/**
+ * Escape a date and time as SPARQL literal typed as xsd:dateTime.
+ *
+ * @public
+*/
+function sparqlEscapeDateTime(value) {
+  return `"${new Date(value).toISOString()}"^^xsd:dateTime`;
+}
+
+/**
+ * Escape a boolean as SPARQL literal typed as xsd:boolean.
+ *
+ * @public
+*/
+function sparqlEscapeBool(value) {
+  return value ? '"true"^^xsd:boolean' : '"false"^^xsd:boolean';
+}
+
+export {
+  query,
+  update,
+  useBackend,
+  uuid,
+  sparqlEscapeString,
+  sparqlEscapeUri,
+  sparqlEscapeInt,
+  sparqlEscapeDateTime,
+  sparqlEscapeBool
+}
@@ -0,0 +1,221 @@
+import { query, update, uuid, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime } from './sparql';
+import { RECONCILIATION_GRAPH } from '../config';
+import { addStep, getCurrentQuads, getCurrentIncomingQuads, uri } from './plan';
+
+const SPLIT_BASE_URI = 'http://data.lblod.info/id/splits/';
+const OWL_SAME_AS = 'http://www.w3.org/2002/07/owl#sameAs';
+
+/**
+ * Error thrown when resources cannot be split, e.g. because they have not been merged
+*/
+class SplitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SplitError';
+  }
+}
+
+/**
+ * Plan the changes to split a former slave off the master it has been merged into,
+ * based on the snapshot of the reconciliation that merged them.
+ *
+ * In each of the given graphs, the original data of the slave, i.e. its root resource and
+ * sub-resources, is inserted again, the data that has been moved from the slave to the master
+ * is moved back and the owl:sameAs links from the slave to the master are deleted.
+ * The given references to the master that originally referred to the slave, in any graph,
+ * are redirected to the slave. The master data itself is left unchanged.
+ *
+ * @public
+ * @param plan {Object} Plan to add the changes to
+ * @param model {Object} Resource model
+ * @param reconciliation {Object} Applied reconciliation event that merged the slave into the master
+ * @param slaveUri {string} URI of the former slave
+ * @param graphs {Array} Graphs to restore the slave in
+ * @param selected {Array} URIs of the resources of which the references to the slave must be redirected.
+ *          All original references are redirected if not given.
+*/
+async function planSplit(plan, model, reconciliation, slaveUri, graphs, selected) {
+  const subPredicates = Object.keys(model.resources).map(name => model.resources[name].predicate);
+  const stepQuads = (operation, type) => [].concat(...reconciliation.steps.filter(s => s.operation == operation).map(s => s[type]));
+  const deleted = stepQuads('deleteSlaveData', 'deletes');
+  const moved = stepQuads('replaceSlaveUris', 'deletes');
+  const added = stepQuads('replaceSlaveUris', 'inserts');
+
+  for (let graph of graphs) {
+    const inGraph = (q) => q.graph.value == graph;
+
+    // the original data of the slave and its sub-resources in the graph
+    const subjects = [slaveUri].concat(deleted
+      .filter(q => inGraph(q) && q.subject.value == slaveUri && subPredicates.includes(q.predicate.value))
+      .map(q => q.object.value));
+    await addStep(plan, 'restoreSlaveData', [], deleted.filter(q => inGraph(q) && subjects.includes(q.subject.value)));
+
+    for (let { slave, master } of getReplacements(reconciliation, subjects, graph)) {
+      // data of the slave resource that has been moved to the master resource
+      const replaced = (q) => Object.assign({}, q, { subject: uri(master) });
+      const current = await getCurrentQuads(plan, graph, master);
+      const restored = moved.filter(q => inGraph(q) && q.subject.value == slave)
+            .filter(q => current.some(c => isSameStatement(c, replaced(q))) && added.some(a => isSameStatement(a, replaced(q))));
+      await addStep(plan, 'restoreSlaveUris', restored.map(replaced), restored);
+
+      const sameAs = (await getCurrentQuads(plan, graph, slave)).filter(q => q.predicate.value == OWL_SAME_AS && q.object.value == master);
+      await addStep(plan, 'deleteSameAs', sameAs);
+
+      // references to sub-resources are always restored, the root resource's are selected below
+      if (slave != slaveUri)
+        await planRedirectReferences(plan, moved.filter(q => inGraph(q) && isReferenceTo(q, slave)), master, added, graph);
+    }
+  }
+
+  const references = moved.filter(q => isReferenceTo(q, slaveUri) && (!selected || selected.includes(q.subject.value)));
+  await planRedirectReferences(plan, references, reconciliation.master, added);
+}
+
+/**
+ * Plan the redirection of references that have been replaced by references to a master
+ * back to their original object. Only the references inserted by the reconciliation are
+ * deleted, references to the master that already existed before are kept.
+ *
+ * @private
+ * @param plan {Object} Plan to add the changes to
+ * @param originals {Array} Original quads referring to the slave
+ * @param masterUri {string} URI of the master the references have been replaced with
+ * @param added {Array} Quads inserted by the reconciliation to replace references
+ * @param graph {string} Graph of the references. References in all graphs are taken into account if not given.
+*/
+async function planRedirectReferences(plan, originals, masterUri, added, graph) {
+  const replaced = (q) => Object.assign({}, q, { object: uri(masterUri) });
+  const current = await getCurrentIncomingQuads(plan, graph, masterUri);
+  const redirected = originals
+        .filter(q => current.some(c => isSameStatement(c, replaced(q))) && added.some(a => isSameStatement(a, replaced(q))));
+  await addStep(plan, 'redirectReferences', redirected.map(replaced), redirected);
+}
+
+/**
+ * Whether a quad refers to the given resource.
+ *
+ * @private
+*/
+function isReferenceTo(quad, resource) {
+  return quad.object.type == 'uri' && quad.object.value == resource;
+}
+
+/**
+ * Get the URIs the given slave resources have been replaced with in a graph, based on the
+ * owl:sameAs links inserted by a reconciliation.
+ *
+ * @private
+ * @return {Array} Array of objects with the URI of a slave resource and the master resource replacing it
+*/
+function getReplacements(reconciliation, subjects, graph) {
+  const links = [].concat(...reconciliation.steps.filter(s => s.operation == 'insertSameAs').map(s => s.inserts));
+  return links
+    .filter(q => q.graph.value == graph && subjects.includes(q.subject.value))
+    .map(q => ({ slave: q.subject.value, master: q.object.value }));
+}
+
+/**
+ * Whether two quads state the same triple in the same graph.
+ *
+ * @private
+*/
+function isSameStatement(a, b) {
+  const isSameTerm = (x, y) => x.type == y.type && x.value == y.value
+        && (x.datatype || null) == (y.datatype || null) && (x['xml:lang'] || null) == (y['xml:lang'] || null);
+  return a.graph.value == b.graph.value && isSameTerm(a.subject, b.subject)
+    && isSameTerm(a.predicate, b.predicate) && isSameTerm(a.object, b.object);
+}
+
+/**
+ * Record a split. Resources that have been split are never merged again
+ * by a reconciliation of their key.
+ *
+ * @public
+ * @param rrn {string} Key shared by the split resources. May be null.
+ * @param masterUri {string} URI of the master the slaves have been split off
+ * @param slaveUris {Array} URIs of the slaves that have been split off
+ * @param plan {Object} Plan containing the changes of the split
+ * @return {Object} The recorded split
+*/
+async function createSplit(rrn, masterUri, slaveUris, plan) {
+  const id = uuid();
+  const split = {
+    id,
+    uri: `${SPLIT_BASE_URI}${id}`,
+    rrn,
+    created: new Date(),
+    master: masterUri,
+    slaves: slaveUris,
+    steps: plan.steps
+  };
+
+  const statements = slaveUris.map(slave => `${sparqlEscapeUri(split.uri)} ext:slave ${sparqlEscapeUri(slave)} .`);
+  if (rrn)
+    statements.push(`${sparqlEscapeUri(split.uri)} ext:rrn ${sparqlEscapeString(rrn)} .`);
+
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ${sparqlEscapeUri(split.uri)} a ext:Split ;
+      mu:uuid ${sparqlEscapeString(split.id)} ;
+      dct:created ${sparqlEscapeDateTime(split.created)} ;
+      ext:master ${sparqlEscapeUri(split.master)} ;
+      ext:snapshot ${sparqlEscapeString(JSON.stringify({ steps: split.steps }))} .
+    ${statements.join('\n    ')}
+  }
+}
+`);
+
+  return split;
+}
+
+/**
+ * Get the splits the given resources are involved in, either as master or as slave.
+ *
+ * @public
+ * @param uris {Array} URIs of root resources
+ * @return {Array} Array of splits, each with its URI, the master URI and the slave URIs
+*/
+async function getSplits(uris) {
+  if (!uris.length)
+    return [];
+
+  const result = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?split ?created ?master ?slave WHERE {
+  VALUES ?resource {
+    ${uris.map(sparqlEscapeUri).join('\n    ')}
+  }
+  GRAPH ${sparqlEscapeUri(RECONCILIATION_GRAPH)} {
+    ?split a ext:Split ;
+      dct:created ?created ;
+      ext:master ?master ;
+      ext:slave ?slave .
+    { ?split ext:master ?resource . } UNION { ?split ext:slave ?resource . }
+  }
+} ORDER BY ?created
+`);
+
+  const splits = {};
+  for (let b of result.results.bindings) {
+    const uri = b['split'].value;
+    if (!splits[uri])
+      splits[uri] = { uri, master: b['master'].value, slaves: [] };
+    if (!splits[uri].slaves.includes(b['slave'].value))
+      splits[uri].slaves.push(b['slave'].value);
+  }
+  return Object.keys(splits).map(uri => splits[uri]);
+}
+
+export {
+  SplitError,
+  planSplit,
+  createSplit,
+  getSplits
+}
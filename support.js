@@ -1,250 +1,1431 @@
-import { querySudo as query, updateSudo as update } from '@lblod/mu-auth-sudo';
-import { sparqlEscapeString, sparqlEscapeUri } from 'mu';
+import { query, sparqlEscapeString, sparqlEscapeUri, sparqlEscapeDateTime } from './lib/sparql';
+import flatten from 'lodash.flatten';
+import { mergeValues, isUnionProperty } from './lib/merge-strategies';
+import { registerConflicts, getResolutions, findCandidate, resolveConflict } from './lib/conflicts';
+import { createReconciliation, applyReconciliation, recoverReconciliations, getReconciliations, getReconciliation, revertReconciliation } from './lib/reconciliations';
+import { SplitError, planSplit, createSplit, getSplits } from './lib/splits';
+import { reportIssues } from './lib/issues';
+import { withLocks } from './lib/locks';
+import { logger, withCorrelationId } from './lib/logger';
+import { maskReport } from './lib/masking';
+import { increment, time, setGauge } from './lib/metrics';
+import { createScope, isInScope, scopeFilter } from './lib/graph-scope';
+import { DISCOVERY_PAGE_SIZE } from './config';
+import { getModel, getModels, normalizeKey, keyExpression } from './lib/resource-models';
+import { findDanglingReferences, countDanglingReferences, findResourcesWithoutKey, countResourcesWithoutKey, repairDanglingReferences } from './lib/integrity';
+import { evaluateRisks } from './lib/risk-rules';
+import { notifyReconciliation } from './lib/notifications';
+import { createProposal, findProposal } from './lib/proposals';
+import { createMasterUriPolicy, rankCandidates, mintUri, isMintedUri } from './lib/master-uri';
+import { createPlan, addStep, getCurrentQuads, getCurrentIncomingQuads, getSubjectQuads, executeSteps, formatChanges, uri, literal } from './lib/plan';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const MU_UUID = 'http://mu.semte.ch/vocabularies/core/uuid';
+const DCT_MODIFIED = 'http://purl.org/dc/terms/modified';
+const DCT_CREATED = 'http://purl.org/dc/terms/created';
+const OWL_SAME_AS = 'http://www.w3.org/2002/07/owl#sameAs';
 
 /**
- * Reconciliates duplicates of a person by making sure there is a unique person,
- * identifier and birthdate related to one RRN.
+ * Reconciliates duplicates of a resource by making sure there is a unique root resource
+ * and set of sub-resources related to one key, e.g. a unique person, identifier and
+ * birthdate related to one RRN. The shape of the resources is described by a resource model.
  *
- * First, all duplicates - based on the RRN - of a person, identifier and birthdate
- * are retrieved across graphs. These duplicates are called 'slaves'.
+ * First, all duplicates - based on the key - of the resources are retrieved across graphs.
+ * These duplicates are called 'slaves'. Keys are normalized before matching.
+ * Invalid keys, e.g. RRNs not passing the checksum validation, are not reconciliated.
  *
  * Out of the slaves, a master record is constructed. The master record is as complete
  * as possible because it combines all properties of the several slaves. If a property
- * has different values across slaves, the first one found is selected as value for
- * the master record.
+ * has different values across slaves, the value is selected by the merge strategies
+ * configured for the property, unless a value has been picked by manually resolving
+ * the conflict for the property. The conflicting values are registered as conflict.
  *
  * Finally, all the slaves are removed in their respective graphs and replaced by
  * a copy of the master record. A reference from the slave to the master record is
- * kept using owl:sameAs.
+ * kept using owl:sameAs. Before any data is changed, a reconciliation event
+ * is recorded containing the planned changes and a snapshot of the original slave data.
+ * The event serves as write-ahead log: if the service stops while applying the changes,
+ * the reconciliation is recovered on restart or on the next reconciliation of the key.
+ * It also allows to revert the reconciliation afterwards.
+ *
+ * Reconciliating a key that has already been reconciliated has no further effect,
+ * since all slaves then share the URI of the master.
+ *
+ * Each reconciliation is logged with its own correlation id. Its outcome and
+ * duration are recorded in the metrics.
+ * Reconciliations of the same key are never executed concurrently. Depending on
+ * the 'wait' option, a reconciliation waits for a running reconciliation of the same key
+ * to finish or fails with a LockError.
  *
  * @public
- * @param rrn {string} RRN to reconciliate the duplicates for
+ * @param key {string} Key to reconciliate the duplicates for, normalized or not
  * @param options {Object} Options for execution
+ * @param options.model {string} Name of the resource model. Defaults to the person model.
  * @param options.isDryRun {boolean} Whether to run the execution in test mode,
- *          only calculating the master record, but not execution INSERT/DELETE queries
+ *          only calculating the master record and the changes to execute, but not
+ *          executing INSERT/DELETE queries
+ * @param options.wait {boolean} Whether to wait for a running reconciliation of the same key
+ *          instead of failing with a LockError
+ * @param options.graphs {Array} Graphs to limit the reconciliation to. Graphs that are not allowed
+ *          by the configured allow and deny lists are never read or changed.
+ * @param options.withReport {boolean} Whether to include a report of the executed changes,
+ *          as in test mode, when not running in test mode
+ * @param options.masterUri {Object} Options overruling the configured policy to choose the URIs
+ *          of the master, as passed to createMasterUriPolicy
+ * @param options.approved {boolean} Whether the merge has been approved, so it's executed
+ *          even if it matches a risk rule
+ * @param options.riskRules {Array} Risk rules overruling the configured ones
+ * @return {Object} Object containing the normalized key as 'rrn' and the status of the
+ *          reconciliation, 'reconciliated' if duplicates have been found, 'proposed' if the
+ *          merge matches a risk rule and must be approved first, 'skipped' otherwise.
+ *          A proposed merge contains the id of the proposal.
+ *          In test mode, the object also contains a report with the slaves,
+ *          the master record and the planned changes per graph. Otherwise it contains
+ *          the id of the recorded reconciliation event.
 */
-async function reconciliatePerson(rrn, options = {}) {
-  const persons = await getDuplicatePersonUris(rrn);
+async function reconciliateKey(key, options = {}) {
+  return withCorrelationId(async () => {
+    const model = getModel(options.model);
+    options = Object.assign({}, options, { scope: createScope(options.graphs) });
+    const labels = { model: model.name, dry_run: !!options.isDryRun };
+    increment('keys_processed_total', labels);
+    try {
+      const result = await time('reconciliation_duration_seconds', labels, () => reconciliateModelKey(model, key, options));
+      const counters = { skipped: 'keys_skipped_total', proposed: 'keys_proposed_total' };
+      increment(counters[result.status] || 'keys_merged_total', labels);
+      return result;
+    } catch (e) {
+      increment('keys_failed_total', labels);
+      throw e;
+    }
+  });
+}
 
-  if (persons.length > 1) {
-    console.log(`Found ${persons.length} duplicates of person with RRN ${rrn}`);
+/**
+ * Validate a key and reconciliate the duplicates of a resource having that key.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Key to reconciliate the duplicates for, normalized or not
+ * @param options {Object} Options for execution, as passed to reconciliateKey
+ * @return {Object} Object as returned by reconciliateKey
+*/
+async function reconciliateModelKey(model, key, options) {
+  const validation = normalizeKey(model, key);
+  key = validation.key;
+
+  if (!validation.valid) {
+    logger.info('Skipping reconciliation of invalid key', { model: model.name, reason: validation.reason });
+    const result = { rrn: key, status: 'skipped' };
+    if (options.isDryRun || options.withReport)
+      result.report = createReport(model, key, 'skipped', [], null, createPlan());
+    return result;
+  }
+
+  if (options.isDryRun)
+    return await findAndReconciliateDuplicates(model, key, options);
+  else
+    return await withLocks([lockName(model, key)], async () => {
+      await recoverReconciliations({ rrn: key });
+      return await findAndReconciliateDuplicates(model, key, options);
+    }, { wait: options.wait, description: `the same ${model.name}` });
+}
+
+/**
+ * Find the duplicates of a resource based on a normalized key and reconciliate them.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized, valid key
+ * @param options {Object} Options for execution, as passed to reconciliateKey
+ * @return {Object} Object as returned by reconciliateKey
+*/
+async function findAndReconciliateDuplicates(model, key, options) {
+  const duplicates = await excludeSplitResources(await getDuplicateUris(model, key, options.scope));
+
+  if (duplicates.length > 1) {
+    logger.info('Found duplicates', { model: model.name, rrn: key, count: duplicates.length });
 
     const slaves = [];
-    for (let { graph, uri } of persons) {
-      const slave = await getPerson(graph, uri);
+    for (let { graph, uri } of duplicates) {
+      const slave = await getSlave(model, graph, uri);
       slaves.push(slave);
     }
-    const master = constructMaster(slaves);
+    return await reconciliateSlaves(model, key, slaves, options);
+  } else {
+    logger.info('No duplicates found', { model: model.name, rrn: key });
+    const result = { rrn: key, status: 'skipped' };
+    if (options.isDryRun || options.withReport)
+      result.report = createReport(model, key, 'skipped', [], null, createPlan());
+    return result;
+  }
+}
 
-    if (options.isDryRun) {
-      console.log(`Constructed master record`);
-      console.log(`Person: ${JSON.stringify(master.person)}`);
-      console.log(`Identifier: ${JSON.stringify(master.identifier)}`);
-      console.log(`Birthdate: ${JSON.stringify(master.birthdate)}`);
-    } else {
-      for (let slave of slaves) {
-        await replaceSlaveWithMaster(slave, master);
-      }
+/**
+ * Exclude the resources that have been split off another resource from a set of duplicates,
+ * so resources that have been split are never merged again. Of the resources involved in
+ * a split, only the master, or else the first slave, is kept.
+ *
+ * @private
+ * @param duplicates {Array} Duplicates as returned by getDuplicateUris
+ * @return {Array} The remaining duplicates. Empty if less than 2 different URIs remain.
+*/
+async function excludeSplitResources(duplicates) {
+  const uris = [...new Set(duplicates.map(d => d.uri))];
+  const excluded = new Set();
+  for (let split of await getSplits(uris)) {
+    const members = [split.master].concat(split.slaves).filter(uri => uris.includes(uri) && !excluded.has(uri));
+    members.slice(1).forEach(uri => excluded.add(uri));
+  }
+
+  if (!excluded.size)
+    return duplicates;
+
+  logger.info('Excluding resources that have been split', { count: excluded.size });
+  const remaining = duplicates.filter(d => !excluded.has(d.uri));
+  return new Set(remaining.map(d => d.uri)).size > 1 ? remaining : [];
+}
+
+/**
+ * Reconciliates a given set of resources, which are known to be duplicates
+ * of each other, e.g. because the duplicate has been confirmed manually.
+ *
+ * All occurrences of the resources across graphs are taken into account.
+ * If the resources have a valid key, the master gets that key,
+ * even if other slaves have an invalid one. The resources and their key
+ * are locked as in reconciliateKey. Confirming the resources as duplicates doesn't
+ * approve their merge: a merge matching a risk rule is proposed as for a key.
+ *
+ * @public
+ * @param uris {Array} URIs of the root resources to reconciliate
+ * @param options {Object} Options for execution, as passed to reconciliateKey
+ * @return {Object} Object as returned by reconciliateKey
+*/
+async function reconciliateResources(uris, options = {}) {
+  return withCorrelationId(async () => {
+    const model = getModel(options.model);
+    options = Object.assign({}, options, { scope: createScope(options.graphs) });
+    if (options.isDryRun)
+      return await reconciliateOccurrences(model, uris, options);
+
+    const lockOptions = { wait: options.wait, description: `the same ${model.name}` };
+    return await withLocks(uris, async () => {
+      const { key } = await getOccurrences(model, uris, options.scope);
+      // the occurrences are read again once the key is locked, since a running reconciliation of the key may change them
+      const names = key ? [lockName(model, key)] : [];
+      return await withLocks(names, () => reconciliateOccurrences(model, uris, options), lockOptions);
+    }, lockOptions);
+  });
+}
+
+/**
+ * Reconciliate all occurrences of the given resources across graphs.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param uris {Array} URIs of the root resources to reconciliate
+ * @param options {Object} Options for execution, as passed to reconciliateKey
+ * @return {Object} Object as returned by reconciliateKey
+*/
+async function reconciliateOccurrences(model, uris, options) {
+  const { slaves, key, keyValue } = await getOccurrences(model, uris, options.scope);
+  const resolutions = {};
+  if (key)
+    resolutions[model.key.property] = keyValue;
+
+  logger.info('Reconciliating occurrences of resources', { model: model.name, occurrences: slaves.length, resources: uris.length });
+  return await reconciliateSlaves(model, key, slaves, Object.assign({}, options, { resolutions }));
+}
+
+/**
+ * Split former slaves off the master they have been merged into, e.g. because different
+ * persons shared a key by mistake.
+ *
+ * Each slave is restored in the graphs it resided in before the merge, based on the snapshot
+ * of the reconciliation that merged it: its root resource with its own sub-resources,
+ * e.g. its identifier and birthdate, is created again and the owl:sameAs links to the master
+ * are removed. The references that originally referred to the slave are redirected from
+ * the master to the slave again. The master keeps its data.
+ *
+ * The split is recorded, so the slaves are never merged again with the master or with each other.
+ * The master, the slaves and their key are locked as in reconciliateResources.
+ *
+ * @public
+ * @param masterUri {string} URI of the master
+ * @param slaveUris {Array} URIs of the former slaves to split off, linked to the master by owl:sameAs
+ * @param options {Object} Options for execution
+ * @param options.model {string} Name of the resource model. Defaults to the person model.
+ * @param options.graphs {Array} Graphs to restore the slaves in (default: all allowed graphs the slaves resided in)
+ * @param options.references {Array} URIs of the resources of which the references must be redirected
+ *          to the slaves (default: all resources originally referring to a slave)
+ * @param options.isDryRun {boolean} Whether to only plan the changes, without executing them
+ * @param options.wait {boolean} Whether to wait for a running reconciliation of the resources
+ *          instead of failing with a LockError
+ * @return {Object} Object containing the status, 'split' or 'planned' in test mode, the changes
+ *          per graph and, unless in test mode, the id of the recorded split
+ * @throws {SplitError} If a slave has not been merged into the master or cannot be restored in the selected graphs
+*/
+async function splitResource(masterUri, slaveUris, options = {}) {
+  return withCorrelationId(async () => {
+    const model = getModel(options.model);
+    const scope = createScope(options.graphs);
+
+    const merges = [];
+    for (let slaveUri of slaveUris) {
+      const { reconciliations } = await getReconciliations({ master: masterUri, slave: slaveUri, status: 'applied' }, { size: 1 });
+      if (slaveUri == masterUri || !reconciliations.length)
+        throw new SplitError(`Resource ${slaveUri} has not been merged into ${masterUri}`);
+
+      const reconciliation = reconciliations[0];
+      const graphs = [...new Set(reconciliation.slaves.filter(s => s.uri == slaveUri).map(s => s.graph))].filter(g => isInScope(scope, g));
+      if (!graphs.length)
+        throw new SplitError(`Resource ${slaveUri} did not reside in any of the selected graphs`);
+      merges.push({ slaveUri, reconciliation, graphs });
     }
 
+    const keys = [...new Set(merges.map(m => m.reconciliation.rrn).filter(key => key))];
+    const split = async () => {
+      const plan = createPlan();
+      for (let { slaveUri, reconciliation, graphs } of merges)
+        await planSplit(plan, model, reconciliation, slaveUri, graphs, options.references);
+
+      if (options.isDryRun)
+        return { status: 'planned', changes: formatChanges(plan) };
+
+      const recorded = await createSplit(keys.length ? keys[0] : null, masterUri, slaveUris, plan);
+      await executeSteps(plan.steps);
+      logger.info('Split resources', { model: model.name, split: recorded.id, slaves: slaveUris.length });
+      return { status: 'split', split: recorded.id, changes: formatChanges(plan) };
+    };
+
+    if (options.isDryRun)
+      return await split();
+    else
+      return await withLocks([masterUri].concat(slaveUris).concat(keys.map(key => lockName(model, key))), split,
+                             { wait: options.wait, description: `the same ${model.name}` });
+  });
+}
+
+/**
+ * Revert a reconciliation, restoring the slaves it merged.
+ *
+ * The master, the slaves and the key of the reconciliation are locked as in splitResource,
+ * so the reconciliation is not reverted while the resources are being reconciliated.
+ * The reconciliation is read again once the locks are held.
+ *
+ * @public
+ * @param id {string} Id of the reconciliation event to revert
+ * @param options {Object} Options for execution
+ * @param options.wait {boolean} Whether to wait for a running reconciliation of the resources
+ *          instead of failing with a LockError
+ * @return {Object} The reverted reconciliation event or null if no event with the given id is found
+ * @throws {RevertError} If the reconciliation cannot be reverted, see revertReconciliation
+*/
+async function revertMerge(id, options = {}) {
+  return withCorrelationId(async () => {
+    const reconciliation = await getReconciliation(id);
+    if (!reconciliation)
+      return null;
+
+    const uris = [reconciliation.master].concat(reconciliation.slaves.map(s => s.uri));
+    // the model of the reconciliation is not recorded, hence the key is locked for every model
+    const keys = reconciliation.rrn ? getModels().map(model => lockName(model, reconciliation.rrn)) : [];
+    return await withLocks([...new Set(uris)].concat(keys), async () => {
+      const current = await getReconciliation(id);
+      await revertReconciliation(current);
+      return current;
+    }, { wait: options.wait, description: 'the same resources' });
+  });
+}
+
+/**
+ * Resolve a conflict by picking the value that wins and apply the value to the data.
+ *
+ * The conflict is registered after the slaves have been merged, so the picked value is
+ * written into the master in every graph it resides in. The change is recorded as reconciliation
+ * event, so it can be reverted. If the key has duplicates again, they are reconciliated
+ * using the picked value for the master record. The key is locked as in reconciliateKey.
+ *
+ * @public
+ * @param conflict {Object} Conflict to resolve, as returned by getConflict
+ * @param value {string} Value that wins, as accepted by resolveConflict
+ * @param options {Object} Options for execution
+ * @param options.wait {boolean} Whether to wait for a running reconciliation of the key
+ *          instead of failing with a LockError
+ * @return {Object} Object as returned by reconciliateKey. The status is 'skipped'
+ *          if the data contains the picked value already.
+*/
+async function resolveKeyConflict(conflict, value, options = {}) {
+  return withCorrelationId(async () => {
+    const [name, prop] = conflict.property.split('.');
+    const model = getModels().find(m => m.name == name || m.resources[name]);
+    if (!model)
+      throw new Error(`No resource model found for property ${conflict.property} of conflict ${conflict.id}`);
+
+    const key = conflict.rrn;
+    options = Object.assign({}, options, { model: model.name, scope: createScope() });
+    return await withLocks([lockName(model, key)], async () => {
+      await resolveConflict(conflict, value);
+      await recoverReconciliations({ rrn: key });
+
+      const resources = await getKeyResources(model, key, options.scope);
+      if (new Set(resources.map(r => r.uri)).size > 1)
+        return await findAndReconciliateDuplicates(model, key, options);
+
+      const slaves = [];
+      for (let { graph, uri } of resources) {
+        const slave = await getSlave(model, graph, uri);
+        if (slave)
+          slaves.push(slave);
+      }
+
+      const resolved = findCandidate(conflict, value).value;
+      const isApplied = slaves.every(s => s.resources[name].every(r => r[prop].every(v => v == resolved)));
+      if (isApplied) {
+        logger.info('Resolved value is found in the data already', { model: model.name, rrn: key, property: conflict.property });
+        return { rrn: key, status: 'skipped' };
+      }
+
+      logger.info('Applying resolved value', { model: model.name, rrn: key, property: conflict.property, graphs: slaves.length });
+      // the value has been picked by hand, which approves the change
+      return await reconciliateSlaves(model, key, slaves, Object.assign({}, options, { approved: true }));
+    }, { wait: options.wait, description: `the same ${model.name}` });
+  });
+}
+
+/**
+ * Get the slaves for all occurrences of the given resources across graphs
+ * and the key they share.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param uris {Array} URIs of the root resources
+ * @param scope {Object} Scope of the graphs to take into account
+ * @return {Object} Object containing the slaves, the normalized key (null if the
+ *          resources don't have a valid key) and the raw value of the key to use for the master
+*/
+async function getOccurrences(model, uris, scope) {
+  const occurrences = await getResourceGraphs(model, uris, scope);
+
+  const slaves = [];
+  for (let { graph, uri } of occurrences) {
+    const slave = await getSlave(model, graph, uri);
+    if (slave)
+      slaves.push(slave);
+  }
+
+  const [keyResource, keyProperty] = model.key.property.split('.');
+  const values = flatten(flatten(slaves.map(s => s.resources[keyResource])).map(r => r[keyProperty]));
+  const validValues = values.filter(v => normalizeKey(model, v).valid).sort();
+  const keys = [...new Set(validValues.map(v => normalizeKey(model, v).key))];
+  if (keys.length > 1)
+    throw new Error(`Resources have ${keys.length} different keys and cannot be reconciliated`);
+
+  return {
+    slaves,
+    key: keys.length ? keys[0] : null,
+    keyValue: validValues[0]
+  };
+}
+
+/**
+ * Get the name of the lock on a key of a resource model.
+ *
+ * @private
+*/
+function lockName(model, key) {
+  return `${model.name} ${key}`;
+}
+
+/**
+ * Construct the master record out of the given slaves and replace
+ * the slaves with the master, or only plan the changes in test mode.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized key of the slaves. May be null if the slaves don't have a valid key.
+ * @param slaves {Array} Array of slave objects
+ * @param options {Object} Options for execution, as passed to reconciliateKey
+ * @param options.resolutions {Object} Values to use for the master record, overruling
+ *          the values picked by resolving conflicts
+ * @return {Object} Object as returned by reconciliateKey
+*/
+async function reconciliateSlaves(model, key, slaves, options = {}) {
+  const resolutions = Object.assign(key ? await getResolutions(key) : {}, options.resolutions);
+  const master = constructMaster(model, slaves, resolutions, createMasterUriPolicy(options.masterUri));
+
+  if (!options.approved) {
+    const risks = evaluateRisks(model, slaves, master, options.riskRules);
+    if (key && (await getReconciliations({ rrn: key, status: 'reverted' }, { size: 1 })).count)
+      risks.push({ rule: 'reverted', reason: 'A previous reconciliation of the key has been reverted' });
+    if (risks.length)
+      return await proposeReconciliation(model, key, slaves, master, risks, options);
+  }
+
+  if (options.isDryRun) {
+    const plan = await planReconciliation(model, slaves, master, options.scope);
+    const report = createReport(model, key, 'reconciliated', slaves, master, plan);
+    logger.info('Planned changes', { model: model.name, rrn: key, graphs: Object.keys(report.changes).length, slaves: slaves.length });
+    return { rrn: key, status: 'reconciliated', report };
   } else {
-    console.log(`No duplicates found for person with RRN ${rrn}`);
+    await reportIssues(flatten(slaves.map(s => s.issues)));
+    if (key) {
+      // values picked by resolving a conflict keep the candidates of the resolved conflict
+      const conflicts = master.decisions.filter(d => d.strategy != 'resolution' && getProperties(model, d.resource)[d.property].conflicts);
+      await registerConflicts(key, conflicts);
+    }
+    const plan = await planReconciliation(model, slaves, master, options.scope);
+    const reconciliation = await createReconciliation(key, slaves, master, plan);
+    await applyReconciliation(reconciliation);
+    await checkReconciliationIntegrity(model, key, slaves, master, options.scope);
+    await notifyReconciliation(model, reconciliation, slaves, master);
+    const result = { rrn: key, status: 'reconciliated', reconciliation: reconciliation.id };
+    if (options.withReport)
+      result.report = createReport(model, key, 'reconciliated', slaves, master, plan);
+    return result;
+  }
+}
+
+/**
+ * Park a risky merge as pending proposal, including the planned master, instead of executing it.
+ * A key of which a proposal has been rejected is skipped, so it isn't proposed again.
+ * A key with a pending proposal isn't proposed twice. Slaves without a valid key,
+ * e.g. persons confirmed as duplicates, are proposed every time their merge is requested.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized key of the slaves
+ * @param slaves {Array} Array of slave objects
+ * @param master {Object} Master record as constructed out of the slaves
+ * @param risks {Array} Matching risk rules, as returned by evaluateRisks
+ * @param options {Object} Options for execution, as passed to reconciliateKey
+ * @return {Object} Object as returned by reconciliateKey
+*/
+async function proposeReconciliation(model, key, slaves, master, risks, options) {
+  const withReport = options.isDryRun || options.withReport;
+  if (key && await findProposal(model.name, key, 'rejected')) {
+    logger.info('Skipping reconciliation of which the proposal has been rejected', { model: model.name, rrn: key });
+    const result = { rrn: key, status: 'skipped' };
+    if (withReport)
+      result.report = createReport(model, key, 'skipped', [], null, createPlan());
+    return result;
   }
+
+  const result = { rrn: key, status: 'proposed' };
+  if (withReport)
+    result.report = Object.assign(createReport(model, key, 'proposed', slaves, master, createPlan()), { risks });
+  if (options.isDryRun)
+    return result;
+
+  const proposal = (key && await findProposal(model.name, key, 'pending')) || await createProposal(model.name, key, slaves, master, risks);
+  logger.info('Proposed reconciliation for approval', { model: model.name, rrn: key, proposal: proposal.id, risks: risks.map(r => r.rule) });
+  result.proposal = proposal.id;
+  return result;
+}
+
+/**
+ * Check the integrity of the data after a reconciliation has been applied. The issues found
+ * are logged and counted in the metrics, but not repaired.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized key of the slaves. May be null.
+ * @param slaves {Array} Array of slave objects
+ * @param master {Object} Master record the slaves have been replaced with
+ * @param scope {Object} Scope of the reconciliation
+ * @return {Array} The integrity issues found
+*/
+async function checkReconciliationIntegrity(model, key, slaves, master, scope) {
+  const masterUris = Object.keys(master.resources).filter(name => master.resources[name]).map(name => master.resources[name].uri);
+  const slaveUris = flatten(slaves.map(s => flatten(Object.keys(s.resources).map(name => s.resources[name].map(r => r.uri)))))
+        .filter(uri => !masterUris.includes(uri));
+
+  // references to the slaves in graphs outside the scope of the reconciliation may be dangling as well
+  const issues = (await findDanglingReferences({ uris: [...new Set(slaveUris)] }))
+        .concat(await findResourcesWithoutKey(model, { uris: [master.uri], scope }))
+        .concat(key ? await findRemainingDuplicates(model, [key], scope) : []);
+
+  for (let issue of issues)
+    increment('integrity_issues_total', { model: model.name, type: issue.type });
+  if (issues.length)
+    logger.warn('Found integrity issues after reconciliation', { model: model.name, rrn: key, count: issues.length, types: [...new Set(issues.map(i => i.type))] });
+  return issues;
+}
+
+/**
+ * Check the integrity of the data of a model across graphs: references to former slaves
+ * without data, root resources without a key and duplicates that have not been reconciliated.
+ * Duplicates that have been split are not considered remaining duplicates.
+ *
+ * The issues are ordered by type in that order. If a page size is given, only the issues of the
+ * requested page are retrieved. The dangling references and the root resources without a key are
+ * paged and counted in the triplestore. The remaining duplicates are always checked all.
+ *
+ * In repair mode, dangling references are redirected to the canonical URI of the former slave
+ * and the remaining duplicates are reconciliated. Root resources without a key are only reported.
+ * The keys of a canonical resource are locked while the references to it are redirected, as the
+ * keys of the remaining duplicates are while they are reconciliated, so the repair doesn't change
+ * the resources a running reconciliation is changing.
+ *
+ * @public
+ * @param options {Object} Options
+ * @param options.model {string} Name of the resource model. Defaults to the person model.
+ * @param options.graphs {Array} Graphs to limit the check to
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of issues per page. All issues are returned if not given.
+ * @param options.repair {boolean} Whether to repair the issues found. All issues are repaired.
+ * @return {Object} Object containing the issues found, their total count and the issues that have been repaired
+*/
+async function checkIntegrity(options = {}) {
+  const model = getModel(options.model);
+  const scope = createScope(options.graphs);
+  const page = options.size && !options.repair ? { offset: (options.page || 0) * options.size, limit: options.size } : null;
+
+  const danglingCount = await countDanglingReferences({ scope });
+  const withoutKeyCount = await countResourcesWithoutKey(model, { scope });
+  const dangling = await findDanglingReferences(Object.assign({ scope }, pageAfter(page, 0)));
+  const withoutKey = await findResourcesWithoutKey(model, Object.assign({ scope }, pageAfter(page, danglingCount)));
+  const keys = [];
+  for await (let key of discoverDuplicateKeys(model.name, { graphs: options.graphs }))
+    keys.push(key);
+  const duplicates = await findRemainingDuplicates(model, keys, scope);
+  const count = danglingCount + withoutKeyCount + duplicates.length;
+  logger.info('Checked integrity', { model: model.name, danglingReferences: danglingCount, missingKeys: withoutKeyCount, duplicates: duplicates.length });
+
+  const remaining = pageAfter(page, danglingCount + withoutKeyCount);
+  const issues = dangling.concat(withoutKey, page ? duplicates.slice(remaining.offset, remaining.offset + remaining.limit) : duplicates);
+  if (!options.repair)
+    return { issues, count, repaired: [] };
+
+  const repaired = await repairDanglingReferences(dangling, {
+    getLockNames: async (canonical) => (await getOwnerKeys(model, canonical)).map(key => lockName(model, key))
+  });
+  for (let issue of duplicates) {
+    try {
+      const result = await reconciliateKey(issue.key, { model: model.name, graphs: options.graphs, wait: true });
+      if (result.status == 'reconciliated')
+        repaired.push(Object.assign({}, issue, { repair: result.reconciliation }));
+    } catch (e) {
+      logger.error('Failed to repair remaining duplicate', { rrn: issue.key, error: e });
+    }
+  }
+  logger.info('Repaired integrity issues', { model: model.name, count: repaired.length });
+  return { issues, count, repaired };
+}
+
+/**
+ * Get the part of a page of issues that falls within a type of issues, given the number
+ * of issues of the preceding types.
+ *
+ * @private
+ * @param page {Object} Page with the offset and limit in all issues. Null for all issues.
+ * @param preceding {number} Number of issues of the preceding types
+ * @return {Object} Offset and limit within the issues of the type. Empty for all issues.
+*/
+function pageAfter(page, preceding) {
+  if (!page)
+    return {};
+  const offset = Math.max(page.offset - preceding, 0);
+  return { offset, limit: Math.max(page.offset + page.limit - preceding, 0) - offset };
+}
+
+/**
+ * Get the keys of the root resources owning a resource, i.e. the keys of the resource itself
+ * if it's a root resource, or else of the root resources it's a sub-resource of.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param resourceUri {string} URI of a root resource or sub-resource
+ * @return {Array} Array of normalized keys
+*/
+async function getOwnerKeys(model, resourceUri) {
+  const predicates = Object.keys(model.resources).map(name => sparqlEscapeUri(model.resources[name].predicate));
+  const owners = predicates.length ? `UNION {
+          ?root ${predicates.join(' | ')} ${sparqlEscapeUri(resourceUri)} .
+        }` : '';
+  const result = await query(`
+    SELECT DISTINCT ?root WHERE {
+      GRAPH ?g {
+        {
+          BIND (${sparqlEscapeUri(resourceUri)} as ?root)
+        } ${owners}
+        ?root a ${sparqlEscapeUri(model.type)} .
+      }
+    }
+  `);
+
+  const keys = [];
+  for (let binding of result.results.bindings)
+    keys.push(...await getKeys(model.name, binding['root'].value));
+  return [...new Set(keys)];
+}
+
+/**
+ * Get the keys that are still shared by different resources, leaving out the resources that have been split.
+ *
+ * @private
+ * @return {Array} Array of issues of type 'remaining-duplicate', each with the key and the URIs of the resources
+*/
+async function findRemainingDuplicates(model, keys, scope) {
+  const issues = [];
+  for (let key of keys) {
+    const remaining = await excludeSplitResources(await getDuplicateUris(model, key, scope));
+    if (remaining.length)
+      issues.push({ type: 'remaining-duplicate', key, resources: [...new Set(remaining.map(r => r.uri))].sort() });
+  }
+  return issues;
+}
+
+/**
+ * Create the report of a dry run.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized key that has been reconciliated
+ * @param status {string} Status of the reconciliation
+ * @param slaves {Array} Array of slave objects
+ * @param master {Object} Master record as constructed out of the slaves
+ * @param plan {Object} Plan containing the changes the reconciliation would execute
+ * @return {Object} Report containing the slaves per graph, the master record,
+ *           the decisions taken for conflicting values, the data-quality issues
+ *           found on the slaves and the changes per graph. Sensitive values are masked.
+*/
+function createReport(model, key, status, slaves, master, plan) {
+  const slavesPerGraph = {};
+  for (let slave of slaves) {
+    if (!slavesPerGraph[slave.graph])
+      slavesPerGraph[slave.graph] = [];
+    slavesPerGraph[slave.graph].push(slave.resources);
+  }
+
+  return maskReport(model, {
+    model: model.name,
+    rrn: key,
+    status,
+    slaves: slavesPerGraph,
+    master: master && master.resources,
+    decisions: master ? master.decisions : [],
+    issues: flatten(slaves.map(s => s.issues)),
+    changes: formatChanges(plan)
+  });
+}
+
+/**
+ * Get all duplicate keys across graphs.
+ *
+ * A key is considered duplicate if root resources with a different URI have
+ * the same normalized key, e.g. persons related to identifiers with the same
+ * normalized RRN (skos:notation). Invalid and ambiguous keys are never considered duplicate.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @param graphs {Array} Graphs to limit the search to. Graphs that are not allowed
+ *          by the configured allow and deny lists are never taken into account.
+ * @return {Array} Array of normalized keys as string
+*/
+async function getDuplicateIdentificators(modelName, graphs) {
+  const model = getModel(modelName);
+  const duplicates = [];
+  for await (let key of discoverDuplicateKeys(model.name, { graphs }))
+    duplicates.push(key);
+  return duplicates;
 }
 
 /**
- * Get all duplicate RRNs across graphs.
+ * Get the duplicate keys of a model together with the duplicate resources
+ * and the graphs they reside in. All graphs are taken into account,
+ * including the ones outside the configured scope.
  *
- * An RRN is considered duplicate if persons with a different URI
- * are related to identifiers with the same RRN (skos:notation).
+ * The resources are grouped by key in the triplestore, so only the keys of the requested
+ * page are retrieved. The keys are normalized, but not validated: a key that fails validation,
+ * e.g. an RRN with a wrong checksum, is returned if it's shared by different resources.
  *
  * @public
- * @return {Array} Array of RRNs as string
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @param options {Object} Paging options. All duplicates are returned if no page size is given.
+ * @param options.page {number} Page number, starting from 0
+ * @param options.size {number} Number of duplicates per page
+ * @return {Array} Array of duplicates sorted by key, each containing the normalized key
+ *           and the resources, each with its URI and graphs
 */
-async function getDuplicateIdentificators() {
+async function getDuplicates(modelName, options = {}) {
+  const model = getModel(modelName);
+  const paging = options.size ? ` LIMIT ${options.size} OFFSET ${(options.page || 0) * options.size}` : '';
   const result = await query(`
-PREFIX person: <http://www.w3.org/ns/person#>
-PREFIX adms: <http://www.w3.org/ns/adms#>
-PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
 PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
 
-SELECT DISTINCT ?rrn WHERE {
-  GRAPH ?g {
-    ?person a person:Person ;
-    mu:uuid ?uuid ;
-    adms:identifier ?identifier .
+${duplicateKeysQuery(model)} ORDER BY ?key${paging}
+`);
+
+  const keys = result.results.bindings.map(b => b['key'].value);
+  const entries = keys.length ? await getKeyEntries(model, { keys }) : [];
+  return keys.map(key => {
+    const graphsPerResource = {};
+    for (let { resource, graph } of entries.filter(e => e.sortKey == key))
+      graphsPerResource[resource] = [...new Set((graphsPerResource[resource] || []).concat(graph))].sort();
+    const resources = Object.keys(graphsPerResource).sort().map(uri => ({ uri, graphs: graphsPerResource[uri] }));
+    return { key, resources };
+  });
+}
+
+/**
+ * Count the duplicate keys of a model, as returned by getDuplicates.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @param scope {Object} If given, only count the keys shared by different resources in graphs in this scope
+ * @return {number} Number of duplicate keys
+*/
+async function countDuplicates(modelName, scope) {
+  const model = getModel(modelName);
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+
+SELECT (COUNT(?key) as ?count) WHERE {
+  ${duplicateKeysQuery(model, scope)}
+}
+`);
+  return parseInt(result.results.bindings[0]['count'].value);
+}
+
+/**
+ * Count the duplicate keys of a model in the graph scope, i.e. the keys a bulk reconciliation
+ * would still have to merge, and expose the count as the 'duplicate_backlog' gauge in the metrics.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @return {number} Number of duplicate keys in scope
+*/
+async function updateDuplicateBacklog(modelName) {
+  const model = getModel(modelName);
+  const count = await countDuplicates(model.name, createScope());
+  setGauge('duplicate_backlog', count, { model: model.name });
+  return count;
+}
+
+/**
+ * Count the resources involved in a duplicate and the duplicate keys per graph.
+ * All graphs are taken into account, including the ones outside the configured scope.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @return {Array} Array of objects with a graph, the number of resources in the graph
+ *           sharing their key with another resource and the number of those keys
+*/
+async function countDuplicatesPerGraph(modelName) {
+  const model = getModel(modelName);
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+
+SELECT ?g (COUNT(DISTINCT ?resource) as ?resources) (COUNT(DISTINCT ?key) as ?duplicates) WHERE {
+  {
+    ${duplicateKeysQuery(model)}
+  }
+  {
+    GRAPH ?g {
+      ?resource a ${sparqlEscapeUri(model.type)} ;
+        mu:uuid ?uuid .
+      ${keyPattern(model, '?resource', '?identifier', '?notation')}
+    }
+    BIND (${keyExpression(model, '?notation')} as ?key)
+  }
+} GROUP BY ?g
+`);
+
+  return result.results.bindings.map(b => {
+    return { graph: b['g'].value, resources: parseInt(b['resources'].value), duplicates: parseInt(b['duplicates'].value) };
+  });
+}
+
+/**
+ * Get the SPARQL query selecting the normalized keys shared by different root resources of a model.
+ * The query requires the mu prefix.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param scope {Object} If given, only the resources in graphs in this scope are taken into account
+ * @return {string} SPARQL SELECT query projecting ?key
+*/
+function duplicateKeysQuery(model, scope) {
+  return `SELECT ?key WHERE {
+    GRAPH ?g {
+      ?resource a ${sparqlEscapeUri(model.type)} ;
+        mu:uuid ?uuid .
+      ${keyPattern(model, '?resource', '?identifier', '?notation')}
+    }
+    BIND (${keyExpression(model, '?notation')} as ?key)
+    ${scope ? scopeFilter(scope, '?g') : ''}
+  } GROUP BY ?key HAVING (COUNT(DISTINCT ?resource) > 1)`;
+}
+
+/**
+ * Get the properties the duplicates of each of the given keys have conflicting values for,
+ * i.e. the properties for which the merge of the slaves rejects a value.
+ * Different notations of the key itself are not considered conflicting.
+ * The data of the duplicate resources is retrieved in batches.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @param duplicates {Array} Duplicates as returned by getDuplicates
+ * @return {Object} Object mapping each key to the names of the conflicting properties,
+ *           formatted as '<resource>.<property>'
+*/
+async function getConflictingProperties(modelName, duplicates) {
+  const model = getModel(modelName);
+  const occurrences = flatten(duplicates.map(d => flatten(d.resources.map(r => r.graphs.map(graph => ({ graph, uri: r.uri }))))));
+  const slaves = await getSlaves(model, occurrences);
+
+  const conflicting = {};
+  for (let duplicate of duplicates) {
+    const uris = duplicate.resources.map(r => r.uri);
+    const master = constructMaster(model, slaves.filter(s => uris.includes(s.uri)));
+    const properties = master.decisions.map(d => `${d.resource}.${d.property}`).filter(p => p != model.key.property);
+    conflicting[duplicate.key] = [...new Set(properties)].sort();
+  }
+  return conflicting;
+}
+
+/**
+ * Get the resources with an invalid or ambiguous key.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @return {Array} Array of issues, each containing the type ('invalid' or 'ambiguous'),
+ *           the reason, the graph, the root resource (e.g. person), identifier and notation
+*/
+async function getIdentifierIssues(modelName) {
+  const { issues } = await scanKeys(getModel(modelName));
+  return issues;
+}
 
-    ?identifier skos:notation ?rrn .
+/**
+ * Scan the keys of all root resources of a model across graphs.
+ *
+ * The keys are normalized and validated by the key normalizer of the model,
+ * e.g. RRNs are normalized to digits only and validated using the mod-97 checksum.
+ * A key is reported as invalid if it doesn't pass the validation. The keys of a resource
+ * are reported as ambiguous if the resource has values that normalize to different keys.
+ * Resources with an invalid or ambiguous key are not taken into account to find duplicates.
+ *
+ * The keys are retrieved page by page to keep the queries on the triplestore bounded.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param scope {Object} Scope of the graphs to scan. All graphs are scanned if null.
+ * @return {Object} Object containing the duplicate keys, the key values found for each
+ *           duplicate key (with graph and resource) and the invalid or ambiguous values
+*/
+async function scanKeys(model, scope) {
+  const entries = [];
+  for await (let page of scanKeyPages(model, scope))
+    entries.push(...page);
+  return analyzeKeyEntries(model, entries);
+}
+
+/**
+ * Discover the duplicate keys of a model page by page, in order of the normalized key.
+ * The keys are yielded as soon as the page they are found in has been analyzed,
+ * so they can be reconciliated while the discovery continues.
+ *
+ * A key found on a page is only yielded if it is a duplicate taking all keys of its
+ * resources into account, i.e. if it is a duplicate according to the full scan.
+ *
+ * If a time is given, only the keys of which a root resource or the resource holding
+ * the key has been created or modified since, according to dct:created and dct:modified,
+ * are considered.
+ *
+ * @public
+ * @param modelName {string} Name of the resource model. Defaults to the person model.
+ * @param options {Object} Options
+ * @param options.graphs {Array} Graphs to limit the discovery to
+ * @param options.after {string} Only discover the keys after this normalized key,
+ *          e.g. to resume an interrupted run
+ * @param options.since {Date} Only discover the keys that changed since this time
+ * @return {AsyncIterator} Iterator of normalized keys
+*/
+async function* discoverDuplicateKeys(modelName, options = {}) {
+  const model = getModel(modelName);
+  const scope = createScope(options.graphs);
+  const pages = options.since ? scanChangedKeyPages(model, scope, options.since, options.after) : scanKeyPages(model, scope, options.after);
+
+  for await (let entries of pages) {
+    const candidates = analyzeKeyEntries(model, entries).duplicates;
+    if (!candidates.length)
+      continue;
+
+    // resources may have other keys on other pages, which makes them ambiguous
+    const uris = [...new Set(entries.filter(e => candidates.includes(e.key)).map(e => e.resource))];
+    const related = (await getKeyEntries(model, { resources: uris })).filter(e => isInScope(scope, e.graph));
+    const { duplicates } = analyzeKeyEntries(model, entries.concat(related));
+
+    for (let key of candidates.filter(key => duplicates.includes(key)).sort())
+      yield key;
   }
-  GRAPH ?h {
-    ?identifier2 skos:notation ?rrn .
+}
+
+/**
+ * Retrieve the key values of all root resources of a model page by page, ordered
+ * by normalized key. A page only contains complete keys: all values normalizing to
+ * the same key are on the same page.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param scope {Object} Scope of the graphs to scan. All graphs are scanned if null.
+ * @param after {string} Only retrieve the values of keys after this normalized key
+ * @return {AsyncIterator} Iterator of pages, each an array of key entries
+*/
+async function* scanKeyPages(model, scope, after) {
+  while (true) {
+    let entries = await getKeyEntries(model, { after, limit: DISCOVERY_PAGE_SIZE });
+    const isLastPage = entries.length < DISCOVERY_PAGE_SIZE;
+
+    if (!isLastPage) {
+      // the values of the last key may continue on the next page
+      const lastKey = entries[entries.length - 1].sortKey;
+      entries = entries.filter(e => e.sortKey != lastKey);
+      if (!entries.length)
+        entries = await getKeyEntries(model, { key: lastKey });
+    }
 
-    ?person2 a person:Person ;
-    mu:uuid ?uuid2 ;
-    adms:identifier ?identifier2 .
+    if (entries.length) {
+      after = entries[entries.length - 1].sortKey;
+      yield entries.filter(e => scope === null || isInScope(scope, e.graph));
+    }
 
+    if (isLastPage)
+      return;
   }
-  FILTER (?person != ?person2)
 }
+
+/**
+ * Retrieve the key values of the keys that changed since a given time page by page,
+ * ordered by normalized key. A page contains all values of its keys, including the
+ * values of resources that didn't change.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param scope {Object} Scope of the graphs to scan. All graphs are scanned if null.
+ * @param since {Date} Only retrieve the values of keys that changed since this time
+ * @param after {string} Only retrieve the values of keys after this normalized key
+ * @return {AsyncIterator} Iterator of pages, each an array of key entries
+*/
+async function* scanChangedKeyPages(model, scope, since, after) {
+  while (true) {
+    const keys = await getChangedKeys(model, since, { after, limit: DISCOVERY_PAGE_SIZE });
+
+    if (keys.length) {
+      after = keys[keys.length - 1];
+      const entries = await getKeyEntries(model, { keys });
+      yield entries.filter(e => scope === null || isInScope(scope, e.graph));
+    }
+
+    if (keys.length < DISCOVERY_PAGE_SIZE)
+      return;
+  }
+}
+
+/**
+ * Get the normalized keys of which a root resource or the resource holding the key
+ * has been created or modified since a given time.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param since {Date} Time since which the resources must have changed
+ * @param options {Object} Options
+ * @param options.after {string} Only get the keys after this normalized key
+ * @param options.limit {number} Maximum number of keys, ordered by normalized key
+ * @return {Array} Array of keys normalized in SPARQL
+*/
+async function getChangedKeys(model, since, options = {}) {
+  const after = options.after ? `FILTER (?key > ${sparqlEscapeString(options.after)})` : '';
+
+  const result = await query(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX dct: <http://purl.org/dc/terms/>
+
+SELECT DISTINCT ?key WHERE {
+  GRAPH ?g {
+    ?resource a ${sparqlEscapeUri(model.type)} ;
+      mu:uuid ?uuid .
+    ${keyPattern(model, '?resource', '?identifier', '?notation')}
+    { ?resource dct:modified|dct:created ?changed . } UNION { ?identifier dct:modified|dct:created ?changed . }
+    FILTER (?changed > ${sparqlEscapeDateTime(since)})
+  }
+  BIND (${keyExpression(model, '?notation')} as ?key)
+  ${after}
+} ORDER BY ?key${options.limit ? ` LIMIT ${options.limit}` : ''}
 `);
 
-  return result.results.bindings.map(b => b['rrn'].value);
+  return result.results.bindings.map(b => b['key'].value);
 }
 
 /**
- * Get all duplicate person URIs and the graph they reside in for a given RRN.
+ * Get the key values of the root resources of a model, with the graph,
+ * the root resource and the resource holding the value.
  *
  * @private
- * @return {Array} Array of objects with a person and a graph
+ * @param model {Object} Resource model
+ * @param options {Object} Options
+ * @param options.after {string} Only get the values of keys after this normalized key
+ * @param options.key {string} Only get the values of this normalized key
+ * @param options.keys {Array} Only get the values of these normalized keys
+ * @param options.resources {Array} Only get the values of these root resources
+ * @param options.limit {number} Maximum number of values, ordered by normalized key
+ * @return {Array} Array of entries, each containing the graph, resource, identifier, notation,
+ *           the key normalized in JavaScript and validated, and the key normalized in SPARQL to sort on
 */
-async function getDuplicatePersonUris(rrn) {
+async function getKeyEntries(model, options = {}) {
+  const filters = [];
+  if (options.after)
+    filters.push(`FILTER (?key > ${sparqlEscapeString(options.after)})`);
+  if (options.key !== undefined)
+    filters.push(`FILTER (?key = ${sparqlEscapeString(options.key)})`);
+  if (options.keys)
+    filters.push(`FILTER (?key IN (${options.keys.map(sparqlEscapeString).join(', ')}))`);
+  const values = options.resources ? `VALUES ?resource {
+    ${options.resources.map(sparqlEscapeUri).join('\n    ')}
+  }` : '';
+
   const result = await query(`
-PREFIX person: <http://www.w3.org/ns/person#>
-PREFIX adms: <http://www.w3.org/ns/adms#>
-PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
 PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
 
-SELECT DISTINCT ?g ?person WHERE {
+SELECT DISTINCT ?g ?resource ?identifier ?notation ?key WHERE {
+  ${values}
   GRAPH ?g {
-    ?person a person:Person ;
-    adms:identifier ?identifier .
+    ?resource a ${sparqlEscapeUri(model.type)} ;
+      mu:uuid ?uuid .
+    ${keyPattern(model, '?resource', '?identifier', '?notation')}
+  }
+  BIND (${keyExpression(model, '?notation')} as ?key)
+  ${filters.join('\n  ')}
+}${options.limit ? ` ORDER BY ?key LIMIT ${options.limit}` : ''}
+`);
+
+  return result.results.bindings.map(b => {
+    const notation = b['notation'].value;
+    const validation = normalizeKey(model, notation);
+    return {
+      graph: b['g'].value,
+      resource: b['resource'].value,
+      identifier: b['identifier'].value,
+      notation,
+      key: validation.key,
+      sortKey: b['key'].value,
+      validation
+    };
+  });
+}
+
+/**
+ * Find the duplicate keys and the invalid or ambiguous values among the given key entries.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param entries {Array} Key entries as returned by getKeyEntries
+ * @return {Object} Object as returned by scanKeys
+*/
+function analyzeKeyEntries(model, entries) {
+  const issues = [];
+  const keysPerResource = {};
+  for (let entry of entries) {
+    if (entry.validation.valid) {
+      const id = `${entry.graph} ${entry.resource}`;
+      keysPerResource[id] = (keysPerResource[id] || []).concat(entry.key);
+    } else {
+      issues.push(toIssue(model, 'invalid', entry.validation.reason, entry));
+    }
+  }
 
-    ?identifier skos:notation ${sparqlEscapeString(rrn)} .
+  const resourcesPerKey = {};
+  for (let entry of entries.filter(e => e.validation.valid)) {
+    const keys = [...new Set(keysPerResource[`${entry.graph} ${entry.resource}`] || [])];
+    if (keys.length > 1) {
+      issues.push(toIssue(model, 'ambiguous', `${model.name} has values for ${keys.length} different keys`, entry));
+    } else if (keys.length == 1) {
+      resourcesPerKey[entry.key] = (resourcesPerKey[entry.key] || []).concat(entry.resource);
+    }
   }
-  GRAPH ?h {
-    ?identifier2 skos:notation ${sparqlEscapeString(rrn)} .
 
-    ?person2 a person:Person ;
-    adms:identifier ?identifier2 .
+  const duplicates = Object.keys(resourcesPerKey).filter(key => new Set(resourcesPerKey[key]).size > 1);
+
+  const occurrences = {};
+  for (let key of duplicates)
+    occurrences[key] = entries.filter(e => e.key == key && resourcesPerKey[key].includes(e.resource));
+
+  return { duplicates, occurrences, issues };
+}
+
+/**
+ * Create an issue for a key value that cannot be used for reconciliation.
+ *
+ * @private
+*/
+function toIssue(model, type, reason, entry) {
+  return {
+    type,
+    reason,
+    graph: entry.graph,
+    [model.name]: entry.resource,
+    identifier: entry.identifier,
+    notation: entry.notation
+  };
+}
+
+/**
+ * Build the SPARQL pattern matching the key path of a model.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param subject {string} Variable or escaped URI of the root resource
+ * @param holder {string} Variable to bind the resource having the key value to.
+ *          This is the root resource itself if the key is a property of the root.
+ * @param value {string} Variable to bind the key value to
+ * @return {string} SPARQL pattern
+*/
+function keyPattern(model, subject, holder, value) {
+  const path = model.key.path;
+  if (path.length == 1)
+    return `${subject} ${sparqlEscapeUri(path[0])} ${value} .
+    BIND(${subject} as ${holder})`;
+  else
+    return `${subject} ${sparqlEscapeUri(path[0])} ${holder} .
+    ${holder} ${sparqlEscapeUri(path[1])} ${value} .`;
+}
+
+/**
+ * Get all duplicate root resource URIs and the graph they reside in for a given key.
+ * Resources are matched on the normalized value of their key path.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized key
+ * @param scope {Object} Scope of the graphs to search in. All graphs are searched if null.
+ * @return {Array} Array of objects with a resource URI and a graph
+*/
+async function getDuplicateUris(model, key, scope) {
+  const resources = await getKeyResources(model, key, scope);
+
+  // Resources are only duplicates if there are at least 2 different URIs
+  if (new Set(resources.map(p => p.uri)).size > 1)
+    return resources;
+  else
+    return [];
+}
+
+/**
+ * Get the root resources having a given key and the graphs they reside in,
+ * whether they are duplicates or not.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param key {string} Normalized key
+ * @param scope {Object} Scope of the graphs to search in. All graphs are searched if null.
+ * @return {Array} Array of objects with a resource URI and a graph
+*/
+async function getKeyResources(model, key, scope) {
+  const result = await query(`
+SELECT DISTINCT ?g ?resource WHERE {
+  GRAPH ?g {
+    ?resource a ${sparqlEscapeUri(model.type)} .
+    ${keyPattern(model, '?resource', '?identifier', '?notation')}
   }
-  FILTER (?person != ?person2)
+  FILTER (${keyExpression(model, '?notation')} = ${sparqlEscapeString(key)})
 }
 `);
 
   return result.results.bindings.map(b => {
     const graph = b['g'].value;
-    const uri = b['person'].value;
+    const uri = b['resource'].value;
     return { graph,  uri };
-  });
+  }).filter(r => scope === null || isInScope(scope, r.graph));
 }
 
 /**
- * Get a person, identifier and birthdate resource for a given person URI and graph.
+ * Get the graphs the given root resources reside in.
  *
  * @private
- * @param graph {string} Graph the resources are stored in
- * @param uri {string} URI of the person
- * @return {Object} Object containing the graph, person, identifier and birthdate
+ * @param model {Object} Resource model
+ * @param uris {Array} URIs of the root resources
+ * @param scope {Object} Scope of the graphs to take into account
+ * @return {Array} Array of objects with a resource URI and a graph
 */
-async function getPerson(graph, uri) {
+async function getResourceGraphs(model, uris, scope) {
   const result = await query(`
-PREFIX person: <http://www.w3.org/ns/person#>
-PREFIX adms: <http://www.w3.org/ns/adms#>
-PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
-PREFIX foaf: <http://xmlns.com/foaf/0.1/>
-PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
-
-SELECT ?g ?uuid ?identifier ?familyName ?name ?firstName ?birthdate ?geboorteUuid ?date ?identifierUuid ?gender ?notation WHERE {
-  GRAPH ${sparqlEscapeUri(graph)} {
-    ${sparqlEscapeUri(uri)} a person:Person ;
-      mu:uuid ?uuid ;
-      adms:identifier ?identifier .
-
-    OPTIONAL { ${sparqlEscapeUri(uri)} foaf:familyName ?familyName . }
-    OPTIONAL { ${sparqlEscapeUri(uri)} foaf:name ?name . }
-    OPTIONAL { ${sparqlEscapeUri(uri)} persoon:gebruikteVoornaam ?firstName . }
-
-    OPTIONAL {
-      ${sparqlEscapeUri(uri)} persoon:heeftGeboorte ?birthdate .
-      OPTIONAL { ?birthdate mu:uuid ?geboorteUuid . }
-      OPTIONAL { ?birthdate persoon:datum ?date . }
-    }
-
-    OPTIONAL { ?identifier mu:uuid ?identifierUuid . }
-    OPTIONAL { ?identifier skos:notation ?notation . }
-
-    OPTIONAL { ${sparqlEscapeUri(uri)} persoon:geslacht ?gender . }
+SELECT DISTINCT ?g ?resource WHERE {
+  VALUES ?resource {
+    ${uris.map(sparqlEscapeUri).join('\n    ')}
+  }
+  GRAPH ?g {
+    ?resource a ${sparqlEscapeUri(model.type)} .
   }
 }
 `);
 
-  if (result.results.bindings.length > 1) {
-    console.warn(`${result.results.bindings.length} matches found for person <${uri}>. Probably some multi-value properties? Only taking the first result into account.`);
-    const bindingKeys = ['uuid', 'familyName', 'name', 'firstName', 'geboorteUuid', 'date', 'identifierUuid', 'gender', 'notation'];
-    for (let key of bindingKeys) {
-      const values = result.results.bindings.map(b => b[key] && b[key].value);
-      console.log(`Values for prop '${key}': ${values}`);
-    }
-  }
+  return result.results.bindings.map(b => {
+    return { graph: b['g'].value, uri: b['resource'].value };
+  }).filter(r => isInScope(scope, r.graph));
+}
 
-  if (result.results.bindings.length) {
-    const binding = result.results.bindings[0];
+/**
+ * Get a root resource with its sub-resources for a given URI and graph,
+ * e.g. a person with its identifier and birthdate.
+ *
+ * Properties may have multiple values, hence the values of all properties are arrays.
+ * Only the uuid and modification date are single values. The links from the root to its
+ * sub-resources are properties of the root, named after the sub-resource.
+ * Multiple values for a property that is not configured as multi-valued, e.g. 2 identifiers
+ * or 2 birth dates, are kept, but reported as data-quality issue.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param graph {string} Graph the resources are stored in
+ * @param uri {string} URI of the root resource
+ * @return {Object} Object containing the graph, the URI, the resources indexed by
+ *           resource name and the data-quality issues found. The root resource
+ *           is indexed by the name of the model.
+*/
+async function getSlave(model, graph, uri) {
+  const slaves = await getSlaves(model, [{ graph, uri }]);
+  return slaves.length ? slaves[0] : null;
+}
 
-    // Construct person resource
-    const person = {
-      uri: uri,
-      uuid: binding['uuid'].value,
-      identifier: binding['identifier'].value
-    };
-    const personProps = ['familyName', 'name', 'firstName', 'gender', 'birthdate'];
-    addOptionalProperties(person, binding, personProps);
+/**
+ * Get the root resources with their sub-resources for a list of URIs and graphs,
+ * as getSlave does for a single one. The data is retrieved in batches instead of per resource.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param occurrences {Array} Array of objects with a graph and the URI of a root resource
+ * @return {Array} Array of slave objects as returned by getSlave, in the order of the given occurrences.
+ *           The occurrences that are not found are left out.
+*/
+async function getSlaves(model, occurrences) {
+  const rootQuads = groupQuads(await getSubjectQuads(occurrences.map(o => ({ graph: o.graph, subject: o.uri }))));
+  const roots = occurrences.filter(({ graph, uri }) => {
+    const quads = rootQuads(graph, uri);
+    return hasValue(quads, RDF_TYPE, model.type) && hasValue(quads, MU_UUID);
+  });
 
-    // Construct identifier resource
-    const identifier = {
-      uri: binding['identifier'].value
+  const subjects = [];
+  for (let { graph, uri } of roots) {
+    for (let name of Object.keys(model.resources)) {
+      for (let subject of getValues(rootQuads(graph, uri), model.resources[name].predicate))
+        subjects.push({ graph, subject });
+    }
+  }
+  const subQuads = groupQuads(await getSubjectQuads(subjects));
+
+  return roots.map(({ graph, uri }) => {
+    const issues = [];
+    const assertSingleValue = (type, subject, prop, values) => {
+      if (values.length > 1) {
+        logger.warn('Found multiple values for a single-valued property', { property: `${type}.${prop}`, subject, graph, count: values.length });
+        issues.push({ type: 'multiple-values', graph, person: uri, subject, property: `${type}.${prop}`, values });
+      }
     };
-    const identifierProps = [['identifierUuid', 'uuid'], 'notation'];
-    addOptionalProperties(identifier, binding, identifierProps);
-
-    // Construct birthdate resource
-    let birthdate = null;
-    if (binding['birthdate']) {
-      birthdate = {
-        uri: binding['birthdate'].value
+
+    const constructResource = (name, subject, quads, properties) => {
+      const uuids = getValues(quads, MU_UUID);
+      assertSingleValue(name, subject, 'uuid', uuids);
+      const resource = {
+        uri: subject,
+        uuid: uuids[0],
+        modified: getLatest(getValues(quads, DCT_MODIFIED)),
+        created: getEarliest(getValues(quads, DCT_CREATED))
       };
+      for (let prop of Object.keys(properties)) {
+        resource[prop] = getValues(quads, properties[prop].predicate);
+        if (!properties[prop].multiValued)
+          assertSingleValue(name, subject, prop, resource[prop]);
+      }
+      return resource;
+    };
+
+    const root = constructResource(model.name, uri, rootQuads(graph, uri), model.properties);
+    const resources = { [model.name]: [root] };
+
+    for (let name of Object.keys(model.resources)) {
+      const definition = model.resources[name];
+      root[name] = getValues(rootQuads(graph, uri), definition.predicate);
+      if (!definition.multiValued)
+        assertSingleValue(model.name, uri, name, root[name]);
+      resources[name] = root[name].map(subject => constructResource(name, subject, subQuads(graph, subject), definition.properties));
     }
-    const birthdateProps = [['geboorteUuid', 'uuid'], 'date'];
-    addOptionalProperties(birthdate, binding, birthdateProps);
 
-    return { graph, person, identifier, birthdate };
-  } else {
-    return null;
-  }
+    return { graph, uri, resources, issues };
+  });
 }
 
 /**
- * Sets a set of optional values of the binding result set as
- * properties on a given resource.
+ * Group quads by graph and subject.
  *
- * If a property is passed as an array, the first element is
- * used as key in the binding result set, while the second element
- * is used as key of the property for the resource.
+ * @private
+ * @param quads {Array} Quads to group
+ * @return {Function} Function returning the quads of a given graph and subject
+*/
+function groupQuads(quads) {
+  const groups = {};
+  for (let quad of quads) {
+    const key = `${quad.graph.value} ${quad.subject.value}`;
+    groups[key] = (groups[key] || []).concat(quad);
+  }
+  return (graph, subject) => groups[`${graph} ${subject}`] || [];
+}
+
+/**
+ * Whether the given quads contain a quad with the given predicate and, if defined, object.
  *
  * @private
- * @param resource {Object} Resource to set the properties on
- * @param binding {Object} Binding result set of a SPARQL query
- * @param props {Array} Array of properties to set on the resource
 */
-function addOptionalProperties(resource, binding, props) {
+function hasValue(quads, predicate, object) {
+  return !!quads.find(q => q.predicate.value == predicate && (!object || q.object.value == object));
+}
 
-  /** Set a given key from the binding result set as prop on the given resource */
-  function addOptionalPropertyAs(resource, binding, prop, key) {
-    if (!key)
-      key = prop;
+/**
+ * Get the distinct object values of the quads with a given predicate, sorted to be deterministic.
+ *
+ * @private
+ * @param quads {Array} Quads of a single subject
+ * @param predicate {string} URI of the predicate
+ * @return {Array} Array of distinct values
+*/
+function getValues(quads, predicate) {
+  const values = quads.filter(q => q.predicate.value == predicate).map(q => q.object.value);
+  return [...new Set(values)].sort();
+}
 
-    if (binding[prop])
-      resource[key] = binding[prop].value;
-  }
+/**
+ * Get the most recent out of a list of dateTime values.
+ *
+ * @private
+*/
+function getLatest(values) {
+  if (!values.length)
+    return undefined;
+  return values.reduce((latest, value) => new Date(value) > new Date(latest) ? value : latest);
+}
 
+/**
+ * Get the oldest out of a list of dateTime values.
+ *
+ * @private
+*/
+function getEarliest(values) {
+  if (!values.length)
+    return undefined;
+  return values.reduce((earliest, value) => new Date(value) < new Date(earliest) ? value : earliest);
+}
 
-  for (let prop of props) {
-    if (typeof(prop) == 'string') {
-      addOptionalPropertyAs(resource, binding, prop);
-    } else {
-      addOptionalPropertyAs(resource, binding, prop[0], prop[1]);
-    }
-  }
+/**
+ * Get the property definitions of the root resource or a sub-resource of a model.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param name {string} Name of the model for the root resource, or name of the sub-resource
+ * @return {Object} Property definitions indexed by property name
+*/
+function getProperties(model, name) {
+  return name == model.name ? model.properties : model.resources[name].properties;
 }
 
 /**
@@ -252,22 +1433,75 @@ function addOptionalProperties(resource, binding, props) {
  *
  * The master record is as complete  as possible because it combines all properties
  * of the several slaves. If a property has different values across slaves,
- * the first one found is selected as value for the master record.
+ * the value is selected by the merge strategies configured for the property,
+ * unless a value has been picked by resolving the conflict for the property.
+ * For union properties, by default the multi-valued ones, the master keeps all distinct values.
+ *
+ * The URI and uuid of a master resource are taken from the slave resource ranked first
+ * by the master URI policy. Sub-resources are preferably taken from the slaves the
+ * root resource is taken from, so the master keeps the identifier and birthdate of the
+ * same organisation as its person. If the policy mints URIs, a new URI and uuid are
+ * minted, unless one of the slave resources already has a minted URI.
  *
  * @private
- * @param slaves {Array} Array of slave objects, each containing a person, identifier and birthdate.
- * @return {Object} Master recording consisting of a person, identifier and birthdate resource.
+ * @param model {Object} Resource model
+ * @param slaves {Array} Array of slave objects, each containing a graph and resources
+ * @param resolutions {Object} Values picked by resolving conflicts, indexed by property
+ *          formatted as '<resource>.<property>'
+ * @param policy {Object} Policy to choose the URIs of the master, as returned by createMasterUriPolicy
+ * @return {Object} Master record consisting of the URI of the root resource,
+ *           a master resource per resource name (the root and each sub-resource)
+ *           and the decisions taken for properties with conflicting values.
 */
-function constructMaster(slaves) {
-  function constructMasterForResource(resources, props) {
-    const slaves = resources.filter(r => r);
+function constructMaster(model, slaves, resolutions = {}, policy = createMasterUriPolicy()) {
+  const decisions = [];
+  let rootUri = null;
+
+  function constructMasterForResource(type, props) {
+    const resources = flatten(slaves.map(s => s.resources[type].map(resource => ({ graph: s.graph, resource, slave: s }))));
+    const definitions = getProperties(model, type);
     const master = {};
 
-    // for each property, walk over the slaves until we find a value. That value will become the master's value
+    let ranked = rankCandidates(resources, policy);
+    if (type != model.name) {
+      const ofRoot = ranked.filter(c => c.slave.uri == rootUri);
+      ranked = ofRoot.concat(ranked.filter(c => !ofRoot.includes(c)));
+    }
+
+    // the URI and uuid of the master must be taken from the same slave resource
+    const selected = policy.mint ? ranked.find(c => isMintedUri(c.resource.uri, type, policy)) : ranked[0];
+    if (selected) {
+      master.uri = selected.resource.uri;
+      if (selected.resource.uuid)
+        master.uuid = selected.resource.uuid;
+    } else if (policy.mint && resources.length) {
+      Object.assign(master, mintUri(type, policy));
+    }
+
     for (let prop of props) {
-      const slave = slaves.find(s => s[prop]);
-      if (slave)
-        master[prop] = slave[prop];
+      const candidates = flatten(resources.map(r => {
+        return (r.resource[prop] || []).map(value => ({ value, graph: r.graph, modified: r.resource.modified }));
+      }));
+
+      if (candidates.length) {
+        const key = `${type}.${prop}`;
+        let decision;
+        if (resolutions[key] !== undefined) {
+          const value = resolutions[key];
+          const rejected = candidates.filter(c => c.value != value).map(c => ({ value: c.value, graph: c.graph }));
+          decision = { value, strategy: 'resolution', rejected };
+        } else if (isUnionProperty(key, definitions[prop].multiValued)) {
+          decision = { value: [...new Set(candidates.map(c => c.value))].sort(), strategy: 'union', rejected: [] };
+        } else {
+          decision = mergeValues(key, candidates);
+        }
+
+        master[prop] = decision.value;
+        if (decision.rejected.length) {
+          decision.candidates = candidates.map(c => ({ value: c.value, graph: c.graph }));
+          decisions.push(Object.assign({ resource: type, property: prop }, decision));
+        }
+      }
     }
 
     if (Object.keys(master).length)
@@ -276,260 +1510,258 @@ function constructMaster(slaves) {
       return null;
   }
 
-  const person = constructMasterForResource(slaves.map(r => r.person), ['uri', 'uuid', 'familyName', 'name', 'firstName', 'gender']);
-  const identifier = constructMasterForResource(slaves.map(r => r.identifier), ['uri', 'uuid', 'notation']);
-  const birthdate = constructMasterForResource(slaves.map(r => r.birthdate), ['uri', 'uuid', 'date']);
-
-  if (person) {
-    person['identifier'] = identifier && identifier.uri;
-    person['birthdate'] = birthdate && birthdate.uri;
+  const root = constructMasterForResource(model.name, Object.keys(model.properties));
+  rootUri = root && root.uri;
+  const resources = { [model.name]: root };
+  for (let name of Object.keys(model.resources)) {
+    resources[name] = constructMasterForResource(name, Object.keys(model.resources[name].properties));
+    if (root)
+      root[name] = resources[name] && resources[name].uri;
   }
 
-  return { person, identifier, birthdate };
+  return { uri: root && root.uri, resources, decisions };
+}
+
+/**
+ * Plan the changes to replace all slaves with a copy of the master,
+ * without executing them.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param slaves {Array} Array of slave objects
+ * @param master {Object} Master record
+ * @param scope {Object} Scope of the graphs references to the slaves may be replaced in
+ * @return {Object} Plan containing the changes of each step of the reconciliation
+*/
+async function planReconciliation(model, slaves, master, scope) {
+  const plan = createPlan();
+  for (let slave of slaves) {
+    await planReplaceSlaveWithMaster(plan, model, slave, master, scope);
+  }
+  return plan;
 }
 
 /**
- * Replace a slave with a copy of the master.
+ * Plan the changes to replace a slave with a copy of the master.
  * A reference from the slave URI to the master record is kept using owl:sameAs.
  *
  * @private
- * @param graph {string} Graph the resources are stored in
- * @param uri {string} URI of the person
+ * @param plan {Object} Plan to add the changes to
+ * @param model {Object} Resource model
+ * @param slave {Object} Slave to replace
+ * @param master {Object} Master record
+ * @param scope {Object} Scope of the graphs references to the slave may be replaced in
 */
-async function replaceSlaveWithMaster(slave, master) {
+async function planReplaceSlaveWithMaster(plan, model, slave, master, scope) {
   const graph = slave.graph;
 
-  await deleteSlaveData(slave.person.uri, graph);
-  await insertMasterData(master, graph);
+  await planDeleteSlaveData(plan, model, slave.uri, graph);
+  await planInsertMasterData(plan, model, master, graph);
 
-  // One of the slaves has the same uri as the master person / identifier / birthdate
+  // One of the slaves has the same uri as the master resource
   // and doesn't need a replacement
-  if (slave.person && (master.person.uri != slave.person.uri)) {
-    await replaceSlaveUris(master.person.uri, slave.person.uri, graph, { referencedInOtherGraphs: true });
-    await insertSameAs(master.person.uri, slave.person.uri, graph);
+  if (master.uri != slave.uri) {
+    await planReplaceSlaveUris(plan, master.uri, slave.uri, graph, { referencedInOtherGraphs: true, scope });
+    await planInsertSameAs(plan, master.uri, slave.uri, graph);
   }
 
-  if (slave.identifier && (master.identifier.uri != slave.identifier.uri)) {
-    await replaceSlaveUris(master.identifier.uri, slave.identifier.uri, graph);
-    await insertSameAs(master.identifier.uri, slave.identifier.uri, graph);
+  for (let name of Object.keys(model.resources)) {
+    const masterResource = master.resources[name];
+    for (let resource of slave.resources[name].filter(r => masterResource.uri != r.uri)) {
+      await planReplaceSlaveUris(plan, masterResource.uri, resource.uri, graph);
+      await planInsertSameAs(plan, masterResource.uri, resource.uri, graph);
+    }
   }
+}
 
-  if (slave.birthdate && (master.birthdate.uri != slave.birthdate.uri)) {
-    await replaceSlaveUris(master.birthdate.uri, slave.birthdate.uri, graph);
-    await insertSameAs(master.birthdate.uri, slave.birthdate.uri, graph);
-  }
+/**
+ * Get the predicates of a resource that are deleted together with the slave:
+ * the uuid, the properties and the links to the sub-resources.
+ *
+ * @private
+ * @param definition {Object} Model or sub-resource definition
+ * @return {Array} Array of predicate URIs
+*/
+function getOwnedPredicates(definition) {
+  const predicates = [MU_UUID].concat(Object.keys(definition.properties).map(p => definition.properties[p].predicate));
+  if (definition.resources)
+    return predicates.concat(Object.keys(definition.resources).map(r => definition.resources[r].predicate));
+  else
+    return predicates;
 }
 
 /**
- * Delete the data of a slave, specified by its person URI, from a specific graph.
- * The person, identifier and birthdate are all deleted.
+ * Plan the deletion of the data of a slave, specified by its root resource URI,
+ * from a specific graph. The root resource and its sub-resources are all deleted.
  *
  * @private
+ * @param plan {Object} Plan to add the changes to
+ * @param model {Object} Resource model
+ * @param uri {string} URI of the root resource
  * @param graph {string} Graph the resources are stored in
- * @param uri {string} URI of the person
 */
-async function deleteSlaveData(uri, graph) {
-  await update(`
-PREFIX person: <http://www.w3.org/ns/person#>
-PREFIX adms: <http://www.w3.org/ns/adms#>
-PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
-PREFIX foaf: <http://xmlns.com/foaf/0.1/>
-PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
-
-DELETE {
-  GRAPH ${sparqlEscapeUri(graph)} {
-    ${sparqlEscapeUri(uri)} a person:Person ;
-        mu:uuid ?uuid ;
-        adms:identifier ?identifier ;
-        foaf:familyName ?familyName ;
-        foaf:name ?name ;
-        persoon:gebruikteVoornaam ?firstName ;
-        persoon:heeftGeboorte ?birthdate ;
-        persoon:geslacht ?gender .
-
-    ?birthdate a persoon:Geboorte ;
-        mu:uuid ?geboorteUuid ;
-        persoon:datum ?date .
-
-    ?identifier a adms:Identifier ;
-        mu:uuid ?identifierUuid ;
-        skos:notation ?notation .
-  }
-} WHERE {
-  GRAPH ${sparqlEscapeUri(graph)} {
-    ${sparqlEscapeUri(uri)} a person:Person ;
-      mu:uuid ?uuid ;
-      adms:identifier ?identifier .
-
-    OPTIONAL { ${sparqlEscapeUri(uri)} foaf:familyName ?familyName . }
-    OPTIONAL { ${sparqlEscapeUri(uri)} foaf:name ?name . }
-    OPTIONAL { ${sparqlEscapeUri(uri)} persoon:gebruikteVoornaam ?firstName . }
-
-    OPTIONAL {
-      ${sparqlEscapeUri(uri)} persoon:heeftGeboorte ?birthdate .
-      OPTIONAL { ?birthdate a persoon:Geboorte . }
-      OPTIONAL { ?birthdate mu:uuid ?geboorteUuid . }
-      OPTIONAL { ?birthdate persoon:datum ?date . }
-    }
+async function planDeleteSlaveData(plan, model, uri, graph) {
+  const rootQuads = await getCurrentQuads(plan, graph, uri);
 
-    OPTIONAL { ?identifier a adms:Identifier . }
-    OPTIONAL { ?identifier mu:uuid ?identifierUuid . }
-    OPTIONAL { ?identifier skos:notation ?notation . }
+  if (!(hasValue(rootQuads, RDF_TYPE, model.type) && hasValue(rootQuads, MU_UUID)))
+    return await addStep(plan, 'deleteSlaveData');
 
-    OPTIONAL { ${sparqlEscapeUri(uri)} persoon:geslacht ?gender . }
+  const deletes = selectQuads(rootQuads, model.type, getOwnedPredicates(model));
+
+  for (let name of Object.keys(model.resources)) {
+    const definition = model.resources[name];
+    const subjects = rootQuads.filter(q => q.predicate.value == definition.predicate).map(q => q.object.value);
+    for (let subject of subjects) {
+      const quads = await getCurrentQuads(plan, graph, subject);
+      deletes.push(...selectQuads(quads, definition.type, getOwnedPredicates(definition)));
+    }
   }
+
+  return await addStep(plan, 'deleteSlaveData', deletes);
 }
-`);
+
+/**
+ * Select the quads with one of the given predicates, or stating the given type.
+ *
+ * @private
+*/
+function selectQuads(quads, type, predicates) {
+  return quads.filter(q => {
+    return predicates.includes(q.predicate.value) || (q.predicate.value == RDF_TYPE && q.object.value == type);
+  });
 }
 
 /**
- * Insert the master data in a specific graph. The master data consists of
- * a person, identifier and birthdate resource.
+ * Plan the insertion of the master data in a specific graph. The master data consists of
+ * the root resource and its sub-resources.
  *
  * @private
+ * @param plan {Object} Plan to add the changes to
+ * @param model {Object} Resource model
  * @param master {Object} Data to insert
  * @param graph {string} Graph to insert the data in
 */
-async function insertMasterData(master, graph) {
-  const statements = [];
-
-  const personUri = sparqlEscapeUri(master.person.uri);
-  statements.push(`${personUri} a person:Person .`);
-  statements.push(`${personUri} mu:uuid ${sparqlEscapeString(master.person.uuid)} .`);
-  if (master.person.familyName) statements.push(`${personUri} foaf:familyName ${sparqlEscapeString(master.person.familyName)} .`);
-  if (master.person.name) statements.push(`${personUri} foaf:name ${sparqlEscapeString(master.person.name)} .`);
-  if (master.person.firstName) statements.push(`${personUri} persoon:gebruikteVoornaam ${sparqlEscapeString(master.person.firstName)} .`);
-  if (master.person.identifier) statements.push(`${personUri} adms:identifier ${sparqlEscapeUri(master.person.identifier)} .`);
-  if (master.person.birthdate) statements.push(`${personUri} persoon:heeftGeboorte ${sparqlEscapeUri(master.person.birthdate)} .`);
-  if (master.person.gender) statements.push(`${personUri} persoon:geslacht ${sparqlEscapeUri(master.person.gender)} .`);
-
-  if (master.identifier) {
-    const identifierUri = sparqlEscapeUri(master.identifier.uri);
-    statements.push(`${identifierUri} a adms:Identifier .`);
-    if (master.identifier.uuid) statements.push(`${identifierUri} mu:uuid ${sparqlEscapeString(master.identifier.uuid)} .`);
-    if (master.identifier.notation) statements.push(`${identifierUri} skos:notation ${sparqlEscapeString(master.identifier.notation)} .`);
-  }
-
-  if (master.birthdate) {
-    const birthdateUri = sparqlEscapeUri(master.birthdate.uri);
-    statements.push(`${birthdateUri} a persoon:Geboorte .`);
-    if (master.birthdate.uuid) statements.push(`${birthdateUri} mu:uuid ${sparqlEscapeString(master.birthdate.uuid)} .`);
-    if (master.birthdate.date) statements.push(`${birthdateUri} persoon:datum ${sparqlEscapeString(master.birthdate.date)}^^xsd:date .`);
-  }
-
-  return await update(`
-PREFIX person: <http://www.w3.org/ns/person#>
-PREFIX adms: <http://www.w3.org/ns/adms#>
-PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
-PREFIX foaf: <http://xmlns.com/foaf/0.1/>
-PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+async function planInsertMasterData(plan, model, master, graph) {
+  return await addStep(plan, 'insertMasterData', [], getMasterQuads(model, master, graph));
+}
 
-    INSERT DATA {
-      GRAPH ${sparqlEscapeUri(graph)} {
-        ${statements.join('\n')}
-      }
+/**
+ * Get the quads representing the master data in a specific graph.
+ * Property values are typed according to the datatype configured in the model.
+ *
+ * @private
+ * @param model {Object} Resource model
+ * @param master {Object} Master data consisting of the root resource and its sub-resources
+ * @param graph {string} Graph the data belongs to
+ * @return {Array} Array of quads
+*/
+function getMasterQuads(model, master, graph) {
+  const quads = [];
+  const add = (subject, predicate, object) => quads.push({ graph: uri(graph), subject: uri(subject), predicate: uri(predicate), object });
+
+  // properties configured as union property have multiple values
+  const values = (value) => value === undefined || value === null ? [] : [].concat(value);
+  const toTerm = (value, datatype) => datatype == 'uri' ? uri(value) : literal(value, datatype);
+
+  const addResource = (resource, type, properties) => {
+    add(resource.uri, RDF_TYPE, uri(type));
+    if (resource.uuid) add(resource.uri, MU_UUID, literal(resource.uuid));
+    for (let prop of Object.keys(properties)) {
+      const definition = properties[prop];
+      values(resource[prop]).forEach(v => add(resource.uri, definition.predicate, toTerm(v, definition.datatype)));
     }
-  `);
+  };
+
+  const root = master.resources[model.name];
+  addResource(root, model.type, model.properties);
+
+  for (let name of Object.keys(model.resources)) {
+    const definition = model.resources[name];
+    const resource = master.resources[name];
+    if (resource) {
+      add(root.uri, definition.predicate, uri(resource.uri));
+      addResource(resource, definition.type, definition.properties);
+    }
+  }
+
+  return quads;
 }
 
 /**
- * Replace all occurrences of a slave URI with the master URI in a given graph
+ * Plan the replacement of all occurrences of a slave URI with the master URI in a given graph
  *
  * @private
+ * @param plan {Object} Plan to add the changes to
  * @param masterUri {string} URI of the master to insert
  * @param slaveUri {string} URI of the slave to delete
- * @param graph {string} Graph to insert in and delete from. If none defined, select from all graphs.
-   @param options {Object} Options for queries
+ * @param graph {string} Graph to insert in and delete from
+ * @param options {Object} Options for the replacement
  * @param options.referencedInOtherGraphs {boolean} Whether the slaveUri is expected to be referenced
  *           in other graphs, for example the public graph.
+ * @param options.scope {Object} Scope of the graphs references may be replaced in
 */
-async function replaceSlaveUris(masterUri, slaveUri, graph, options = {}) {
-  await update(`
-    DELETE {
-      GRAPH ${sparqlEscapeUri(graph)} {
-        ${sparqlEscapeUri(slaveUri)} ?p ?o .
-      }
-    }
-    INSERT {
-      GRAPH ${sparqlEscapeUri(graph)} {
-        ${sparqlEscapeUri(masterUri)} ?p ?o .
-      }
-    }
-    WHERE {
-      GRAPH ${sparqlEscapeUri(graph)} {
-        ${sparqlEscapeUri(slaveUri)} ?p ?o .
-      }
-    }
-  `);
+async function planReplaceSlaveUris(plan, masterUri, slaveUri, graph, options = {}) {
+  const outgoing = await getCurrentQuads(plan, graph, slaveUri);
+  await addStep(plan, 'replaceSlaveUris', outgoing, outgoing.map(q => Object.assign({}, q, { subject: uri(masterUri) })));
 
-   await update(`
-    DELETE {
-      GRAPH ${options.referencedInOtherGraphs ? "?g" : sparqlEscapeUri(graph)} {
-        ?s ?p ${sparqlEscapeUri(slaveUri)} .
-      }
-    }
-    INSERT {
-      GRAPH ${options.referencedInOtherGraphs ? "?g" : sparqlEscapeUri(graph)} {
-        ?s ?p ${sparqlEscapeUri(masterUri)} .
-      }
-    }
-    WHERE {
-      GRAPH ${options.referencedInOtherGraphs ? "?g" : sparqlEscapeUri(graph)} {
-        ?s ?p ${sparqlEscapeUri(slaveUri)} .
-      }
-    }
-  `);
+  const incoming = (await getCurrentIncomingQuads(plan, options.referencedInOtherGraphs ? null : graph, slaveUri))
+        .filter(q => isInScope(options.scope, q.graph.value));
+  await addStep(plan, 'replaceSlaveUris', incoming, incoming.map(q => Object.assign({}, q, { object: uri(masterUri) })));
 }
 
 /**
- * Insert a reference from the slave URI to the master URI
+ * Plan the insertion of a reference from the slave URI to the master URI
  * in a given graph using owl:sameAs.
  *
  * @private
+ * @param plan {Object} Plan to add the changes to
  * @param masterUri {string} URI of the master to reference
  * @param slaveUri {string} URI of the slave to be referenced
  * @param graph {string} Graph to insert the data in
 */
-async function insertSameAs(masterUri, slaveUri, graph) {
-  await update(`
-    PREFIX owl: <http://www.w3.org/2002/07/owl#>
-
-    INSERT DATA {
-      GRAPH ${sparqlEscapeUri(graph)} {
-        ${sparqlEscapeUri(slaveUri)} owl:sameAs ${sparqlEscapeUri(masterUri)} .
-      }
-    }
-  `);
+async function planInsertSameAs(plan, masterUri, slaveUri, graph) {
+  const quad = { graph: uri(graph), subject: uri(slaveUri), predicate: uri(OWL_SAME_AS), object: uri(masterUri) };
+  return await addStep(plan, 'insertSameAs', [], [quad]);
 }
 
-
 /**
- * Get the rrn associated to an identificator.
+ * Get the normalized keys of a root resource, following the key path of the model.
+ * No keys are returned if the resource is not of the model's type.
  *
- * @private
- * @return {String} Rrn
+ * @public
+ * @param modelName {string} Name of the resource model
+ * @param resourceUri {string} URI of the root resource
+ * @return {Array} Array of normalized keys
 */
-async function getRrn(identificatorUri) {
+async function getKeys(modelName, resourceUri) {
+  const model = getModel(modelName);
   const result = await query(`
-    PREFIX person: <http://www.w3.org/ns/person#>
-    PREFIX adms: <http://www.w3.org/ns/adms#>
-    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-    PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
-
-    SELECT DISTINCT ?rrn WHERE {
+    SELECT DISTINCT ?notation WHERE {
       GRAPH ?g {
-        ${sparqlEscapeUri(identificatorUri)} skos:notation ?rrn .
+        ${sparqlEscapeUri(resourceUri)} a ${sparqlEscapeUri(model.type)} .
+        ${keyPattern(model, sparqlEscapeUri(resourceUri), '?identifier', '?notation')}
       }
     }
   `);
 
-  return result.results.bindings[0]['rrn'].value;
+  const keys = result.results.bindings.map(b => normalizeKey(model, b['notation'].value).key);
+  return [...new Set(keys)];
 }
 
 export {
-  reconciliatePerson,
+  reconciliateKey,
+  reconciliateResources,
+  splitResource,
+  revertMerge,
+  resolveKeyConflict,
+  checkIntegrity,
   getDuplicateIdentificators,
-  getRrn
+  discoverDuplicateKeys,
+  getDuplicates,
+  countDuplicates,
+  updateDuplicateBacklog,
+  countDuplicatesPerGraph,
+  getConflictingProperties,
+  getIdentifierIssues,
+  getKeys
 }
@@ -0,0 +1,112 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { findCandidates, getCandidatePersons, isSplitPair } from '../lib/candidates';
+import { createSplit } from '../lib/splits';
+import { getProposal } from '../lib/proposals';
+import { reconciliateResources } from '../support';
+import { GRAPH_A, GRAPH_B, GRAPH_DENIED, PERSON_A, PERSON_B, useFixture, insertBirthdate, selectObjects } from './helpers';
+
+const PERSON_D = 'http://data.lblod.info/id/personen/d1';
+const PERSON_E = 'http://data.lblod.info/id/personen/e1';
+const SAME_AS = 'http://www.w3.org/2002/07/owl#sameAs';
+
+/**
+ * Add a person without identifier named Jan Peeters, as a1 and b1 in the fixture.
+*/
+async function insertPerson(graph, person, birthdate) {
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+
+INSERT DATA {
+  GRAPH <${graph}> {
+    <${person}> a <http://www.w3.org/ns/person#Person> ;
+      mu:uuid "${person.split('/').pop()}" ;
+      foaf:familyName "Peeters" ;
+      persoon:gebruikteVoornaam "Jan" .
+  }
+}
+`);
+  await insertBirthdate(graph, person, birthdate);
+}
+
+function pairs(candidates) {
+  return candidates.map(c => c.persons.map(p => p.uri));
+}
+
+describe('candidates', function() {
+  beforeEach(async function() {
+    useFixture();
+    await insertBirthdate(GRAPH_A, PERSON_A, '1985-03-07');
+    await insertBirthdate(GRAPH_B, PERSON_B, '1985-03-07');
+    await insertPerson(GRAPH_A, PERSON_D, '1985-03-07');
+  });
+
+  describe('findCandidates', function() {
+    it('scores the persons sharing a birth date, or a family name and birth year, highest score first', async function() {
+      await insertPerson(GRAPH_B, PERSON_E, '1985-07-03');
+      const { candidates, count } = await findCandidates();
+      // a1 and b1 are left out as a pair, since both have a valid RRN
+      assert.deepStrictEqual(pairs(candidates), [
+        [PERSON_A, PERSON_D],
+        [PERSON_B, PERSON_D],
+        [PERSON_A, PERSON_E],
+        [PERSON_B, PERSON_E],
+        [PERSON_D, PERSON_E]
+      ]);
+      assert.strictEqual(count, 5);
+      assert.strictEqual(candidates[0].score, 0.9);
+      assert.strictEqual(candidates[4].scores.birthdate, 0.75);
+    });
+
+    it('returns the requested page of candidates', async function() {
+      await insertPerson(GRAPH_B, PERSON_E, '1985-07-03');
+      const { candidates, count } = await findCandidates({ page: 1, size: 2 });
+      assert.strictEqual(count, 5);
+      assert.deepStrictEqual(pairs(candidates), [[PERSON_A, PERSON_E], [PERSON_B, PERSON_E]]);
+    });
+
+    it('ignores the persons in graphs out of scope', async function() {
+      await insertPerson(GRAPH_DENIED, PERSON_E, '1985-03-07');
+      const { candidates } = await findCandidates();
+      assert.ok(candidates.every(c => c.persons.every(p => p.uri != PERSON_E)));
+      assert.deepStrictEqual(await getCandidatePersons([PERSON_E]), []);
+    });
+
+    it('leaves out the persons that have been split from each other', async function() {
+      await createSplit(null, PERSON_B, [PERSON_D], { steps: [] });
+      assert.strictEqual(await isSplitPair([PERSON_D, PERSON_B]), true);
+      assert.strictEqual(await isSplitPair([PERSON_D, PERSON_A]), false);
+
+      const { candidates } = await findCandidates();
+      assert.deepStrictEqual(pairs(candidates), [[PERSON_A, PERSON_D]]);
+    });
+  });
+
+  describe('confirming a candidate', function() {
+    const riskRules = [{ type: 'max-graphs', max: 1 }];
+
+    it('proposes a risky merge of persons without RRN instead of executing it', async function() {
+      await insertPerson(GRAPH_B, PERSON_E, '1985-03-07');
+      const result = await reconciliateResources([PERSON_D, PERSON_E], { riskRules });
+      assert.strictEqual(result.status, 'proposed');
+      assert.strictEqual(result.rrn, null);
+
+      const proposal = await getProposal(result.proposal);
+      assert.strictEqual(proposal.status, 'pending');
+      assert.strictEqual(proposal.rrn, null);
+      assert.deepStrictEqual(proposal.slaves.map(s => s.uri).sort(), [PERSON_D, PERSON_E]);
+      assert.deepStrictEqual(await selectObjects(GRAPH_B, PERSON_E, SAME_AS), []);
+
+      const approved = await reconciliateResources([PERSON_D, PERSON_E], { riskRules, approved: true });
+      assert.strictEqual(approved.status, 'reconciliated');
+    });
+
+    it('executes a merge that matches no risk rule', async function() {
+      const result = await reconciliateResources([PERSON_D, PERSON_B], { riskRules: [{ type: 'max-graphs', max: 2 }] });
+      assert.strictEqual(result.status, 'reconciliated');
+      assert.ok(result.reconciliation);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { main } from '../lib/cli';
+import { createLocalStore } from '../lib/local-store';
+import { FIXTURE, GRAPH_A, GRAPH_B } from './helpers';
+
+describe('cli', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-dump-'));
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes the reconciliated dataset and a change report', async function() {
+    const output = path.join(dir, 'out.trig');
+    const report = path.join(dir, 'report.json');
+    assert.strictEqual(await main([FIXTURE, '--output', output, '--report', report]), 0);
+
+    const content = JSON.parse(fs.readFileSync(report, 'utf8'));
+    assert.strictEqual(content.total, 1);
+    assert.strictEqual(content.failed, 0);
+    assert.strictEqual(content.reconciliations[0].status, 'reconciliated');
+
+    const store = createLocalStore(output);
+    const graphs = new Set(store.match().map(q => q.graph.value));
+    assert.deepStrictEqual([...graphs].sort(), [GRAPH_A, GRAPH_B]);
+  });
+
+  it('only writes the report in test mode', async function() {
+    const output = path.join(dir, 'out.nq');
+    const report = path.join(dir, 'report.json');
+    assert.strictEqual(await main([FIXTURE, '--output', output, '--report', report, '--dry-run']), 0);
+    assert.ok(!fs.existsSync(output));
+    assert.strictEqual(JSON.parse(fs.readFileSync(report, 'utf8'))['dry-run'], true);
+  });
+
+  it('rejects invalid arguments', async function() {
+    assert.strictEqual(await main([]), 2);
+    assert.strictEqual(await main([FIXTURE, '--unknown']), 2);
+  });
+});
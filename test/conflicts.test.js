@@ -0,0 +1,99 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { reconciliateKey, resolveKeyConflict } from '../support';
+import { getConflicts, getConflict } from '../lib/conflicts';
+import { getReconciliations } from '../lib/reconciliations';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, useFixture, insertBirthdate, selectObjects } from './helpers';
+
+const BIRTHDATE = 'http://data.vlaanderen.be/ns/persoon#datum';
+const FAMILY_NAME = 'http://xmlns.com/foaf/0.1/familyName';
+
+async function getBirthdateConflict() {
+  const { conflicts } = await getConflicts({ rrn: RRN, property: 'birthdate.date' });
+  return conflicts[0];
+}
+
+describe('conflicts', function() {
+  let store;
+
+  beforeEach(async function() {
+    store = useFixture();
+    await insertBirthdate(GRAPH_A, PERSON_A, '1985-07-30');
+    await insertBirthdate(GRAPH_B, PERSON_B, '1985-07-31');
+  });
+
+  it('registers the conflicting values of the slaves', async function() {
+    await reconciliateKey(RRN, { model: 'person' });
+    const conflict = await getBirthdateConflict();
+    assert.strictEqual(conflict.status, 'open');
+    assert.deepStrictEqual(conflict.candidates, [
+      { value: '1985-07-30', graph: GRAPH_A },
+      { value: '1985-07-31', graph: GRAPH_B }
+    ]);
+    assert.ok(['1985-07-30', '1985-07-31'].includes(conflict.chosenValue));
+  });
+
+  it('registers differing family names as conflict and keeps a single one', async function() {
+    await update(`
+DELETE DATA {
+  GRAPH <${GRAPH_A}> {
+    <${PERSON_A}> <${FAMILY_NAME}> "Peeters" .
+  }
+};
+INSERT DATA {
+  GRAPH <${GRAPH_A}> {
+    <${PERSON_A}> <${FAMILY_NAME}> "Peters" .
+  }
+}
+`);
+    await reconciliateKey(RRN, { model: 'person' });
+    const { conflicts } = await getConflicts({ rrn: RRN, property: 'person.familyName' });
+    assert.strictEqual(conflicts.length, 1);
+    assert.deepStrictEqual(conflicts[0].candidates, [
+      { value: 'Peeters', graph: GRAPH_B },
+      { value: 'Peters', graph: GRAPH_A }
+    ]);
+    for (let graph of [GRAPH_A, GRAPH_B])
+      assert.deepStrictEqual(await selectObjects(graph, PERSON_B, FAMILY_NAME), [conflicts[0].chosenValue]);
+  });
+
+  describe('resolveKeyConflict', function() {
+    it('applies the resolved value to the master in every graph', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const conflict = await getBirthdateConflict();
+      const value = conflict.candidates.map(c => c.value).find(v => v != conflict.chosenValue);
+      for (let graph of [GRAPH_A, GRAPH_B])
+        assert.deepStrictEqual(await selectObjects(graph, `${PERSON_B}/geboorte`, BIRTHDATE), [conflict.chosenValue]);
+
+      const result = await resolveKeyConflict(conflict, value);
+      assert.strictEqual(result.status, 'reconciliated');
+      for (let graph of [GRAPH_A, GRAPH_B])
+        assert.deepStrictEqual(await selectObjects(graph, `${PERSON_B}/geboorte`, BIRTHDATE), [value]);
+
+      const resolved = await getConflict(conflict.id);
+      assert.strictEqual(resolved.status, 'resolved');
+      assert.strictEqual(resolved.resolvedValue, value);
+      assert.deepStrictEqual(resolved.candidates, conflict.candidates);
+      const { count } = await getReconciliations({ rrn: RRN, status: 'applied' });
+      assert.strictEqual(count, 2);
+    });
+
+    it('does not change the data if it contains the resolved value already', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const conflict = await getBirthdateConflict();
+      const result = await resolveKeyConflict(conflict, conflict.chosenValue);
+      assert.strictEqual(result.status, 'skipped');
+      const { count } = await getReconciliations({ rrn: RRN });
+      assert.strictEqual(count, 1);
+    });
+
+    it('rejects a value that is not one of the candidates', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const conflict = await getBirthdateConflict();
+      const size = store.size;
+      await assert.rejects(resolveKeyConflict(conflict, '2000-01-01'), /not one of the candidate values/);
+      assert.strictEqual((await getConflict(conflict.id)).status, 'open');
+      assert.strictEqual(store.size, size);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'assert';
+import { query } from '../lib/sparql';
+import { enqueue, processQueue, getQueueDepth } from '../lib/delta-queue';
+import { isOwnWrite } from '../lib/recent-writes';
+import { getDuplicateIdentificators } from '../support';
+import { RRN, PERSON_A, PERSON_B, SAME_AS, useFixture, failUpdates } from './helpers';
+
+/**
+ * Get the status, attempts and last error of the queue items.
+*/
+async function getItems() {
+  const result = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?rrn ?status ?attempts ?error WHERE {
+  GRAPH ?g {
+    ?item a ext:DeltaQueueItem ;
+      ext:rrn ?rrn ;
+      ext:status ?status ;
+      ext:attempts ?attempts .
+    OPTIONAL { ?item ext:lastError ?error . }
+  }
+}
+`);
+  return result.results.bindings.map(b => ({
+    rrn: b['rrn'].value,
+    status: b['status'].value,
+    attempts: parseInt(b['attempts'].value),
+    error: b['error'] ? b['error'].value : null
+  }));
+}
+
+describe('delta queue', function() {
+  let store;
+
+  beforeEach(function() {
+    store = useFixture();
+  });
+
+  it('queues a key once, however many deltas arrive for it', async function() {
+    await enqueue('person', RRN);
+    await enqueue('person', RRN);
+    assert.strictEqual(await getQueueDepth(), 1);
+    assert.deepStrictEqual(await getItems(), [{ rrn: RRN, status: 'pending', attempts: 0, error: null }]);
+  });
+
+  it('reconciliates the queued keys and removes them from the queue', async function() {
+    await enqueue('person', RRN);
+    await processQueue();
+    assert.strictEqual(await getQueueDepth(), 0);
+    assert.deepStrictEqual(await getDuplicateIdentificators('person'), []);
+  });
+
+  it('recognizes the deltas caused by its own reconciliation', async function() {
+    await enqueue('person', RRN);
+    await processQueue();
+    const triple = (subject, object) => ({ subject: { type: 'uri', value: subject }, predicate: { type: 'uri', value: SAME_AS }, object: { type: 'uri', value: object } });
+    assert.strictEqual(isOwnWrite(triple(PERSON_A, PERSON_B)), true);
+    assert.strictEqual(isOwnWrite(triple(PERSON_B, PERSON_A)), false);
+  });
+
+  it('keeps a failed key in the queue to retry it later', async function() {
+    failUpdates(store, (u) => u.includes('a ext:Reconciliation ;'));
+    await enqueue('person', RRN);
+    await processQueue();
+    assert.deepStrictEqual(await getItems(), [{ rrn: RRN, status: 'pending', attempts: 1, error: 'Simulated triplestore failure' }]);
+
+    // the retry is not due yet
+    await processQueue();
+    assert.strictEqual((await getItems())[0].attempts, 1);
+  });
+});
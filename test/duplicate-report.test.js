@@ -0,0 +1,93 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { createDuplicateReport, toCsv } from '../lib/duplicate-report';
+import { hashKey, maskKey } from '../lib/masking';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, PERSON_C, useFixture, insertBirthdate } from './helpers';
+
+const OTHER_RRN = '92021412345';
+const PERSON_C2 = 'http://data.lblod.info/id/personen/c2';
+
+describe('duplicate report', function() {
+  beforeEach(async function() {
+    useFixture();
+    // a second duplicate key, shared by c1 in graph a and c2 in graph b
+    await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+INSERT DATA {
+  GRAPH <${GRAPH_B}> {
+    <${PERSON_C2}> a <http://www.w3.org/ns/person#Person> ;
+      mu:uuid "c2" ;
+      adms:identifier <http://data.lblod.info/id/identificatoren/c2> .
+    <http://data.lblod.info/id/identificatoren/c2> a adms:Identifier ;
+      mu:uuid "ic2" ;
+      skos:notation "${OTHER_RRN}" .
+  }
+}
+`);
+    await insertBirthdate(GRAPH_A, PERSON_A, '1985-07-30');
+    await insertBirthdate(GRAPH_B, PERSON_B, '1985-07-31');
+  });
+
+  it('describes the duplicates of the requested page', async function() {
+    const first = await createDuplicateReport('person', { page: 0, size: 1 });
+    assert.strictEqual(first.count, 2);
+    assert.strictEqual(first.entries.length, 1);
+
+    const entry = first.entries[0];
+    assert.strictEqual(entry.hash, hashKey(RRN));
+    assert.strictEqual(entry.rrn, maskKey(RRN));
+    assert.deepStrictEqual(entry.resources, [{ uri: PERSON_A, graphs: [GRAPH_A] }, { uri: PERSON_B, graphs: [GRAPH_B] }]);
+    assert.deepStrictEqual(entry.conflictingProperties, ['birthdate.date']);
+    assert.strictEqual(entry.inScope, true);
+
+    const second = await createDuplicateReport('person', { page: 1, size: 1 });
+    assert.deepStrictEqual(second.entries.map(e => e.hash), [hashKey(OTHER_RRN)]);
+    assert.deepStrictEqual(second.entries[0].resources.map(r => r.uri), [PERSON_C, PERSON_C2]);
+    assert.strictEqual(second.entries[0].conflicting, false);
+
+    const last = await createDuplicateReport('person', { page: 2, size: 1 });
+    assert.deepStrictEqual(last.entries, []);
+  });
+
+  it('counts the duplicates in scope', async function() {
+    const report = await createDuplicateReport('person', { page: 0, size: 10, graphs: [GRAPH_A] });
+    assert.strictEqual(report.count, 2);
+    assert.strictEqual(report.inScopeCount, 0);
+    assert.ok(report.entries.every(e => !e.inScope));
+    assert.deepStrictEqual(report.entries[0].outOfScopeGraphs, [GRAPH_B]);
+  });
+
+  it('counts the duplicates per graph', async function() {
+    const report = await createDuplicateReport('person', { page: 0, size: 10 });
+    assert.deepStrictEqual(report.totals.graphs.map(t => [t.graph, t.resources, t.duplicateResources, t.duplicates]), [
+      [GRAPH_A, 2, 2, 2],
+      [GRAPH_B, 2, 2, 2]
+    ]);
+    assert.deepStrictEqual(report.totals.missing, { identifier: 0, birthdate: 2 });
+  });
+
+  it('describes all duplicates in an export', async function() {
+    const csv = toCsv(await createDuplicateReport('person'));
+    const lines = csv.trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.ok(lines[1].startsWith(hashKey(RRN)));
+    assert.ok(lines[2].startsWith(hashKey(OTHER_RRN)));
+  });
+
+  it('reports no duplicates if all keys are unique', async function() {
+    useFixture();
+    await update(`
+DELETE WHERE {
+  GRAPH <${GRAPH_A}> {
+    <http://data.lblod.info/id/identificatoren/a1> ?p ?o .
+  }
+}
+`);
+    const report = await createDuplicateReport('person', { page: 0, size: 10 });
+    assert.strictEqual(report.count, 0);
+    assert.deepStrictEqual(report.entries, []);
+  });
+});
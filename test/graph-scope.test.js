@@ -0,0 +1,137 @@
+import assert from 'assert';
+import { query, update } from '../lib/sparql';
+import { RECONCILIATION_GRAPH, CONFLICTS_GRAPH } from '../config';
+import { createScope, isInScope, isAllowedGraph, scopeFilter } from '../lib/graph-scope';
+import { reportIssues } from '../lib/issues';
+import { reconciliateKey, getDuplicateIdentificators } from '../support';
+import { RRN, GRAPH_A, GRAPH_B, GRAPH_DENIED, PERSON_A, PERSON_B, SAME_AS, useFixture, insertBirthdate, selectObjects, selectTriples } from './helpers';
+
+const OTHER_RRN = '92021412345';
+const PERSON_D = 'http://data.lblod.info/id/personen/d1';
+const PERSON_E = 'http://data.lblod.info/id/personen/e1';
+const PERSON_LOWEST = 'http://data.lblod.info/id/personen/0';
+
+/**
+ * Add a person with an identifier to a graph.
+*/
+async function insertPerson(graph, person, rrn) {
+  const id = person.split('/').pop();
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+INSERT DATA {
+  GRAPH <${graph}> {
+    <${person}> a <http://www.w3.org/ns/person#Person> ;
+      mu:uuid "${id}" ;
+      adms:identifier <http://data.lblod.info/id/identificatoren/${id}> .
+    <http://data.lblod.info/id/identificatoren/${id}> a adms:Identifier ;
+      mu:uuid "i${id}" ;
+      skos:notation "${rrn}" .
+  }
+}
+`);
+}
+
+/**
+ * Get the graphs containing data that are kept by the filter of a scope, sorted.
+*/
+async function selectGraphs(scope) {
+  const result = await query(`SELECT DISTINCT ?g WHERE { GRAPH ?g { ?s ?p ?o . } ${scopeFilter(scope, '?g')} }`);
+  return result.results.bindings.map(b => b['g'].value).sort();
+}
+
+/**
+ * Get all triples of some graphs.
+*/
+async function selectGraphTriples(graphs) {
+  const result = await query(`SELECT ?g ?s ?p ?o WHERE { GRAPH ?g { ?s ?p ?o . } VALUES ?g { ${graphs.map(g => `<${g}>`).join(' ')} } }`);
+  return result.results.bindings.map(b => ({ g: b['g'].value, s: b['s'].value, p: b['p'].value, o: b['o'].value }));
+}
+
+describe('graph scope', function() {
+  beforeEach(function() {
+    useFixture();
+  });
+
+  describe('isInScope', function() {
+    it('keeps the allowed graphs selected for the run', function() {
+      assert.strictEqual(isAllowedGraph(GRAPH_A), true);
+      assert.strictEqual(isInScope(createScope(), GRAPH_A), true);
+      assert.strictEqual(isInScope(createScope([GRAPH_A]), GRAPH_A), true);
+      assert.strictEqual(isInScope(createScope([GRAPH_A]), GRAPH_B), false);
+    });
+
+    it('excludes the denied graphs, even if selected for the run', function() {
+      assert.strictEqual(isAllowedGraph(GRAPH_DENIED), false);
+      assert.strictEqual(isInScope(createScope([GRAPH_DENIED]), GRAPH_DENIED), false);
+    });
+
+    it('excludes the graphs of the service', function() {
+      for (let graph of [RECONCILIATION_GRAPH, CONFLICTS_GRAPH]) {
+        assert.strictEqual(isAllowedGraph(graph), false);
+        assert.strictEqual(isInScope(createScope([graph]), graph), false);
+      }
+    });
+  });
+
+  describe('scopeFilter', function() {
+    it('keeps the graphs in scope in a query', async function() {
+      await insertPerson(GRAPH_DENIED, PERSON_D, OTHER_RRN);
+      assert.deepStrictEqual(await selectGraphs(createScope()), [GRAPH_A, GRAPH_B]);
+      assert.deepStrictEqual(await selectGraphs(createScope([GRAPH_B, GRAPH_DENIED])), [GRAPH_B]);
+    });
+  });
+
+  describe('reconciliating', function() {
+    it('does not read or change the resources in a denied graph', async function() {
+      await insertPerson(GRAPH_DENIED, PERSON_D, RRN);
+      const triples = await selectTriples(GRAPH_DENIED, PERSON_D);
+
+      const result = await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+      assert.deepStrictEqual(Object.keys(result.report.slaves).sort(), [GRAPH_A, GRAPH_B]);
+
+      await reconciliateKey(RRN, { model: 'person' });
+      assert.deepStrictEqual(await selectObjects(GRAPH_A, PERSON_A, SAME_AS), [PERSON_B]);
+      assert.deepStrictEqual(await selectTriples(GRAPH_DENIED, PERSON_D), triples);
+      assert.deepStrictEqual(await selectObjects(GRAPH_DENIED, PERSON_D, SAME_AS), []);
+    });
+
+    it('does not change the records of the service referring to the slaves', async function() {
+      await insertBirthdate(GRAPH_A, PERSON_A, '1985-07-30');
+      await insertBirthdate(GRAPH_B, PERSON_B, '1985-07-31');
+      await reportIssues([{ type: 'multiple-values', graph: GRAPH_A, person: PERSON_A, subject: PERSON_A, property: 'person.familyName', values: ['Peeters', 'Peters'] }]);
+      const issue = await selectGraphTriples([RECONCILIATION_GRAPH]);
+      const result = await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+      assert.deepStrictEqual(Object.keys(result.report.changes).sort(), [GRAPH_A, GRAPH_B]);
+      await reconciliateKey(RRN, { model: 'person' });
+
+      // a person with a lower URI, becoming the master of b1 in a second reconciliation
+      await insertPerson(GRAPH_A, PERSON_LOWEST, RRN);
+      const records = issue.concat(await selectGraphTriples([RECONCILIATION_GRAPH, CONFLICTS_GRAPH]));
+      assert.ok(records.some(t => t.o == PERSON_B));
+      await reconciliateKey(RRN, { model: 'person', masterUri: { policy: 'lowest' } });
+      assert.deepStrictEqual(await selectObjects(GRAPH_B, PERSON_B, SAME_AS), [PERSON_LOWEST]);
+
+      const after = await selectGraphTriples([RECONCILIATION_GRAPH, CONFLICTS_GRAPH]);
+      for (let record of records)
+        assert.ok(after.some(t => t.g == record.g && t.s == record.s && t.p == record.p && t.o == record.o), `${record.s} ${record.p} ${record.o} changed`);
+    });
+
+    it('skips a key without duplicates in the selected graphs', async function() {
+      const result = await reconciliateKey(RRN, { model: 'person', graphs: [GRAPH_A] });
+      assert.strictEqual(result.status, 'skipped');
+      assert.deepStrictEqual(await selectObjects(GRAPH_A, PERSON_A, SAME_AS), []);
+    });
+  });
+
+  describe('getDuplicateIdentificators', function() {
+    it('ignores the duplicates in a denied graph', async function() {
+      await insertPerson(GRAPH_DENIED, PERSON_D, OTHER_RRN);
+      await insertPerson(GRAPH_DENIED, PERSON_E, OTHER_RRN);
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+      assert.deepStrictEqual(await getDuplicateIdentificators('person', [GRAPH_B]), []);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import path from 'path';
+import { query, update, useBackend } from '../lib/sparql';
+import { createLocalStore, toBackend } from '../lib/local-store';
+
+/**
+ * Shared fixture and helpers of the tests.
+ *
+ * The fixture contains 2 persons sharing RRN 85073033121: a1 in graph a and b1 in graph b,
+ * each referenced by a mandatary in its own graph. b1 is the oldest, hence the master by default.
+ * Person c1 in graph a has a unique RRN. Graph GRAPH_DENIED is excluded by the graph scope (see setup.js).
+*/
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'duplicates.nq');
+const RRN = '85073033121';
+const GRAPH_A = 'http://mu.semte.ch/graphs/organizations/a';
+const GRAPH_B = 'http://mu.semte.ch/graphs/organizations/b';
+const GRAPH_DENIED = 'http://mu.semte.ch/graphs/organizations/denied';
+const PERSON_A = 'http://data.lblod.info/id/personen/a1';
+const PERSON_B = 'http://data.lblod.info/id/personen/b1';
+const PERSON_C = 'http://data.lblod.info/id/personen/c1';
+const IDENTIFIER_A = 'http://data.lblod.info/id/identificatoren/a1';
+const IDENTIFIER_B = 'http://data.lblod.info/id/identificatoren/b1';
+const SAME_AS = 'http://www.w3.org/2002/07/owl#sameAs';
+const ALIAS_OF = 'http://data.vlaanderen.be/ns/mandaat#isBestuurlijkeAliasVan';
+
+/**
+ * Execute all further queries and updates on a new in-memory store loaded with a fixture.
+ *
+ * @param file {string} Path of the fixture to load (default: the duplicates fixture)
+ * @return {Object} The store
+*/
+function useFixture(file = FIXTURE) {
+  const store = createLocalStore(file);
+  useBackend(toBackend(store));
+  return store;
+}
+
+/**
+ * Execute all further queries and updates on a store, failing some of the updates,
+ * e.g. to simulate a triplestore failing while reconciliating one of the keys.
+ *
+ * @param store {Object} Store as returned by useFixture
+ * @param isFailing {function} Function taking an update and returning whether it fails
+*/
+function failUpdates(store, isFailing) {
+  const backend = toBackend(store);
+  useBackend({
+    query: backend.query,
+    async update(updateString) {
+      if (isFailing(updateString))
+        throw new Error('Simulated triplestore failure');
+      return await backend.update(updateString);
+    }
+  });
+}
+
+/**
+ * Add a birthdate to a person in a graph. The birthdate resource is named after the person.
+*/
+async function insertBirthdate(graph, person, date) {
+  await update(`
+PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+
+INSERT DATA {
+  GRAPH <${graph}> {
+    <${person}> persoon:heeftGeboorte <${person}/geboorte> .
+    <${person}/geboorte> a persoon:Geboorte ;
+      persoon:datum "${date}"^^<http://www.w3.org/2001/XMLSchema#date> .
+  }
+}
+`);
+}
+
+/**
+ * Get the objects of a subject and predicate in a graph, sorted.
+*/
+async function selectObjects(graph, subject, predicate) {
+  const result = await query(`SELECT ?o WHERE { GRAPH <${graph}> { <${subject}> <${predicate}> ?o . } }`);
+  return result.results.bindings.map(b => b['o'].value).sort();
+}
+
+/**
+ * Get the predicates and objects of a subject in a graph.
+*/
+async function selectTriples(graph, subject) {
+  const result = await query(`SELECT ?p ?o WHERE { GRAPH <${graph}> { <${subject}> ?p ?o . } }`);
+  return result.results.bindings.map(b => ({ p: b['p'].value, o: b['o'].value }));
+}
+
+export {
+  FIXTURE,
+  RRN,
+  GRAPH_A,
+  GRAPH_B,
+  GRAPH_DENIED,
+  PERSON_A,
+  PERSON_B,
+  PERSON_C,
+  IDENTIFIER_A,
+  IDENTIFIER_B,
+  SAME_AS,
+  ALIAS_OF,
+  useFixture,
+  failUpdates,
+  insertBirthdate,
+  selectObjects,
+  selectTriples
+}
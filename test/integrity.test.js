@@ -0,0 +1,87 @@
+import assert from 'assert';
+import { reconciliateKey, checkIntegrity } from '../support';
+import { update } from '../lib/sparql';
+import { withLocks } from '../lib/locks';
+import { RRN, GRAPH_B, PERSON_A, PERSON_B, ALIAS_OF, useFixture, selectObjects } from './helpers';
+
+const MANDATARY = 'http://data.lblod.info/id/mandatarissen/m3';
+const FORMER_SLAVE = 'http://data.lblod.info/id/personen/x1';
+
+/**
+ * Add a reference from a mandatary to a former slave of b1 without data.
+*/
+async function insertDanglingReference() {
+  await update(`INSERT DATA { GRAPH <${GRAPH_B}> { <${MANDATARY}> <${ALIAS_OF}> <${FORMER_SLAVE}> . <${FORMER_SLAVE}> <http://www.w3.org/2002/07/owl#sameAs> <${PERSON_B}> . } }`);
+}
+
+describe('integrity', function() {
+  beforeEach(function() {
+    useFixture();
+  });
+
+  it('reports the duplicates that remain', async function() {
+    const { issues } = await checkIntegrity();
+    assert.deepStrictEqual(issues, [{ type: 'remaining-duplicate', key: RRN, resources: [PERSON_A, PERSON_B] }]);
+  });
+
+  it('reports no issues after a reconciliation', async function() {
+    await reconciliateKey(RRN, { model: 'person' });
+    const { issues } = await checkIntegrity();
+    assert.deepStrictEqual(issues, []);
+  });
+
+  it('reports references to a former slave without data', async function() {
+    await reconciliateKey(RRN, { model: 'person' });
+    await update(`INSERT DATA { GRAPH <${GRAPH_B}> { <${MANDATARY}> <${ALIAS_OF}> <${PERSON_A}> . } }`);
+    const { issues } = await checkIntegrity();
+    assert.deepStrictEqual(issues, [{ type: 'dangling-reference', graph: GRAPH_B, subject: MANDATARY, predicate: ALIAS_OF, object: PERSON_A }]);
+  });
+
+  it('reports persons without an identifier', async function() {
+    await reconciliateKey(RRN, { model: 'person' });
+    const person = 'http://data.lblod.info/id/personen/d1';
+    await update(`INSERT DATA { GRAPH <${GRAPH_B}> {
+      <${person}> a <http://www.w3.org/ns/person#Person> ; <http://mu.semte.ch/vocabularies/core/uuid> "d1" .
+    } }`);
+    const { issues } = await checkIntegrity();
+    assert.deepStrictEqual(issues, [{ type: 'missing-key', graph: GRAPH_B, subject: person }]);
+  });
+
+  it('redirects dangling references and reconciliates remaining duplicates in repair mode', async function() {
+    await insertDanglingReference();
+    const { repaired } = await checkIntegrity({ repair: true });
+    assert.deepStrictEqual(repaired.map(i => i.type).sort(), ['dangling-reference', 'remaining-duplicate']);
+    assert.deepStrictEqual(await selectObjects(GRAPH_B, MANDATARY, ALIAS_OF), [PERSON_B]);
+    assert.deepStrictEqual((await checkIntegrity()).issues, []);
+  });
+
+  it('waits for a running reconciliation of the keys before repairing', async function() {
+    await insertDanglingReference();
+    let repair;
+    await withLocks([`person ${RRN}`], async function() {
+      repair = checkIntegrity({ repair: true });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.deepStrictEqual(await selectObjects(GRAPH_B, MANDATARY, ALIAS_OF), [FORMER_SLAVE]);
+    });
+    const { repaired } = await repair;
+    assert.strictEqual(repaired.length, 2);
+    assert.deepStrictEqual(await selectObjects(GRAPH_B, MANDATARY, ALIAS_OF), [PERSON_B]);
+  });
+
+  it('pages the issues of all types', async function() {
+    await insertDanglingReference();
+    const person = 'http://data.lblod.info/id/personen/d1';
+    await update(`INSERT DATA { GRAPH <${GRAPH_B}> {
+      <${person}> a <http://www.w3.org/ns/person#Person> ; <http://mu.semte.ch/vocabularies/core/uuid> "d1" .
+    } }`);
+
+    const first = await checkIntegrity({ page: 0, size: 2 });
+    assert.strictEqual(first.count, 3);
+    assert.deepStrictEqual(first.issues.map(i => i.type), ['dangling-reference', 'missing-key']);
+    const second = await checkIntegrity({ page: 1, size: 2 });
+    assert.strictEqual(second.count, 3);
+    assert.deepStrictEqual(second.issues.map(i => i.type), ['remaining-duplicate']);
+    assert.deepStrictEqual((await checkIntegrity({ page: 1, size: 1 })).issues.map(i => i.subject), [person]);
+    assert.deepStrictEqual((await checkIntegrity({ page: 3, size: 1 })).issues, []);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'assert';
+import { createJob, runJob, cancelJob, isJobRunning, getJob } from '../lib/jobs';
+import { RRN, useFixture, failUpdates } from './helpers';
+
+describe('jobs', function() {
+  let store;
+
+  beforeEach(function() {
+    store = useFixture();
+  });
+
+  describe('runJob', function() {
+    it('records the progress and status of the job', async function() {
+      const job = await createJob({ model: 'person' });
+      assert.strictEqual((await getJob(job.id)).status, 'busy');
+      await runJob(job);
+
+      const stored = await getJob(job.id);
+      assert.strictEqual(stored.status, 'success');
+      assert.strictEqual(stored.total, 1);
+      assert.strictEqual(stored.processed, 1);
+      assert.strictEqual(stored.failed, 0);
+      assert.ok(stored.ended >= stored.started);
+      assert.strictEqual(isJobRunning(job.id), false);
+    });
+
+    it('fails a job of which all keys failed and records the errors', async function() {
+      failUpdates(store, (u) => u.includes('a ext:Reconciliation ;'));
+      const job = await createJob({ model: 'person' });
+      await runJob(job);
+
+      const stored = await getJob(job.id);
+      assert.strictEqual(stored.status, 'failed');
+      assert.strictEqual(stored.failed, 1);
+      assert.deepStrictEqual(stored.errors.map(e => [e.rrn, e.message]), [[RRN, 'Simulated triplestore failure']]);
+    });
+
+    it('counts a failed key even if its error cannot be saved', async function() {
+      failUpdates(store, (u) => u.includes('a ext:Reconciliation ;') || u.includes('oslc:Error'));
+      const job = await createJob({ model: 'person' });
+      await runJob(job);
+      assert.strictEqual(job.status, 'failed');
+      assert.strictEqual(job.failed, 1);
+      assert.strictEqual(job.errors[0].rrn, RRN);
+    });
+
+    it('ends even if its status cannot be saved', async function() {
+      const job = await createJob({ model: 'person' });
+      failUpdates(store, (u) => u.includes('prov:endedAtTime'));
+      await runJob(job);
+      assert.strictEqual(job.status, 'success');
+      assert.strictEqual((await getJob(job.id)).status, 'busy');
+    });
+  });
+
+  describe('cancelJob', function() {
+    it('stops a running job before the next key', async function() {
+      const job = await createJob({ model: 'person' });
+      const run = runJob(job);
+      assert.strictEqual(cancelJob(job.id), true);
+      await run;
+
+      const stored = await getJob(job.id);
+      assert.strictEqual(stored.status, 'canceled');
+      assert.strictEqual(stored.processed, 0);
+    });
+
+    it('does not cancel a job that is not running', async function() {
+      const job = await createJob({ model: 'person' });
+      assert.strictEqual(cancelJob(job.id), false);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import assert from 'assert';
+import { LockError, withLocks, acquireBulkLock, releaseBulkLock, getBulkLock } from '../lib/locks';
+import { reconciliateKey } from '../support';
+import { RRN, useFixture } from './helpers';
+
+describe('locks', function() {
+  describe('withLocks', function() {
+    it('does not execute the holders of the same lock concurrently', async function() {
+      const events = [];
+      const hold = async (name) => {
+        events.push(`start ${name}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        events.push(`end ${name}`);
+      };
+      await Promise.all([
+        withLocks(['a', 'b'], () => hold('first'), { wait: true }),
+        withLocks(['b'], () => hold('second'), { wait: true })
+      ]);
+      assert.strictEqual(events.length, 4);
+      for (let i = 0; i < events.length; i += 2)
+        assert.strictEqual(events[i + 1], events[i].replace('start', 'end'));
+    });
+
+    it('refuses a held lock if not waiting for it', async function() {
+      await withLocks(['a'], async function() {
+        await assert.rejects(withLocks(['a'], async () => null, { description: 'RRN 1' }), (e) => {
+          return e instanceof LockError && e.message == 'A reconciliation of RRN 1 is already running';
+        });
+        assert.strictEqual(await withLocks(['b'], async () => 'other'), 'other');
+      });
+    });
+
+    it('releases the locks if the function fails', async function() {
+      await assert.rejects(withLocks(['a'], async () => { throw new Error('failure'); }), /failure/);
+      assert.strictEqual(await withLocks(['a'], async () => 'released'), 'released');
+    });
+
+    it('refuses to reconciliate a key that is being reconciliated', async function() {
+      useFixture();
+      await withLocks([`person ${RRN}`], async function() {
+        await assert.rejects(reconciliateKey(RRN, { model: 'person' }), LockError);
+      });
+      const result = await reconciliateKey(RRN, { model: 'person' });
+      assert.strictEqual(result.status, 'reconciliated');
+    });
+  });
+
+  describe('bulk lock', function() {
+    it('is held by one bulk reconciliation at a time', function() {
+      const lock = acquireBulkLock();
+      assert.ok(lock);
+      try {
+        assert.strictEqual(acquireBulkLock(), null);
+        assert.strictEqual(getBulkLock(), lock);
+      } finally {
+        releaseBulkLock(lock);
+      }
+      assert.strictEqual(getBulkLock(), null);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import assert from 'assert';
+import fs from 'fs';
+import crypto from 'crypto';
+import { maskKey, maskValue, hashKey } from '../lib/masking';
+import { reconciliateKey, getIdentifierIssues } from '../support';
+import { update } from '../lib/sparql';
+import { getIssues, toJsonApi as issueToJsonApi, toIdentifierIssueJsonApi } from '../lib/issues';
+import { getReconciliations, toJsonApi as reconciliationToJsonApi } from '../lib/reconciliations';
+import { getConflicts, getConflict, resolveConflict, toJsonApi as conflictToJsonApi } from '../lib/conflicts';
+import { createJob, runJob, toJsonApi as jobToJsonApi } from '../lib/jobs';
+import { getProposal, toJsonApi as proposalToJsonApi } from '../lib/proposals';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, useFixture, failUpdates, insertBirthdate } from './helpers';
+
+describe('masking', function() {
+  describe('maskKey', function() {
+    it('leaves only the last 4 characters of a key visible', function() {
+      assert.strictEqual(maskKey('85073033121'), '*******3121');
+    });
+
+    it('leaves at most half of a short key visible', function() {
+      assert.strictEqual(maskKey('1234'), '**34');
+    });
+  });
+
+  describe('maskValue', function() {
+    it('masks equal values the same way', function() {
+      assert.strictEqual(maskValue('Peeters'), maskValue('Peeters'));
+      assert.notStrictEqual(maskValue('Peeters'), maskValue('Janssens'));
+      assert.match(maskValue('Peeters'), /^\[masked:[0-9a-f]{12}\]$/);
+    });
+  });
+
+  describe('hashKey', function() {
+    it('hashes a key with SHA-256', function() {
+      assert.match(hashKey('85073033121'), /^[0-9a-f]{64}$/);
+      assert.strictEqual(hashKey('85073033121'), hashKey('85073033121'));
+    });
+
+    it('salts the hash with a generated salt that is stored', function() {
+      const unsalted = crypto.createHash('sha256').update('85073033121').digest('hex');
+      assert.notStrictEqual(hashKey('85073033121'), unsalted);
+      const salt = fs.readFileSync(process.env.MASKING_SALT_FILE, 'utf8');
+      assert.strictEqual(hashKey('85073033121'), crypto.createHash('sha256').update(`${salt}85073033121`).digest('hex'));
+    });
+  });
+
+  describe('API responses', function() {
+    let store;
+
+    beforeEach(async function() {
+      store = useFixture();
+      await insertBirthdate(GRAPH_A, PERSON_A, '1985-07-30');
+      await insertBirthdate(GRAPH_B, PERSON_B, '1985-07-31');
+    });
+
+    it('masks the RRN and the names in the changes of a reconciliation', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const { reconciliations } = await getReconciliations({ rrn: RRN });
+      const json = JSON.stringify(reconciliationToJsonApi(reconciliations[0]));
+      assert.ok(json.includes(maskKey(RRN)));
+      assert.ok(json.includes(maskValue('Peeters')));
+      for (let value of [RRN, '85.07.30-331.21', 'Peeters', 'Jan', '1985-07-30', '1985-07-31'])
+        assert.ok(!json.includes(`"${value}"`), `${value} is not masked`);
+    });
+
+    it('masks the RRN and the values of a sensitive conflict', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const { conflicts } = await getConflicts({ rrn: RRN, property: 'birthdate.date' });
+      const json = conflictToJsonApi(conflicts[0]);
+      assert.strictEqual(json.attributes.rrn, maskKey(RRN));
+      assert.deepStrictEqual(json.attributes.candidates.map(c => c.value).sort(),
+                             [maskValue('1985-07-30'), maskValue('1985-07-31')].sort());
+      assert.ok(!JSON.stringify(json).includes('1985-07-3'));
+    });
+
+    it('resolves a conflict by a masked value', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const { conflicts } = await getConflicts({ rrn: RRN, property: 'birthdate.date' });
+      await resolveConflict(conflicts[0], maskValue('1985-07-30'));
+      const conflict = await getConflict(conflicts[0].id);
+      assert.strictEqual(conflict.resolvedValue, '1985-07-30');
+      assert.strictEqual(conflictToJsonApi(conflict).attributes['resolved-value'], maskValue('1985-07-30'));
+    });
+
+    it('masks the RRN and the sensitive values of the master in a proposal', async function() {
+      const { proposal: id } = await reconciliateKey(RRN, { model: 'person', riskRules: [{ type: 'max-graphs', max: 1 }] });
+      const json = proposalToJsonApi(await getProposal(id));
+      assert.strictEqual(json.attributes.rrn, maskKey(RRN));
+      assert.deepStrictEqual(json.attributes.master.resources.person.familyName, maskValue('Peeters'));
+      assert.strictEqual(json.attributes.master.resources.person.uri, PERSON_B);
+      for (let value of [RRN, 'Peeters', 'Jan', '1985-07-30', '1985-07-31'])
+        assert.ok(!JSON.stringify(json).includes(`"${value}"`), `${value} is not masked`);
+    });
+
+    it('masks the notation of an identifier issue', async function() {
+      await update(`
+INSERT DATA {
+  GRAPH <${GRAPH_A}> {
+    <http://data.lblod.info/id/identificatoren/c1> <http://www.w3.org/2004/02/skos/core#notation> "85073033199" .
+  }
+}
+`);
+      const issues = await getIdentifierIssues('person');
+      assert.ok(issues.length);
+      for (let issue of issues) {
+        const json = toIdentifierIssueJsonApi(issue);
+        assert.strictEqual(json.attributes.notation, maskKey(issue.notation));
+        assert.strictEqual(json.attributes.graph, issue.graph);
+      }
+      assert.ok(!JSON.stringify(issues.map(toIdentifierIssueJsonApi)).includes('85073033199'));
+    });
+
+    it('masks the sensitive values of a data-quality issue', async function() {
+      await insertBirthdate(GRAPH_A, PERSON_A, '1985-07-31');
+      await reconciliateKey(RRN, { model: 'person' });
+      const { issues } = await getIssues({ type: 'multiple-values' });
+      assert.strictEqual(issues.length, 1);
+      const json = issueToJsonApi(issues[0]);
+      assert.deepStrictEqual(json.attributes.values, [maskValue('1985-07-30'), maskValue('1985-07-31')]);
+      assert.ok(!JSON.stringify(json).includes('1985-07-3'));
+    });
+
+    it('masks the RRNs in the errors of a job', async function() {
+      failUpdates(store, (u) => u.includes('a ext:Reconciliation ;'));
+      const job = await createJob({ model: 'person' });
+      await runJob(job);
+      const json = jobToJsonApi(job);
+      assert.strictEqual(json.attributes.errors.length, 1);
+      assert.strictEqual(json.attributes.errors[0].rrn, maskKey(RRN));
+      assert.ok(!JSON.stringify(json).includes(RRN));
+    });
+  });
+});
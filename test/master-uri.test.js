@@ -0,0 +1,60 @@
+import assert from 'assert';
+import { reconciliateKey } from '../support';
+import { createMasterUriPolicy, rankCandidates } from '../lib/master-uri';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, SAME_AS, useFixture, selectObjects } from './helpers';
+
+const candidates = [
+  { graph: GRAPH_B, resource: { uri: 'http://example.org/c', created: '2020-01-01T00:00:00Z' } },
+  { graph: GRAPH_A, resource: { uri: 'http://example.org/b' } },
+  { graph: GRAPH_B, resource: { uri: 'http://example.org/a', created: '2021-01-01T00:00:00Z' } }
+];
+
+function rankedUris(options) {
+  return rankCandidates(candidates, createMasterUriPolicy(options)).map(c => c.resource.uri);
+}
+
+describe('master-uri', function() {
+  describe('rankCandidates', function() {
+    it('ranks the oldest resource first', function() {
+      assert.deepStrictEqual(rankedUris({ policy: 'oldest' }), ['http://example.org/c', 'http://example.org/a', 'http://example.org/b']);
+    });
+
+    it('ranks the resources of the preferred graph first', function() {
+      assert.deepStrictEqual(rankedUris({ policy: 'preferred-graph', preferredGraphs: [GRAPH_B] }), ['http://example.org/a', 'http://example.org/c', 'http://example.org/b']);
+    });
+
+    it('ranks the lowest URI first', function() {
+      assert.deepStrictEqual(rankedUris({ policy: 'lowest' }), ['http://example.org/a', 'http://example.org/b', 'http://example.org/c']);
+    });
+
+    it('does not depend on the order of the candidates', function() {
+      const policy = createMasterUriPolicy({ policy: 'oldest' });
+      const ranked = rankCandidates(candidates.slice().reverse(), policy).map(c => c.resource.uri);
+      assert.deepStrictEqual(ranked, rankedUris({ policy: 'oldest' }));
+    });
+
+    it('rejects an unknown policy', function() {
+      assert.throws(() => createMasterUriPolicy({ policy: 'random' }));
+    });
+  });
+
+  describe('reconciliateKey', function() {
+    beforeEach(function() {
+      useFixture();
+    });
+
+    it('takes the URI of the master according to the policy', async function() {
+      await reconciliateKey(RRN, { model: 'person', masterUri: { policy: 'lowest' } });
+      assert.deepStrictEqual(await selectObjects(GRAPH_B, PERSON_B, SAME_AS), [PERSON_A]);
+    });
+
+    it('mints a new master URI and links every slave to it', async function() {
+      await reconciliateKey(RRN, { model: 'person', masterUri: { mint: true, base: 'http://example.org/id/' } });
+      const [master] = await selectObjects(GRAPH_A, PERSON_A, SAME_AS);
+      assert.ok(master.startsWith('http://example.org/id/person/'));
+      assert.deepStrictEqual(await selectObjects(GRAPH_B, PERSON_B, SAME_AS), [master]);
+      const uuids = await selectObjects(GRAPH_A, master, 'http://mu.semte.ch/vocabularies/core/uuid');
+      assert.deepStrictEqual(uuids, [master.slice('http://example.org/id/person/'.length)]);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { mergeValues, isUnionProperty } from '../lib/merge-strategies';
+import { reconciliateKey } from '../support';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, useFixture, selectObjects } from './helpers';
+
+const FIRST_NAME = 'http://data.vlaanderen.be/ns/persoon#gebruikteVoornaam';
+
+describe('merge strategies', function() {
+  describe('mergeValues', function() {
+    it('selects the value of the most recently modified slave', function() {
+      const result = mergeValues('person.familyName', [
+        { value: 'Peeters', graph: GRAPH_A, modified: '2021-03-01T09:00:00Z' },
+        { value: 'Peters', graph: GRAPH_B, modified: '2022-03-01T09:00:00Z' }
+      ]);
+      assert.deepStrictEqual(result, { value: 'Peters', strategy: 'most-recent', rejected: [{ value: 'Peeters', graph: GRAPH_A }] });
+    });
+
+    it('selects the value of the majority of the slaves if the modification dates are equal', function() {
+      const result = mergeValues('person.familyName', [
+        { value: 'Peters', graph: GRAPH_A },
+        { value: 'Peeters', graph: GRAPH_B },
+        { value: 'Peeters', graph: GRAPH_B }
+      ]);
+      assert.strictEqual(result.value, 'Peeters');
+      assert.strictEqual(result.strategy, 'majority');
+    });
+
+    it('does not apply any strategy if the slaves agree', function() {
+      const result = mergeValues('person.familyName', [{ value: 'Peeters', graph: GRAPH_A }, { value: 'Peeters', graph: GRAPH_B }]);
+      assert.deepStrictEqual(result, { value: 'Peeters', strategy: null, rejected: [] });
+    });
+
+    it('falls back to the lowest value if no strategy makes a distinction', function() {
+      const result = mergeValues('person.familyName', [{ value: 'Peters', graph: GRAPH_A }, { value: 'Peeters', graph: GRAPH_B }]);
+      assert.strictEqual(result.value, 'Peeters');
+      assert.strictEqual(result.strategy, 'tie-breaker');
+      assert.deepStrictEqual(result.rejected, [{ value: 'Peters', graph: GRAPH_A }]);
+    });
+  });
+
+  describe('isUnionProperty', function() {
+    it('keeps all values of a multi-valued property by default', function() {
+      assert.strictEqual(isUnionProperty('person.firstName', true), true);
+    });
+
+    it('selects a single value of a single-valued property by default', function() {
+      assert.strictEqual(isUnionProperty('birthdate.date', false), false);
+    });
+  });
+
+  describe('constructing the master', function() {
+    beforeEach(function() {
+      useFixture();
+    });
+
+    it('keeps the first names of all slaves', async function() {
+      await update(`
+INSERT DATA {
+  GRAPH <${GRAPH_A}> {
+    <${PERSON_A}> <${FIRST_NAME}> "Pieter" .
+  }
+}
+`);
+      const result = await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+      assert.strictEqual(result.report.master.person.firstName.length, 2);
+      assert.deepStrictEqual(result.report.decisions.filter(d => d.property == 'firstName'), []);
+
+      await reconciliateKey(RRN, { model: 'person' });
+      for (let graph of [GRAPH_A, GRAPH_B])
+        assert.deepStrictEqual(await selectObjects(graph, PERSON_B, FIRST_NAME), ['Jan', 'Pieter']);
+    });
+  });
+});
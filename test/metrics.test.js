@@ -0,0 +1,80 @@
+import assert from 'assert';
+import { increment, observe, setGauge, registerCollector, renderMetrics } from '../lib/metrics';
+import { reconciliateKey } from '../support';
+import { createJob, runJob } from '../lib/jobs';
+import { RRN, useFixture, failUpdates } from './helpers';
+
+const LABELS = '{dry_run="false",model="person"}';
+
+/**
+ * Get the value of a sample in the rendered metrics, 0 if the sample is absent.
+*/
+async function getSample(sample) {
+  const line = (await renderMetrics()).split('\n').find(l => l.startsWith(`${sample} `));
+  return line ? Number(line.slice(sample.length + 1)) : 0;
+}
+
+describe('metrics', function() {
+  let store;
+
+  beforeEach(function() {
+    store = useFixture();
+  });
+
+  it('counts the outcome of the reconciliations', async function() {
+    const processed = await getSample(`person_reconciliation_keys_processed_total${LABELS}`);
+    const merged = await getSample(`person_reconciliation_keys_merged_total${LABELS}`);
+    const skipped = await getSample(`person_reconciliation_keys_skipped_total${LABELS}`);
+
+    await reconciliateKey(RRN, { model: 'person' });
+    await reconciliateKey('00000000000', { model: 'person' });
+
+    assert.strictEqual(await getSample(`person_reconciliation_keys_processed_total${LABELS}`), processed + 2);
+    assert.strictEqual(await getSample(`person_reconciliation_keys_merged_total${LABELS}`), merged + 1);
+    assert.strictEqual(await getSample(`person_reconciliation_keys_skipped_total${LABELS}`), skipped + 1);
+    assert.ok(await getSample(`person_reconciliation_reconciliation_duration_seconds_count${LABELS}`) >= 2);
+  });
+
+  it('counts the failed reconciliations', async function() {
+    const failed = await getSample(`person_reconciliation_keys_failed_total${LABELS}`);
+    failUpdates(store, () => true);
+    await assert.rejects(reconciliateKey(RRN, { model: 'person' }), /Simulated triplestore failure/);
+    assert.strictEqual(await getSample(`person_reconciliation_keys_failed_total${LABELS}`), failed + 1);
+  });
+
+  it('counts the duplicates left after a bulk reconciliation', async function() {
+    const backlog = 'person_reconciliation_duplicate_backlog{model="person"}';
+    failUpdates(store, (u) => u.includes('a ext:Reconciliation ;'));
+    await runJob(await createJob({ model: 'person' }));
+    assert.strictEqual(await getSample(backlog), 1);
+
+    failUpdates(store, () => false);
+    await runJob(await createJob({ model: 'person' }));
+    assert.strictEqual(await getSample(backlog), 0);
+  });
+
+  it('renders the metrics in Prometheus text format', async function() {
+    increment('integrity_issues_total', { model: 'test', type: 'quoted "type"' });
+    observe('sparql_duration_seconds', 0.3, { type: 'test' });
+    setGauge('duplicate_backlog', 3, { model: 'test' });
+
+    const metrics = await renderMetrics();
+    assert.ok(metrics.includes('# TYPE person_reconciliation_integrity_issues_total counter\n'));
+    assert.ok(metrics.includes('person_reconciliation_integrity_issues_total{model="test",type="quoted \\"type\\""} 1\n'));
+    assert.ok(metrics.includes('person_reconciliation_sparql_duration_seconds_bucket{type="test",le="0.25"} 0\n'));
+    assert.ok(metrics.includes('person_reconciliation_sparql_duration_seconds_bucket{type="test",le="0.5"} 1\n'));
+    assert.ok(metrics.includes('person_reconciliation_sparql_duration_seconds_bucket{type="test",le="+Inf"} 1\n'));
+    assert.ok(metrics.includes('person_reconciliation_duplicate_backlog{model="test"} 3\n'));
+  });
+
+  it('rejects unknown metrics', function() {
+    assert.throws(() => increment('unknown_total'), /Unknown counter metric 'unknown_total'/);
+    assert.throws(() => setGauge('keys_processed_total', 1), /Unknown gauge metric/);
+  });
+
+  it('renders the metrics if a collector fails', async function() {
+    registerCollector(async () => { throw new Error('collector failure'); });
+    registerCollector(async () => setGauge('delta_queue_depth', 7));
+    assert.strictEqual(await getSample('person_reconciliation_delta_queue_depth'), 7);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'assert';
+import { RECONCILIATION_GRAPH } from '../config';
+import { reconciliateKey } from '../support';
+import { query } from '../lib/sparql';
+import { uri } from '../lib/plan';
+import { getModel } from '../lib/resource-models';
+import { notifyReconciliation } from '../lib/notifications';
+import { getReconciliation } from '../lib/reconciliations';
+import { RRN, GRAPH_A, GRAPH_B, GRAPH_DENIED, PERSON_A, PERSON_B, SAME_AS, useFixture, failUpdates } from './helpers';
+
+async function selectMappings(graph) {
+  const result = await query(`
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+SELECT ?notification ?reconciliation ?old ?new WHERE {
+  GRAPH <${graph}> {
+    ?notification a ext:ReconciliationNotification ;
+      ext:reconciliation ?reconciliation ;
+      ext:uriMapping ?mapping .
+    ?mapping ext:oldUri ?old ;
+      ext:newUri ?new .
+  }
+} ORDER BY ?old
+`);
+  return result.results.bindings.map(b => ({
+    notification: b['notification'].value,
+    reconciliation: b['reconciliation'].value,
+    old: b['old'].value,
+    new: b['new'].value
+  }));
+}
+
+describe('notifications', function() {
+  let store;
+
+  beforeEach(function() {
+    store = useFixture();
+  });
+
+  it('notifies every graph the slaves resided in of the replaced URIs', async function() {
+    const result = await reconciliateKey(RRN, { model: 'person' });
+    for (let graph of [GRAPH_A, GRAPH_B]) {
+      const mappings = await selectMappings(graph);
+      assert.deepStrictEqual(mappings.map(m => [m.old, m.new]), [
+        ['http://data.lblod.info/id/identificatoren/a1', 'http://data.lblod.info/id/identificatoren/b1'],
+        ['http://data.lblod.info/id/personen/a1', 'http://data.lblod.info/id/personen/b1']
+      ]);
+      assert.ok(mappings.every(m => m.reconciliation.endsWith(result.reconciliation)));
+      assert.strictEqual(new Set(mappings.map(m => m.notification)).size, 1);
+    }
+    assert.deepStrictEqual(await selectMappings(RECONCILIATION_GRAPH), []);
+  });
+
+  it('does not notify the graphs outside the graph scope', async function() {
+    const slaves = [GRAPH_A, GRAPH_B].map((graph, i) => {
+      const person = i ? PERSON_B : PERSON_A;
+      return { graph, uri: person, resources: { person: [{ uri: person }], identifier: [], birthdate: [] } };
+    });
+    const master = { uri: PERSON_B, resources: { person: { uri: PERSON_B } } };
+    const reference = (graph) => ({ graph: uri(graph), subject: uri(PERSON_A), predicate: uri(SAME_AS), object: uri(PERSON_B) });
+    const reconciliation = {
+      id: 'r1',
+      uri: 'http://data.lblod.info/id/reconciliations/r1',
+      steps: [{ deletes: [], inserts: [GRAPH_A, RECONCILIATION_GRAPH, GRAPH_DENIED].map(reference) }]
+    };
+
+    const notification = await notifyReconciliation(getModel('person'), reconciliation, slaves, master);
+    assert.deepStrictEqual(notification.graphs, [GRAPH_A, GRAPH_B]);
+    assert.strictEqual((await selectMappings(GRAPH_A)).length, 1);
+    assert.deepStrictEqual(await selectMappings(RECONCILIATION_GRAPH), []);
+    assert.deepStrictEqual(await selectMappings(GRAPH_DENIED), []);
+  });
+
+  it('does not notify in test mode', async function() {
+    await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+    assert.deepStrictEqual(await selectMappings(GRAPH_A), []);
+  });
+
+  it('does not fail an applied reconciliation if the notifications cannot be written', async function() {
+    failUpdates(store, (u) => u.includes('http://mu.semte.ch/vocabularies/ext/ReconciliationNotification'));
+    const result = await reconciliateKey(RRN, { model: 'person' });
+    assert.strictEqual(result.status, 'reconciliated');
+    assert.strictEqual((await getReconciliation(result.reconciliation)).status, 'applied');
+    assert.deepStrictEqual(await selectMappings(GRAPH_A), []);
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'assert';
+import { reconciliateKey } from '../support';
+import { toTurtle } from '../lib/plan';
+import { maskKey } from '../lib/masking';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, SAME_AS, useFixture } from './helpers';
+
+describe('plan', function() {
+  let store;
+
+  beforeEach(function() {
+    store = useFixture();
+  });
+
+  describe('dry run report', function() {
+    it('lists the slaves, the master and the planned changes per graph', async function() {
+      const { report } = await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+      assert.strictEqual(report.model, 'person');
+      assert.strictEqual(report.rrn, maskKey(RRN));
+      assert.strictEqual(report.status, 'reconciliated');
+      assert.deepStrictEqual(Object.keys(report.slaves).sort(), [GRAPH_A, GRAPH_B]);
+      assert.strictEqual(report.master.person.uri, PERSON_B);
+
+      const operations = report.changes[GRAPH_A].map(change => change.operation);
+      assert.ok(operations.includes('insertSameAs'));
+      const sameAs = report.changes[GRAPH_A].find(change => change.operation == 'insertSameAs');
+      assert.deepStrictEqual(sameAs.inserts, [`<${PERSON_A}> <${SAME_AS}> <${PERSON_B}> .`]);
+      assert.deepStrictEqual(sameAs.deletes, []);
+    });
+
+    it('formats the planned changes as Turtle', async function() {
+      const { report } = await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+      const lines = toTurtle([report]).split('\n');
+      assert.strictEqual(lines[0], `# person ${maskKey(RRN)}: reconciliated`);
+      const index = lines.indexOf(`# insertSameAs: INSERT in graph <${GRAPH_A}>`);
+      assert.ok(index > 0);
+      assert.strictEqual(lines[index + 1], `<${PERSON_A}> <${SAME_AS}> <${PERSON_B}> .`);
+    });
+
+    it('reports no changes for an invalid key', async function() {
+      const size = store.size;
+      const { report } = await reconciliateKey('85073033122', { model: 'person', isDryRun: true });
+      assert.strictEqual(report.status, 'skipped');
+      assert.deepStrictEqual(report.changes, {});
+      assert.deepStrictEqual(report.slaves, {});
+      assert.strictEqual(store.size, size);
+    });
+  });
+});
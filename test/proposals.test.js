@@ -0,0 +1,68 @@
+import assert from 'assert';
+import { reconciliateKey, getDuplicateIdentificators } from '../support';
+import { evaluateRisks } from '../lib/risk-rules';
+import { getProposal, getProposals, decideProposal } from '../lib/proposals';
+import { getModel } from '../lib/resource-models';
+import { RRN, GRAPH_A, GRAPH_B, useFixture } from './helpers';
+
+const RISK_RULES = [{ type: 'max-graphs', max: 1 }];
+
+describe('proposals', function() {
+  beforeEach(function() {
+    useFixture();
+  });
+
+  describe('evaluateRisks', function() {
+    const slaves = [{ graph: GRAPH_A }, { graph: GRAPH_B }];
+    const master = { decisions: [{ resource: 'birthdate', property: 'date', strategy: 'most-recent' }] };
+
+    it('matches slaves with conflicting values', function() {
+      const risks = evaluateRisks(getModel('person'), slaves, master, [{ type: 'conflicting-values', properties: ['birthdate.date'] }]);
+      assert.deepStrictEqual(risks.map(r => r.rule), ['conflicting-values']);
+    });
+
+    it('ignores conflicting values that have been resolved', function() {
+      const resolved = { decisions: [{ resource: 'birthdate', property: 'date', strategy: 'resolution' }] };
+      assert.deepStrictEqual(evaluateRisks(getModel('person'), slaves, resolved, [{ type: 'conflicting-values', properties: ['birthdate.date'] }]), []);
+    });
+
+    it('matches slaves in more graphs than the maximum', function() {
+      assert.strictEqual(evaluateRisks(getModel('person'), slaves, master, [{ type: 'max-graphs', max: 1 }]).length, 1);
+      assert.strictEqual(evaluateRisks(getModel('person'), slaves, master, [{ type: 'max-graphs', max: 2 }]).length, 0);
+    });
+  });
+
+  describe('reconciliateKey', function() {
+    it('proposes a risky merge instead of executing it', async function() {
+      const result = await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES });
+      assert.strictEqual(result.status, 'proposed');
+
+      const proposal = await getProposal(result.proposal);
+      assert.strictEqual(proposal.status, 'pending');
+      assert.strictEqual(proposal.rrn, RRN);
+      assert.strictEqual(proposal.master.uri, 'http://data.lblod.info/id/personen/b1');
+      assert.deepStrictEqual(proposal.slaves.map(s => s.graph).sort(), [GRAPH_A, GRAPH_B]);
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+    });
+
+    it('does not propose a key twice', async function() {
+      const first = await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES });
+      const second = await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES });
+      assert.strictEqual(second.proposal, first.proposal);
+    });
+
+    it('executes an approved merge', async function() {
+      await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES });
+      const result = await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES, approved: true });
+      assert.strictEqual(result.status, 'reconciliated');
+    });
+
+    it('skips a key of which the proposal has been rejected', async function() {
+      const { proposal: id } = await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES });
+      await decideProposal(await getProposal(id), 'rejected');
+      const result = await reconciliateKey(RRN, { model: 'person', riskRules: RISK_RULES });
+      assert.strictEqual(result.status, 'skipped');
+      assert.strictEqual((await getProposals({ status: 'pending' })).count, 0);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { getDuplicateIdentificators, reconciliateKey, revertMerge } from '../support';
+import { getReconciliations, recoverReconciliations, RevertError } from '../lib/reconciliations';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, SAME_AS, useFixture, failUpdates, selectTriples } from './helpers';
+
+describe('reconciliation', function() {
+  let store;
+
+  beforeEach(function() {
+    store = useFixture();
+  });
+
+  describe('getDuplicateIdentificators', function() {
+    it('finds the keys shared by different persons', async function() {
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+    });
+
+    it('only takes the selected graphs into account', async function() {
+      assert.deepStrictEqual(await getDuplicateIdentificators('person', [GRAPH_A]), []);
+    });
+  });
+
+  describe('reconciliateKey', function() {
+    it('replaces the duplicates by a master in each graph', async function() {
+      const result = await reconciliateKey(RRN, { model: 'person' });
+      assert.strictEqual(result.status, 'reconciliated');
+
+      assert.deepStrictEqual(await selectTriples(GRAPH_A, PERSON_A), [{ p: SAME_AS, o: PERSON_B }]);
+      for (let graph of [GRAPH_A, GRAPH_B]) {
+        const triples = await selectTriples(graph, PERSON_B);
+        assert.ok(triples.some(t => t.p == 'http://xmlns.com/foaf/0.1/familyName' && t.o == 'Peeters'));
+        assert.ok(triples.some(t => t.p == 'http://data.vlaanderen.be/ns/persoon#geslacht'));
+      }
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), []);
+    });
+
+    it('has no further effect on a key that has been reconciliated', async function() {
+      await reconciliateKey(RRN, { model: 'person' });
+      const size = store.size;
+      const result = await reconciliateKey(RRN, { model: 'person' });
+      assert.strictEqual(result.status, 'skipped');
+      assert.strictEqual(store.size, size);
+    });
+
+    it('only reports the changes in test mode', async function() {
+      const size = store.size;
+      const result = await reconciliateKey(RRN, { model: 'person', isDryRun: true });
+      assert.strictEqual(result.status, 'reconciliated');
+      assert.deepStrictEqual(Object.keys(result.report.changes).sort(), [GRAPH_A, GRAPH_B]);
+      assert.strictEqual(store.size, size);
+    });
+
+    it('skips an invalid key', async function() {
+      const result = await reconciliateKey('85073033122', { model: 'person' });
+      assert.strictEqual(result.status, 'skipped');
+    });
+  });
+
+  describe('recoverReconciliations', function() {
+    const sameAs = `<${PERSON_A}> <${SAME_AS}> <${PERSON_B}> .`;
+
+    beforeEach(async function() {
+      // the service stops before linking the former slave to the master
+      failUpdates(store, (u) => u.includes(sameAs));
+      await assert.rejects(reconciliateKey(RRN, { model: 'person' }), /Simulated triplestore failure/);
+      failUpdates(store, () => false);
+    });
+
+    it('completes an interrupted reconciliation', async function() {
+      const { reconciliations } = await getReconciliations({ rrn: RRN });
+      assert.strictEqual(reconciliations[0].status, 'planned');
+      assert.deepStrictEqual(await selectTriples(GRAPH_A, PERSON_A), []);
+
+      assert.strictEqual(await recoverReconciliations(), 1);
+      assert.strictEqual((await getReconciliations({ rrn: RRN })).reconciliations[0].status, 'applied');
+      assert.deepStrictEqual(await selectTriples(GRAPH_A, PERSON_A), [{ p: SAME_AS, o: PERSON_B }]);
+      assert.strictEqual(await recoverReconciliations(), 0);
+    });
+
+    it('completes an interrupted reconciliation before reconciliating its key again', async function() {
+      const result = await reconciliateKey(RRN, { model: 'person' });
+      assert.strictEqual(result.status, 'skipped');
+      const { reconciliations, count } = await getReconciliations({ rrn: RRN });
+      assert.strictEqual(count, 1);
+      assert.strictEqual(reconciliations[0].status, 'applied');
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), []);
+    });
+  });
+
+  describe('revertMerge', function() {
+    it('restores the slaves and proposes later reconciliations of the key', async function() {
+      const { reconciliation: id } = await reconciliateKey(RRN, { model: 'person' });
+      const reverted = await revertMerge(id);
+      assert.strictEqual(reverted.status, 'reverted');
+
+      const triples = await selectTriples(GRAPH_A, PERSON_A);
+      assert.ok(triples.some(t => t.p == 'http://xmlns.com/foaf/0.1/familyName' && t.o == 'Peeters'));
+      assert.ok(!triples.some(t => t.p == SAME_AS));
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+
+      const result = await reconciliateKey(RRN, { model: 'person' });
+      assert.strictEqual(result.status, 'proposed');
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+    });
+
+    it('refuses to revert a reconciliation twice', async function() {
+      const { reconciliation: id } = await reconciliateKey(RRN, { model: 'person' });
+      await revertMerge(id);
+      await assert.rejects(revertMerge(id), RevertError);
+    });
+
+    it('completes an interrupted revert on recovery', async function() {
+      const { reconciliation: id } = await reconciliateKey(RRN, { model: 'person' });
+      // the service stops after unlinking the former slave from the master
+      failUpdates(store, (u) => u.includes('INSERT DATA') && !u.includes('ext:Revert'));
+      await assert.rejects(revertMerge(id), /Simulated triplestore failure/);
+      failUpdates(store, () => false);
+
+      assert.deepStrictEqual(await selectTriples(GRAPH_A, PERSON_A), []);
+      assert.strictEqual((await getReconciliations({ rrn: RRN })).reconciliations[0].status, 'applied');
+
+      assert.strictEqual(await recoverReconciliations({ rrn: RRN }), 1);
+      const { reconciliations, count } = await getReconciliations({ rrn: RRN });
+      assert.strictEqual(count, 1);
+      assert.strictEqual(reconciliations[0].status, 'reverted');
+      const triples = await selectTriples(GRAPH_A, PERSON_A);
+      assert.ok(triples.some(t => t.p == 'http://xmlns.com/foaf/0.1/familyName' && t.o == 'Peeters'));
+      assert.ok(!triples.some(t => t.p == SAME_AS));
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+      assert.strictEqual(await recoverReconciliations(), 0);
+    });
+
+    it('refuses to revert a reconciliation of which the data has changed since', async function() {
+      const { reconciliation: id } = await reconciliateKey(RRN, { model: 'person' });
+      await update(`
+DELETE DATA {
+  GRAPH <${GRAPH_A}> {
+    <${PERSON_A}> <${SAME_AS}> <${PERSON_B}> .
+  }
+}
+`);
+      await assert.rejects(revertMerge(id), /data has changed/);
+      const { reconciliations } = await getReconciliations({ rrn: RRN });
+      assert.strictEqual(reconciliations[0].status, 'applied');
+    });
+
+    it('refuses to revert a reconciliation that has not been applied completely', async function() {
+      failUpdates(store, (u) => u.includes('reconciliation-status/applied'));
+      await assert.rejects(reconciliateKey(RRN, { model: 'person' }));
+      const { reconciliations } = await getReconciliations({ rrn: RRN });
+      assert.strictEqual(reconciliations[0].status, 'planned');
+      await assert.rejects(revertMerge(reconciliations[0].id), /not been applied/);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { getModel, getModels, normalizeKey } from '../lib/resource-models';
+import { getDuplicateIdentificators, reconciliateKey } from '../support';
+import { GRAPH_A, GRAPH_B, SAME_AS, useFixture, selectObjects } from './helpers';
+
+const KBO = '0123456789';
+const ORGANIZATION_A = 'http://data.lblod.info/id/organisaties/a1';
+const ORGANIZATION_B = 'http://data.lblod.info/id/organisaties/b1';
+
+/**
+ * Add an organization with a KBO number and name to a graph.
+*/
+async function insertOrganization(graph, organization, kbo, name) {
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+INSERT DATA {
+  GRAPH <${graph}> {
+    <${organization}> a <http://www.w3.org/ns/regorg#RegisteredOrganization> ;
+      mu:uuid "${organization.split('/').pop()}" ;
+      ext:kbo "${kbo}" ;
+      skos:prefLabel "${name}" .
+  }
+}
+`);
+}
+
+describe('resource models', function() {
+  describe('getModel', function() {
+    it('adds the configured models to the built-in person model', function() {
+      assert.deepStrictEqual(getModels().map(m => m.name), ['person', 'organization']);
+      const model = getModel('organization');
+      assert.deepStrictEqual(model.key, { path: ['http://mu.semte.ch/vocabularies/ext/kbo'], normalizer: 'digits', property: 'organization.kbo' });
+      assert.strictEqual(model.properties.name.conflicts, true);
+    });
+
+    it('rejects an unknown model', function() {
+      assert.throws(() => getModel('building'), /Unknown resource model 'building'/);
+    });
+  });
+
+  describe('normalizeKey', function() {
+    it('normalizes the key with the normalizer of the model', function() {
+      assert.deepStrictEqual(normalizeKey(getModel('organization'), '0123.456.789'), { key: KBO, valid: true });
+      assert.deepStrictEqual(normalizeKey(getModel('organization'), 'n/a'), { key: '', valid: false, reason: 'no digits found' });
+    });
+  });
+
+  describe('reconciliateKey', function() {
+    beforeEach(async function() {
+      useFixture();
+      await insertOrganization(GRAPH_A, ORGANIZATION_A, '0123.456.789', 'Gemeente A');
+      await insertOrganization(GRAPH_B, ORGANIZATION_B, KBO, 'Gemeente A');
+    });
+
+    it('reconciliates the duplicates of another resource model', async function() {
+      assert.deepStrictEqual(await getDuplicateIdentificators('organization'), [KBO]);
+      const result = await reconciliateKey(KBO, { model: 'organization' });
+      assert.strictEqual(result.status, 'reconciliated');
+
+      const links = (await selectObjects(GRAPH_A, ORGANIZATION_A, SAME_AS)).concat(await selectObjects(GRAPH_B, ORGANIZATION_B, SAME_AS));
+      assert.strictEqual(links.length, 1);
+      assert.deepStrictEqual(await getDuplicateIdentificators('organization'), []);
+      // the persons are left untouched
+      assert.strictEqual((await getDuplicateIdentificators('person')).length, 1);
+    });
+
+    it('skips a key that is invalid for the model', async function() {
+      const result = await reconciliateKey('n/a', { model: 'organization' });
+      assert.strictEqual(result.status, 'skipped');
+      assert.deepStrictEqual(await getDuplicateIdentificators('organization'), [KBO]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'assert';
+import { update } from '../lib/sparql';
+import { normalizeRrn, validateRrn } from '../lib/rrn';
+import { getDuplicateIdentificators, getIdentifierIssues, reconciliateKey } from '../support';
+import { RRN, GRAPH_A, PERSON_A, IDENTIFIER_A, useFixture } from './helpers';
+
+/**
+ * Replace the notation of the identifier of person a1.
+*/
+async function setNotationA(notation) {
+  await update(`
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+DELETE WHERE {
+  GRAPH <${GRAPH_A}> { <${IDENTIFIER_A}> skos:notation ?notation . }
+};
+INSERT DATA {
+  GRAPH <${GRAPH_A}> { <${IDENTIFIER_A}> skos:notation "${notation}" . }
+}
+`);
+}
+
+describe('rrn', function() {
+  describe('normalizeRrn', function() {
+    it('strips all characters that are not a digit', function() {
+      assert.strictEqual(normalizeRrn('85.07.30-331.21'), '85073033121');
+      assert.strictEqual(normalizeRrn(' 85073033121 '), '85073033121');
+    });
+  });
+
+  describe('validateRrn', function() {
+    it('accepts a RRN with a valid checksum', function() {
+      assert.deepStrictEqual(validateRrn('85073033121'), { valid: true });
+    });
+
+    it('accepts a RRN of a person born in or after 2000', function() {
+      const base = 10203123;
+      const checksum = 97 - ((2000000000 + base) % 97);
+      assert.deepStrictEqual(validateRrn(`0${base}${`${checksum}`.padStart(2, '0')}`), { valid: true });
+    });
+
+    it('rejects a RRN with an invalid checksum', function() {
+      assert.deepStrictEqual(validateRrn('85073033122'), { valid: false, reason: 'checksum mismatch' });
+    });
+
+    it('rejects a RRN that does not consist of 11 digits', function() {
+      assert.deepStrictEqual(validateRrn('8507303312'), { valid: false, reason: 'expected 11 digits, found 10' });
+    });
+  });
+
+  describe('matching', function() {
+    beforeEach(function() {
+      useFixture();
+    });
+
+    it('matches a formatted RRN with the same RRN without formatting', async function() {
+      // a1 has notation '85.07.30-331.21', b1 has notation '85073033121'
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), [RRN]);
+      assert.deepStrictEqual(await getIdentifierIssues('person'), []);
+    });
+
+    it('reports a RRN with an invalid checksum instead of matching it', async function() {
+      await setNotationA('85.07.30-331.22');
+      assert.deepStrictEqual(await getDuplicateIdentificators('person'), []);
+
+      const issues = await getIdentifierIssues('person');
+      assert.strictEqual(issues.length, 1);
+      assert.strictEqual(issues[0].type, 'invalid');
+      assert.strictEqual(issues[0].reason, 'checksum mismatch');
+      assert.strictEqual(issues[0].graph, GRAPH_A);
+      assert.strictEqual(issues[0].person, PERSON_A);
+
+      const result = await reconciliateKey('85073033122', { model: 'person' });
+      assert.strictEqual(result.status, 'skipped');
+    });
+  });
+});
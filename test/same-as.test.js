@@ -0,0 +1,47 @@
+import assert from 'assert';
+import { reconciliateKey } from '../support';
+import { resolveUri, shortenChains } from '../lib/same-as';
+import { update } from '../lib/sparql';
+import { RRN, GRAPH_A, GRAPH_B, PERSON_A, PERSON_B, PERSON_C, SAME_AS, useFixture, selectObjects } from './helpers';
+
+describe('same-as', function() {
+  beforeEach(async function() {
+    useFixture();
+    await reconciliateKey(RRN, { model: 'person' });
+  });
+
+  it('resolves a merged URI to the master', async function() {
+    const resolution = await resolveUri(PERSON_A);
+    assert.strictEqual(resolution.canonical, PERSON_B);
+    assert.deepStrictEqual(resolution.aliases, [PERSON_A]);
+    assert.strictEqual(resolution.ambiguous, false);
+  });
+
+  it('resolves a URI without links to itself', async function() {
+    const resolution = await resolveUri(PERSON_C);
+    assert.strictEqual(resolution.canonical, PERSON_C);
+    assert.deepStrictEqual(resolution.aliases, []);
+  });
+
+  it('follows chains across graphs', async function() {
+    await update(`INSERT DATA { GRAPH <${GRAPH_B}> { <${PERSON_B}> <${SAME_AS}> <${PERSON_C}> . } }`);
+    const resolution = await resolveUri(PERSON_A);
+    assert.strictEqual(resolution.canonical, PERSON_C);
+    assert.deepStrictEqual(resolution.aliases, [PERSON_A, PERSON_B]);
+  });
+
+  it('marks URIs linked to different canonical URIs as ambiguous', async function() {
+    await update(`INSERT DATA { GRAPH <${GRAPH_A}> { <${PERSON_A}> <${SAME_AS}> <${PERSON_C}> . } }`);
+    const resolution = await resolveUri(PERSON_A);
+    assert.strictEqual(resolution.ambiguous, true);
+  });
+
+  it('links every alias directly to the canonical URI', async function() {
+    await update(`INSERT DATA { GRAPH <${GRAPH_B}> { <${PERSON_B}> <${SAME_AS}> <${PERSON_C}> . } }`);
+    const result = await shortenChains();
+    assert.strictEqual(result.replaced, 1);
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, PERSON_A, SAME_AS), [PERSON_C]);
+    assert.deepStrictEqual(await selectObjects(GRAPH_B, PERSON_B, SAME_AS), [PERSON_C]);
+    assert.strictEqual((await resolveUri(PERSON_A)).canonical, PERSON_C);
+  });
+});
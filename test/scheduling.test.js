@@ -0,0 +1,169 @@
+import assert from 'assert';
+import { discoverDuplicateKeys } from '../support';
+import { createJob, runJob, resumeJob, getJob, getJobs, getWatermark } from '../lib/jobs';
+import { getReconciliations } from '../lib/reconciliations';
+import { update } from '../lib/sparql';
+import { RRN, GRAPH_B, useFixture, failUpdates } from './helpers';
+
+const OTHER_RRN = '92021412345';
+
+async function discover(options) {
+  const keys = [];
+  for await (let key of discoverDuplicateKeys('person', options))
+    keys.push(key);
+  return keys;
+}
+
+/**
+ * Add a second duplicate key, shared by c1 in graph a and c2 in graph b.
+*/
+async function insertOtherDuplicate() {
+  await update(`
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX adms: <http://www.w3.org/ns/adms#>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+INSERT DATA {
+  GRAPH <${GRAPH_B}> {
+    <http://data.lblod.info/id/personen/c2> a <http://www.w3.org/ns/person#Person> ;
+      mu:uuid "c2" ;
+      adms:identifier <http://data.lblod.info/id/identificatoren/c2> .
+    <http://data.lblod.info/id/identificatoren/c2> a adms:Identifier ;
+      mu:uuid "ic2" ;
+      skos:notation "${OTHER_RRN}" .
+  }
+}
+`);
+}
+
+describe('scheduled reconciliation', function() {
+  beforeEach(function() {
+    useFixture();
+  });
+
+  describe('discoverDuplicateKeys', function() {
+    it('discovers the duplicate keys of persons created since the given time', async function() {
+      assert.deepStrictEqual(await discover({ since: new Date('2020-01-01T00:00:00Z') }), [RRN]);
+      assert.deepStrictEqual(await discover({ since: new Date('2022-01-01T00:00:00Z') }), []);
+    });
+
+    it('discovers the duplicate keys of identifiers modified since the given time', async function() {
+      await update(`
+PREFIX dct: <http://purl.org/dc/terms/>
+
+INSERT DATA {
+  GRAPH <${GRAPH_B}> {
+    <http://data.lblod.info/id/identificatoren/b1> dct:modified "2023-06-01T09:00:00Z"^^xsd:dateTime .
+  }
+}
+`);
+      assert.deepStrictEqual(await discover({ since: new Date('2022-01-01T00:00:00Z') }), [RRN]);
+    });
+
+    it('discovers the duplicate keys after the given key in order', async function() {
+      await insertOtherDuplicate();
+      assert.deepStrictEqual(await discover({}), [RRN, OTHER_RRN]);
+      assert.deepStrictEqual(await discover({ after: RRN }), [OTHER_RRN]);
+      assert.deepStrictEqual(await discover({ after: OTHER_RRN }), []);
+    });
+  });
+
+  describe('jobs', function() {
+    let store;
+
+    beforeEach(function() {
+      store = useFixture();
+    });
+
+    it('has no watermark before a successful run', async function() {
+      assert.strictEqual(await getWatermark('person'), null);
+    });
+
+    it('keeps the start of the last successful run as watermark', async function() {
+      const job = await createJob({ model: 'person' });
+      await runJob(job);
+      assert.strictEqual(job.status, 'success');
+      assert.strictEqual((await getWatermark('person')).getTime(), job.started.getTime());
+    });
+
+    it('does not move the watermark if some keys failed in the run', async function() {
+      // a second duplicate key, of which the reconciliation fails
+      await insertOtherDuplicate();
+      failUpdates(store, (u) => u.includes('a ext:Reconciliation ;') && u.includes(OTHER_RRN));
+
+      const job = await createJob({ model: 'person' });
+      await runJob(job);
+      assert.strictEqual(job.status, 'success');
+      assert.strictEqual(job.failed, 1);
+      assert.strictEqual(await getWatermark('person'), null);
+    });
+
+    it('ignores runs in test mode for the watermark', async function() {
+      const job = await createJob({ model: 'person', isDryRun: true });
+      job.isDryRun = false; // avoid writing a report file, the job is still stored as dry run
+      await runJob(job);
+      assert.strictEqual(await getWatermark('person'), null);
+    });
+
+    it('only reconciliates the keys that changed since the watermark in an incremental run', async function() {
+      const since = new Date('2022-01-01T00:00:00Z');
+      const job = await createJob({ model: 'person', since });
+      await runJob(job);
+      assert.strictEqual(job.total, 0);
+
+      const stored = await getJob(job.id);
+      assert.strictEqual(stored.mode, 'incremental');
+      assert.strictEqual(stored.since.getTime(), since.getTime());
+      assert.strictEqual(stored.status, 'success');
+    });
+
+    it('resumes an interrupted run after its checkpoint', async function() {
+      const job = await createJob({ model: 'person' });
+      failUpdates(store, (u) => u.includes('prov:endedAtTime'));
+      await runJob(job);
+      failUpdates(store, () => false);
+      await insertOtherDuplicate();
+
+      const interrupted = await getJob(job.id);
+      assert.strictEqual(interrupted.status, 'busy');
+      assert.strictEqual(interrupted.checkpoint, RRN);
+      await runJob(await resumeJob(interrupted));
+
+      const stored = await getJob(job.id);
+      assert.strictEqual(stored.status, 'success');
+      assert.strictEqual(stored.total, 2);
+      assert.strictEqual(stored.processed, 2);
+      assert.strictEqual(stored.skipped, 0);
+      assert.strictEqual(stored.checkpoint, OTHER_RRN);
+      assert.strictEqual((await getReconciliations({ rrn: RRN })).count, 1);
+      assert.strictEqual((await getReconciliations({ rrn: OTHER_RRN })).count, 1);
+    });
+
+    it('does not resume a successful run', async function() {
+      const job = await createJob({ model: 'person' });
+      await runJob(job);
+      await assert.rejects(resumeJob(await getJob(job.id)), /has already finished successfully/);
+      assert.strictEqual((await getJob(job.id)).status, 'success');
+    });
+
+    it('filters the runs started by the cron job', async function() {
+      const scheduled = await createJob({ model: 'person', scheduled: true });
+      await runJob(scheduled);
+      await runJob(await createJob({ model: 'person' }));
+      const { jobs, count } = await getJobs({ status: 'success', scheduled: true });
+      assert.strictEqual(count, 1);
+      assert.strictEqual(jobs[0].id, scheduled.id);
+      assert.strictEqual(jobs[0].scheduled, true);
+      assert.ok(jobs[0].ended);
+    });
+
+    it('filters the runs on mode', async function() {
+      await runJob(await createJob({ model: 'person' }));
+      await runJob(await createJob({ model: 'person', since: new Date() }));
+      const { jobs, count } = await getJobs({ mode: 'full' });
+      assert.strictEqual(count, 1);
+      assert.strictEqual(jobs[0].mode, 'full');
+      assert.strictEqual(jobs[0].processed, 1);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const os = require('os');
+const path = require('path');
+
+// The service is written as ES modules transpiled by the mu-javascript-template.
+// Outside of the template, they are transpiled on the fly.
+require('@babel/register')({
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+});
+
+// keep the test output readable
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+// don't store a generated masking salt in /data
+process.env.MASKING_SALT_FILE = process.env.MASKING_SALT_FILE || path.join(os.tmpdir(), 'person-reconciliation-test-salt');
+
+// a graph outside of the graph scope, which is never read or changed
+process.env.DENIED_GRAPHS = process.env.DENIED_GRAPHS || 'http://mu.semte.ch/graphs/organizations/denied';
+
+// an organization model next to the built-in person model
+process.env.RESOURCE_MODELS_CONFIG = process.env.RESOURCE_MODELS_CONFIG || path.join(__dirname, 'fixtures', 'resource-models.json');
+
+// reconciliate queued keys as soon as the queue is processed
+process.env.DELTA_DEBOUNCE = process.env.DELTA_DEBOUNCE || '0';
+
+// discover the keys one at a time, so discovering the fixtures spans several pages
+process.env.DISCOVERY_PAGE_SIZE = process.env.DISCOVERY_PAGE_SIZE || '1';
@@ -0,0 +1,22 @@
+import assert from 'assert';
+import { sparqlEscapeString, sparqlEscapeUri, sparqlEscapeInt, sparqlEscapeDateTime, sparqlEscapeBool } from '../lib/sparql';
+
+describe('sparql', function() {
+  describe('escape helpers', function() {
+    it('escapes quotes and backslashes in strings', function() {
+      assert.strictEqual(sparqlEscapeString('say "hi" \\o/'), '"""say \\"hi\\" \\\\o/"""');
+    });
+
+    it('escapes URIs', function() {
+      assert.strictEqual(sparqlEscapeUri('http://example.org/a'), '<http://example.org/a>');
+      assert.strictEqual(sparqlEscapeUri('http://example.org/<a>'), '<http://example.org/\\<a\\>>');
+    });
+
+    it('escapes typed literals', function() {
+      assert.strictEqual(sparqlEscapeInt('42'), '"42"^^xsd:integer');
+      assert.strictEqual(sparqlEscapeDateTime(new Date(Date.UTC(2020, 0, 2, 3, 4, 5))), '"2020-01-02T03:04:05.000Z"^^xsd:dateTime');
+      assert.strictEqual(sparqlEscapeBool(true), '"true"^^xsd:boolean');
+      assert.strictEqual(sparqlEscapeBool(false), '"false"^^xsd:boolean');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import assert from 'assert';
+import { reconciliateKey, splitResource } from '../support';
+import { SplitError } from '../lib/splits';
+import { RRN, GRAPH_A, PERSON_A, PERSON_B, IDENTIFIER_A, SAME_AS, ALIAS_OF, useFixture, selectObjects } from './helpers';
+
+const MANDATARY = 'http://data.lblod.info/id/mandatarissen/m2';
+
+describe('split', function() {
+  beforeEach(async function() {
+    useFixture();
+    await reconciliateKey(RRN, { model: 'person' });
+  });
+
+  it('restores a former slave with its own identifier', async function() {
+    const result = await splitResource(PERSON_B, [PERSON_A]);
+    assert.strictEqual(result.status, 'split');
+
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, PERSON_A, 'http://www.w3.org/ns/adms#identifier'), [IDENTIFIER_A]);
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, PERSON_A, SAME_AS), []);
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, IDENTIFIER_A, 'http://www.w3.org/2004/02/skos/core#notation'), ['85.07.30-331.21']);
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, IDENTIFIER_A, SAME_AS), []);
+  });
+
+  it('redirects the references to the former slave', async function() {
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, MANDATARY, ALIAS_OF), [PERSON_B]);
+    await splitResource(PERSON_B, [PERSON_A]);
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, MANDATARY, ALIAS_OF), [PERSON_A]);
+  });
+
+  it('only redirects the selected references', async function() {
+    await splitResource(PERSON_B, [PERSON_A], { references: [] });
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, MANDATARY, ALIAS_OF), [PERSON_B]);
+  });
+
+  it('never merges split resources again', async function() {
+    await splitResource(PERSON_B, [PERSON_A]);
+    const result = await reconciliateKey(RRN, { model: 'person' });
+    assert.strictEqual(result.status, 'skipped');
+    assert.deepStrictEqual(await selectObjects(GRAPH_A, PERSON_A, SAME_AS), []);
+  });
+
+  it('refuses to split a resource that has not been merged into the master', async function() {
+    await assert.rejects(() => splitResource(PERSON_A, [PERSON_B]), SplitError);
+  });
+});